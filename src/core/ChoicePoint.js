@@ -1,8 +1,10 @@
 // ChoicePoint.js
 
 export class ChoicePoint {
-    constructor(alternatives, bindings) {
-        this.alternatives = alternatives;
-        this.bindings = new Map(bindings);
+    constructor(alternatives, trailMark, frame, cutBarrier) {
+        this.alternatives = alternatives;  // Iterator over untried alternatives
+        this.trailMark = trailMark;        // Trail length to undo back to on retry
+        this.frame = frame;                // Goal frame the alternatives belong to
+        this.cutBarrier = cutBarrier;      // Height a cut in an alternative's goals returns to
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,255 @@
+// ClauseDatabase.js
+
+import { argumentKey } from './FactStore.js';
+import { encode, decode } from './Snapshot.js';
+
+const firstArgumentKey = (head) => head.arity > 0 ? argumentKey(head.args[0]) : undefined;
+
+/**
+ * Ordered clause store keyed by predicate indicator (name/arity).
+ * Each clause is { head, body } where head is a compound Term.
+ * Clauses are also indexed on their first argument; a clause whose first
+ * argument is a variable belongs to every bucket.
+ */
+export class ClauseDatabase {
+    constructor() {
+        this.predicates = new Map();
+        this.functors = new Map();  // functor -> arity -> clause count, for hasFunctor
+    }
+
+    _count({ functor, arity }, change) {
+        const arities = this.functors.get(functor) ?? new Map();
+        const count = (arities.get(arity) ?? 0) + change;
+        if (count > 0) arities.set(arity, count);
+        else arities.delete(arity);
+        if (arities.size > 0) this.functors.set(functor, arities);
+        else this.functors.delete(functor);
+    }
+
+    _entry(key) {
+        if (!this.predicates.has(key)) {
+            this.predicates.set(key, { clauses: [], unkeyed: [], byFirst: new Map() });
+        }
+        return this.predicates.get(key);
+    }
+
+    add(clause, atStart = false) {
+        const entry = this._entry(clause.head.indicator);
+        const insert = (clauses) => atStart ? clauses.unshift(clause) : clauses.push(clause);
+        const key = firstArgumentKey(clause.head);
+
+        insert(entry.clauses);
+        this._count(clause.head, 1);
+        if (key === undefined) {
+            insert(entry.unkeyed);
+            entry.byFirst.forEach(insert);
+        } else {
+            if (!entry.byFirst.has(key)) {
+                entry.byFirst.set(key, [...entry.unkeyed]);
+            }
+            insert(entry.byFirst.get(key));
+        }
+        return clause;
+    }
+
+    // Snapshot of the clauses, so running goals keep a logical update view.
+    // A bound first argument narrows the snapshot to clauses that may match.
+    clauses(functor, arity, firstArgument) {
+        const entry = this.predicates.get(`${functor}/${arity}`);
+        if (!entry) return [];
+        const key = arity > 0 ? argumentKey(firstArgument) : undefined;
+        if (key === undefined) return [...entry.clauses];
+        return [...(entry.byFirst.get(key) || entry.unkeyed)];
+    }
+
+    remove(clause) {
+        const entry = this.predicates.get(clause.head.indicator);
+        if (!entry) return false;
+        const removeFrom = (clauses) => {
+            const index = clauses.indexOf(clause);
+            if (index !== -1) clauses.splice(index, 1);
+            return index !== -1;
+        };
+        if (!removeFrom(entry.clauses)) return false;
+        this._count(clause.head, -1);
+
+        const key = firstArgumentKey(clause.head);
+        if (key === undefined) {
+            removeFrom(entry.unkeyed);
+            entry.byFirst.forEach(removeFrom);
+        } else {
+            removeFrom(entry.byFirst.get(key));
+        }
+        return true;
+    }
+
+    abolish(functor, arity) {
+        const entry = this.predicates.get(`${functor}/${arity}`);
+        if (entry) this._count({ functor, arity }, -entry.clauses.length);
+        return this.predicates.delete(`${functor}/${arity}`);
+    }
+
+    hasFunctor(functor) {
+        return this.functors.has(functor);
+    }
+
+    // Arities with clauses for the functor
+    arities(functor) {
+        return [...(this.functors.get(functor)?.keys() ?? [])];
+    }
+
+    // [name, arity] of every predicate with an entry
+    *indicators() {
+        for (const key of this.predicates.keys()) {
+            yield [key.slice(0, key.lastIndexOf('/')), Number(key.slice(key.lastIndexOf('/') + 1))];
+        }
+    }
+
+    *values() {
+        for (const entry of this.predicates.values()) {
+            yield* entry.clauses;
+        }
+    }
+
+    get size() {
+        let size = 0;
+        for (const entry of this.predicates.values()) {
+            size += entry.clauses.length;
+        }
+        return size;
+    }
+
+    toJSON() {
+        return { clauses: [...this.values()].map(encode) };
+    }
+
+    static fromJSON(json) {
+        const database = new ClauseDatabase();
+        for (const clause of json.clauses) {
+            database.add(decode(clause));
+        }
+        return database;
+    }
+}
+
+/**
+ * A ClauseDatabase layered over a shared base. The layer sees the base
+ * clauses followed by its own, with clauses it asserted at the start in
+ * front. Retracting a base clause hides it here only; abolishing a
+ * predicate hides every base clause for it, so the layer can redefine it.
+ */
+export class LayeredClauseDatabase {
+    constructor(base) {
+        this.base = base;
+        this.own = new ClauseDatabase();
+        this.front = new Set();      // Own clauses asserted at the start
+        this.hidden = new Set();     // Retracted base clauses
+        this.hiddenCounts = new Map();  // Indicator -> number of them
+        this.abolished = new Set();  // Indicators whose base clauses are hidden
+    }
+
+    add(clause, atStart = false) {
+        if (atStart) this.front.add(clause);
+        return this.own.add(clause, atStart);
+    }
+
+    clauses(functor, arity, firstArgument) {
+        const own = this.own.clauses(functor, arity, firstArgument);
+        const inherited = this.abolished.has(`${functor}/${arity}`) ? [] :
+            this.base.clauses(functor, arity, firstArgument).filter(clause => !this.hidden.has(clause));
+        return [...own.filter(clause => this.front.has(clause)), ...inherited, ...own.filter(clause => !this.front.has(clause))];
+    }
+
+    remove(clause) {
+        if (this.own.remove(clause)) {
+            this.front.delete(clause);
+            return true;
+        }
+        const { functor, arity } = clause.head;
+        if (!this.clauses(functor, arity).includes(clause)) return false;
+        this._hide(clause);
+        return true;
+    }
+
+    _hide(clause) {
+        this.hidden.add(clause);
+        const key = clause.head.indicator;
+        this.hiddenCounts.set(key, (this.hiddenCounts.get(key) ?? 0) + 1);
+    }
+
+    abolish(functor, arity) {
+        const existed = this.clauses(functor, arity).length > 0;
+        this.own.abolish(functor, arity);
+        this.abolished.add(`${functor}/${arity}`);
+        return existed;
+    }
+
+    hasFunctor(functor) {
+        return this.arities(functor).length > 0;
+    }
+
+    // Own arities, and those of the base not abolished here; only where base
+    // clauses were retracted here are the remaining ones counted
+    arities(functor) {
+        const own = this.own.arities(functor);
+        const inherited = this.base.arities(functor).filter(arity => {
+            const indicator = `${functor}/${arity}`;
+            if (own.includes(arity) || this.abolished.has(indicator)) return false;
+            return !this.hiddenCounts.has(indicator) || this.clauses(functor, arity).length > 0;
+        });
+        return [...own, ...inherited];
+    }
+
+    *indicators() {
+        const seen = new Set();
+        for (const [functor, arity] of [...this.base.indicators(), ...this.own.indicators()]) {
+            if (seen.has(`${functor}/${arity}`)) continue;
+            seen.add(`${functor}/${arity}`);
+            yield [functor, arity];
+        }
+    }
+
+    *values() {
+        for (const [functor, arity] of this.indicators()) {
+            yield* this.clauses(functor, arity);
+        }
+    }
+
+    get size() {
+        return [...this.values()].length;
+    }
+
+    // Nothing added, retracted or abolished: the layer shows the base as it is
+    isEmpty() {
+        return this.own.size === 0 && this.hidden.size === 0 && this.abolished.size === 0;
+    }
+
+    // The base is saved separately; hidden base clauses by their position
+    // among the base clauses of their predicate
+    toJSON() {
+        const own = [...this.own.values()];
+        const hidden = [];
+        for (const clause of this.hidden) {
+            const { functor, arity } = clause.head;
+            const position = this.base.clauses(functor, arity).indexOf(clause);
+            if (position !== -1) hidden.push([functor, arity, position]);
+        }
+        return {
+            own: own.map(encode),
+            front: own.flatMap((clause, position) => this.front.has(clause) ? [position] : []),
+            hidden,
+            abolished: [...this.abolished]
+        };
+    }
+
+    static fromJSON(json, base) {
+        const database = new LayeredClauseDatabase(base);
+        const own = json.own.map(clause => database.own.add(decode(clause)));
+        database.front = new Set(json.front.map(position => own[position]));
+        for (const [functor, arity, position] of json.hidden) {
+            database._hide(base.clauses(functor, arity)[position]);
+        }
+        database.abolished = new Set(json.abolished);
+        return database;
+    }
+}
@@ -0,0 +1,279 @@
+// FactStore.js
+
+import { Term } from './Term.js';
+import { variantKey } from './TableSpace.js';
+import { encode, decode } from './Snapshot.js';
+
+const STRUCTURE = Symbol('structure');
+
+// Index key of an argument; values that can unify always share a key.
+// Unbound variables have no key.
+export function argumentKey(value) {
+    if (value instanceof Term) {
+        if (value.isVariable()) return undefined;
+        if (value.isCompound()) {
+            return value.arity === 0 ? value.functor : `${value.functor}/${value.arity}`;
+        }
+        return argumentKey(value.value);
+    }
+    if (typeof value === 'string' && value.startsWith('$')) return undefined;
+    if (Array.isArray(value)) return value.length === 0 ? '[]' : '[|]/2';
+    if (value !== null && typeof value === 'object') return STRUCTURE;
+    return value;
+}
+
+/**
+ * Ground facts grouped by predicate indicator (name/arity), each stored as an
+ * argument tuple. Every predicate is indexed on its first argument and can be
+ * indexed on others, so lookups with bound arguments do not scan the store.
+ */
+export class FactStore {
+    constructor() {
+        this.predicates = new Map();
+    }
+
+    _entry(name, arity, create = false) {
+        const key = `${name}/${arity}`;
+        if (!this.predicates.has(key) && create) {
+            this.predicates.set(key, { facts: new Set(), indexes: new Map([[0, new Map()]]) });
+        }
+        return this.predicates.get(key);
+    }
+
+    // Index a predicate on further argument positions, e.g. indexOn('isA', 2, 1)
+    indexOn(name, arity, ...positions) {
+        const entry = this._entry(name, arity, true);
+        for (const position of positions) {
+            if (entry.indexes.has(position)) continue;
+            const index = new Map();
+            entry.indexes.set(position, index);
+            for (const fact of entry.facts) {
+                this._addToIndex(index, argumentKey(fact[position]), fact);
+            }
+        }
+    }
+
+    _addToIndex(index, key, fact) {
+        if (!index.has(key)) index.set(key, new Set());
+        index.get(key).add(fact);
+    }
+
+    add(name, args) {
+        const entry = this._entry(name, args.length, true);
+        const fact = [...args];
+        entry.facts.add(fact);
+        for (const [position, index] of entry.indexes) {
+            this._addToIndex(index, argumentKey(fact[position]), fact);
+        }
+        return fact;
+    }
+
+    // Facts whose arguments may unify with the pattern; unbound or
+    // undefined positions match anything. Returns a snapshot.
+    match(name, pattern) {
+        const entry = this._entry(name, pattern.length);
+        if (!entry) return [];
+
+        const bound = [];
+        pattern.forEach((value, position) => {
+            const key = value === undefined ? undefined : argumentKey(value);
+            if (key !== undefined) bound.push({ position, key });
+        });
+
+        let candidates = entry.facts;
+        for (const { position, key } of bound) {
+            const index = entry.indexes.get(position);
+            if (!index) continue;
+            const bucket = index.get(key);
+            if (!bucket) return [];
+            if (bucket.size < candidates.size) candidates = bucket;
+        }
+
+        const facts = [];
+        for (const fact of candidates) {
+            if (bound.every(({ position, key }) => argumentKey(fact[position]) === key)) {
+                facts.push(fact);
+            }
+        }
+        return facts;
+    }
+
+    has(name, args) {
+        const key = variantKey(args);
+        return this.match(name, args).some(fact => variantKey(fact) === key);
+    }
+
+    // Remove every fact equal to the pattern on its defined positions
+    remove(name, pattern) {
+        const entry = this._entry(name, pattern.length);
+        if (!entry) return 0;
+        const facts = this.match(name, pattern).filter(fact => pattern.every((value, i) =>
+            value === undefined || variantKey(value) === variantKey(fact[i])
+        ));
+        for (const fact of facts) {
+            entry.facts.delete(fact);
+            for (const [position, index] of entry.indexes) {
+                const key = argumentKey(fact[position]);
+                index.get(key).delete(fact);
+                if (index.get(key).size === 0) index.delete(key);
+            }
+        }
+        return facts.length;
+    }
+
+    // Replace the facts sharing the first keyLength arguments, like a keyed map entry
+    set(name, args, keyLength = args.length - 1) {
+        const pattern = args.map((arg, i) => i < keyLength ? arg : undefined);
+        this.remove(name, pattern);
+        return this.add(name, args);
+    }
+
+    hasPredicate(name, arity) {
+        const entry = this._entry(name, arity);
+        return entry !== undefined && entry.facts.size > 0;
+    }
+
+    // [name, arity, positions] of every indexed predicate
+    *indexes() {
+        for (const [key, entry] of this.predicates) {
+            const slash = key.lastIndexOf('/');
+            yield [key.slice(0, slash), Number(key.slice(slash + 1)), [...entry.indexes.keys()]];
+        }
+    }
+
+    // Every fact as [name, args]
+    *entries() {
+        for (const [key, entry] of this.predicates) {
+            const name = key.slice(0, key.lastIndexOf('/'));
+            for (const fact of entry.facts) {
+                yield [name, fact];
+            }
+        }
+    }
+
+    get size() {
+        let size = 0;
+        for (const entry of this.predicates.values()) {
+            size += entry.facts.size;
+        }
+        return size;
+    }
+
+    toJSON() {
+        return {
+            indexes: [...this.indexes()],
+            facts: [...this.entries()].map(([name, args]) => [name, encode(args)])
+        };
+    }
+
+    static fromJSON(json) {
+        const store = new FactStore();
+        for (const [name, arity, positions] of json.indexes) {
+            store.indexOn(name, arity, ...positions);
+        }
+        for (const [name, args] of json.facts) {
+            store.add(name, decode(args));
+        }
+        return store;
+    }
+}
+
+/**
+ * A FactStore layered over a shared base store. Writes go to the layer's own
+ * facts; base facts that the layer removes or replaces are hidden from it
+ * rather than deleted, so other layers over the same base still see them.
+ */
+export class LayeredFactStore {
+    constructor(base) {
+        this.base = base;
+        this.own = new FactStore();
+        this.hidden = new Map();  // name/arity -> variant keys of hidden base facts
+        // Own facts are indexed like the base ones
+        for (const [name, arity, positions] of base.indexes()) {
+            this.own.indexOn(name, arity, ...positions);
+        }
+    }
+
+    _isHidden(name, fact) {
+        const hidden = this.hidden.get(`${name}/${fact.length}`);
+        return hidden !== undefined && hidden.has(variantKey(fact));
+    }
+
+    indexOn(name, arity, ...positions) {
+        this.own.indexOn(name, arity, ...positions);
+    }
+
+    indexes() {
+        return this.own.indexes();
+    }
+
+    add(name, args) {
+        return this.own.add(name, args);
+    }
+
+    match(name, pattern) {
+        const inherited = this.base.match(name, pattern).filter(fact => !this._isHidden(name, fact));
+        return [...inherited, ...this.own.match(name, pattern)];
+    }
+
+    has(name, args) {
+        const key = variantKey(args);
+        return this.match(name, args).some(fact => variantKey(fact) === key);
+    }
+
+    remove(name, pattern) {
+        const inherited = this.base.match(name, pattern).filter(fact => !this._isHidden(name, fact) &&
+            pattern.every((value, i) => value === undefined || variantKey(value) === variantKey(fact[i])));
+        const key = `${name}/${pattern.length}`;
+        if (inherited.length > 0 && !this.hidden.has(key)) this.hidden.set(key, new Set());
+        for (const fact of inherited) {
+            this.hidden.get(key).add(variantKey(fact));
+        }
+        return inherited.length + this.own.remove(name, pattern);
+    }
+
+    set(name, args, keyLength = args.length - 1) {
+        const pattern = args.map((arg, i) => i < keyLength ? arg : undefined);
+        this.remove(name, pattern);
+        return this.add(name, args);
+    }
+
+    hasPredicate(name, arity) {
+        if (this.own.hasPredicate(name, arity)) return true;
+        if (!this.hidden.has(`${name}/${arity}`)) return this.base.hasPredicate(name, arity);
+        return this.match(name, new Array(arity).fill(undefined)).length > 0;
+    }
+
+    *entries() {
+        for (const [name, fact] of this.base.entries()) {
+            if (!this._isHidden(name, fact)) yield [name, fact];
+        }
+        yield* this.own.entries();
+    }
+
+    get size() {
+        let size = 0;
+        for (const _ of this.entries()) size++;
+        return size;
+    }
+
+    // Nothing added or hidden: the layer shows the base as it is
+    isEmpty() {
+        return this.own.size === 0 && this.hidden.size === 0;
+    }
+
+    // The base is saved separately
+    toJSON() {
+        return {
+            own: this.own.toJSON(),
+            hidden: [...this.hidden].map(([key, facts]) => [key, [...facts]])
+        };
+    }
+
+    static fromJSON(json, base) {
+        const store = new LayeredFactStore(base);
+        store.own = FactStore.fromJSON(json.own);
+        store.hidden = new Map(json.hidden.map(([key, facts]) => [key, new Set(facts)]));
+        return store;
+    }
+}
@@ -0,0 +1,265 @@
+// Library.js
+
+import { Term } from './Term.js';
+import { evaluate } from '../features/math/Arithmetic.js';
+
+/**
+ * Standard list, enumeration and comparison predicates. Each goal yields one alternative
+ * per solution, so they backtrack like clauses; the resolver undoes the
+ * bindings of an alternative before asking for the next.
+ */
+
+const PREDICATES = new Set([
+    'between/3', 'member/2', 'length/2', 'nth0/3', 'nth1/3',
+    'reverse/2', 'msort/2', 'sum_list/2', 'last/2', '=../2',
+    'is/2', '=:=/2', '=\\=/2', '</2', '>/2', '=</2', '>=/2',
+    '==/2', '\\==/2', '@</2', '@>/2', '@=</2', '@>=/2'
+]);
+
+// Tests on the sign of a comparison; the standard order ones test compareTerms
+const ORDERS = {
+    '=:=': order => order === 0,
+    '=\\=': order => order !== 0,
+    '<': order => order < 0,
+    '>': order => order > 0,
+    '=<': order => order <= 0,
+    '>=': order => order >= 0
+};
+const STANDARD_ORDERS = { '==': '=:=', '\\==': '=\\=', '@<': '<', '@>': '>', '@=<': '=<', '@>=': '>=' };
+
+export function isLibraryGoal(goal) {
+    return goal instanceof Term && PREDICATES.has(goal.indicator);
+}
+
+export function* solveLibraryGoal(goal, context) {
+    const [first, second, third] = goal.args;
+    switch (goal.functor) {
+        case 'between':
+            yield* between(context, first, second, third);
+            return;
+        case 'member':
+            yield* member(context, first, second);
+            return;
+        case 'length':
+            yield* length(context, first, second);
+            return;
+        case 'nth0':
+        case 'nth1':
+            yield* nth(context, goal.functor === 'nth0' ? 0 : 1, first, second, third);
+            return;
+        case 'reverse':
+            if (context.unify(second, properList(context, first, goal.indicator).reverse())) yield [];
+            return;
+        case 'msort':
+            if (context.unify(second, properList(context, first, goal.indicator).sort(compareTerms))) yield [];
+            return;
+        case 'sum_list': {
+            const sum = properList(context, first, goal.indicator)
+                .reduce((total, item) => total + arithmetic(context, item), 0);
+            if (context.unify(second, sum)) yield [];
+            return;
+        }
+        case '=..':
+            yield* univ(context, first, second);
+            return;
+        case 'is':
+            if (context.unify(first, arithmetic(context, second))) yield [];
+            return;
+        case '=:=':
+        case '=\\=':
+        case '<':
+        case '>':
+        case '=<':
+        case '>=':
+            if (ORDERS[goal.functor](Math.sign(arithmetic(context, first) - arithmetic(context, second)))) yield [];
+            return;
+        case '==':
+        case '\\==':
+        case '@<':
+        case '@>':
+        case '@=<':
+        case '@>=':
+            if (ORDERS[STANDARD_ORDERS[goal.functor]](compareTerms(context.resolve(first), context.resolve(second)))) yield [];
+            return;
+        case 'last': {
+            const items = properList(context, first, goal.indicator);
+            if (items.length > 0 && context.unify(second, items[items.length - 1])) yield [];
+        }
+    }
+}
+
+function* between(context, $Low, $High, $X) {
+    const low = integer(context, $Low, 'between/3');
+    const high = context.deref($High);
+    const top = ['inf', 'infinite'].includes(high) ? Infinity : integer(context, $High, 'between/3');
+    const x = context.deref($X);
+    if (!context.isVariable(x)) {
+        const value = integer(context, $X, 'between/3');
+        if (value >= low && value <= top) yield [];
+        return;
+    }
+    for (let value = low; value <= top; value++) {
+        const mark = context.mark();
+        if (context.unify($X, value)) yield [];
+        context.undo(mark);
+    }
+}
+
+// Enumerates the elements; an open tail is extended with one more cell each time
+function* member(context, $Element, $List) {
+    const { items, tail } = elements(context, $List);
+    for (const item of items) {
+        const mark = context.mark();
+        if (context.unify($Element, item)) yield [];
+        context.undo(mark);
+    }
+    if (tail === null) return;
+    for (let skipped = 0; ; skipped++) {
+        const mark = context.mark();
+        const cells = [...freshList(context, skipped), $Element];
+        if (context.unify(tail, partialList(cells, context.freshVariable('L')))) yield [];
+        context.undo(mark);
+    }
+}
+
+// Counts a list, or builds lists of fresh variables when the list is open
+function* length(context, $List, $Length) {
+    const { items, tail } = elements(context, $List);
+    const count = context.isVariable(context.deref($Length)) ? null : integer(context, $Length, 'length/2');
+    if (tail === null) {
+        if (context.unify($Length, items.length)) yield [];
+        return;
+    }
+    if (count !== null) {
+        if (count >= items.length && context.unify(tail, freshList(context, count - items.length))) yield [];
+        return;
+    }
+    for (let extra = 0; ; extra++) {
+        const mark = context.mark();
+        if (context.unify(tail, freshList(context, extra)) && context.unify($Length, items.length + extra)) yield [];
+        context.undo(mark);
+    }
+}
+
+function* nth(context, base, $Index, $List, $Element) {
+    const { items } = elements(context, $List);
+    const index = context.deref($Index);
+    if (!context.isVariable(index)) {
+        const position = integer(context, $Index, `nth${base}/3`) - base;
+        if (position >= 0 && position < items.length && context.unify($Element, items[position])) yield [];
+        return;
+    }
+    for (let position = 0; position < items.length; position++) {
+        const mark = context.mark();
+        if (context.unify($Element, items[position]) && context.unify($Index, position + base)) yield [];
+        context.undo(mark);
+    }
+}
+
+// Term =.. [Name | Args]: a term and the list of its name and arguments
+function* univ(context, $Term, $List) {
+    const term = plain(context.resolve($Term));
+    if (!context.isVariable(term)) {
+        const { name, args } = kind(term) === 'compound' ? parts(term) : { name: term, args: [] };
+        if (context.unify($List, [name, ...args])) yield [];
+        return;
+    }
+    const [name, ...args] = properList(context, $List, '=../2');
+    if (name === undefined) throw new Error('Domain error: =../2 needs a non-empty list');
+    if (context.unify($Term, args.length === 0 ? name : Term.compound(plain(name), args))) yield [];
+}
+
+function arithmetic(context, term) {
+    return evaluate(term, (variable) => context.deref(variable));
+}
+
+function integer(context, term, indicator) {
+    const value = context.deref(term);
+    const number = value instanceof Term && !value.isCompound() ? value.value : value;
+    if (context.isVariable(number)) {
+        throw new Error(`Instantiation error: ${indicator} needs ${number.slice(1)} bound`);
+    }
+    if (!Number.isInteger(number)) throw new Error(`Type error: ${number} is not an integer`);
+    return number;
+}
+
+// The known elements of a list and its tail: null for a proper list, the
+// unbound variable for a partial one. Anything else has no elements.
+function elements(context, term) {
+    const items = [];
+    let list = context.deref(term);
+    while (true) {
+        if (list instanceof Term && list.isList()) list = list.value;
+        if (Array.isArray(list)) return { items: [...items, ...list], tail: null };
+        if (context.isVariable(list)) return { items, tail: list };
+        if (!(list instanceof Term && list.functor === '[|]' && list.arity === 2)) return { items: [], tail: null };
+        items.push(list.args[0]);
+        list = context.deref(list.args[1]);
+    }
+}
+
+function properList(context, term, indicator) {
+    const list = context.resolve(term);
+    const items = list instanceof Term && list.isList() ? list.value : list;
+    if (Array.isArray(items)) return [...items];
+    if (context.isVariable(items) || (items instanceof Term && items.functor === '[|]')) {
+        throw new Error(`Instantiation error: ${indicator} needs a proper list`);
+    }
+    throw new Error(`Type error: ${items} is not a list`);
+}
+
+function freshList(context, size) {
+    return Array.from({ length: size }, () => context.freshVariable('L'));
+}
+
+function partialList(items, tail) {
+    return items.reduceRight((rest, item) => Term.compound('[|]', [item, rest]), tail);
+}
+
+// Standard order of terms: variables, numbers, atoms, then compounds by arity,
+// name and arguments. Lists are '[|]' cells and [] is an atom.
+const RANK = { variable: 0, number: 1, atom: 2, compound: 3 };
+
+function kind(term) {
+    if (typeof term === 'string' && term.startsWith('$')) return 'variable';
+    if (typeof term === 'number') return 'number';
+    if (Array.isArray(term)) return term.length === 0 ? 'atom' : 'compound';
+    if (term instanceof Term && term.isCompound()) return 'compound';
+    return 'atom';
+}
+
+function plain(term) {
+    if (term instanceof Term && !term.isCompound() && !term.quoted) return plain(term.value);
+    return term;
+}
+
+function parts(term) {
+    if (Array.isArray(term)) return { name: '[|]', args: [term[0], term.slice(1)] };
+    return { name: term.functor, args: term.args };
+}
+
+export function compareTerms(a, b) {
+    a = plain(a);
+    b = plain(b);
+    const difference = RANK[kind(a)] - RANK[kind(b)];
+    if (difference !== 0) return Math.sign(difference);
+    switch (kind(a)) {
+        case 'number':
+            return Math.sign(a - b);
+        case 'variable':
+        case 'atom': {
+            const [x, y] = [a, b].map(term => Array.isArray(term) ? '[]' : String(term));
+            return x < y ? -1 : x > y ? 1 : 0;
+        }
+        default: {
+            const [x, y] = [parts(a), parts(b)];
+            if (x.args.length !== y.args.length) return Math.sign(x.args.length - y.args.length);
+            if (x.name !== y.name) return x.name < y.name ? -1 : 1;
+            for (let i = 0; i < x.args.length; i++) {
+                const order = compareTerms(x.args[i], y.args[i]);
+                if (order !== 0) return order;
+            }
+            return 0;
+        }
+    }
+}
@@ -0,0 +1,525 @@
+// Parser.js - Standard Prolog clause syntax
+
+import { Term } from './Term.js';
+
+export class PrologSyntaxError extends Error {
+    constructor(message, line, column) {
+        super(`${message} at line ${line}, column ${column}`);
+        this.name = 'PrologSyntaxError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+// Operator table: name -> { prefix, infix } as [priority, type]
+const OPERATORS = {
+    ':-': { infix: [1200, 'xfx'], prefix: [1200, 'fx'] },
+    '-->': { infix: [1200, 'xfx'] },
+    '?-': { prefix: [1200, 'fx'] },
+    'table': { prefix: [1150, 'fx'] },
+    ';': { infix: [1100, 'xfy'] },
+    '|': { infix: [1100, 'xfy'] },
+    '->': { infix: [1050, 'xfy'] },
+    '*->': { infix: [1050, 'xfy'] },
+    ',': { infix: [1000, 'xfy'] },
+    '\\+': { prefix: [900, 'fy'] },
+    '#<==>': { infix: [760, 'yfx'] },
+    '#==>': { infix: [750, 'xfy'] },
+    '#<==': { infix: [750, 'yfx'] },
+    '#\\/': { infix: [740, 'yfx'] },
+    '#/\\': { infix: [720, 'yfx'] },
+    '#\\': { prefix: [710, 'fy'] },
+    '=': { infix: [700, 'xfx'] },
+    '\\=': { infix: [700, 'xfx'] },
+    '==': { infix: [700, 'xfx'] },
+    '\\==': { infix: [700, 'xfx'] },
+    '@<': { infix: [700, 'xfx'] },
+    '@>': { infix: [700, 'xfx'] },
+    '@=<': { infix: [700, 'xfx'] },
+    '@>=': { infix: [700, 'xfx'] },
+    '=..': { infix: [700, 'xfx'] },
+    'is': { infix: [700, 'xfx'] },
+    '=:=': { infix: [700, 'xfx'] },
+    '=\\=': { infix: [700, 'xfx'] },
+    '<': { infix: [700, 'xfx'] },
+    '>': { infix: [700, 'xfx'] },
+    '=<': { infix: [700, 'xfx'] },
+    '>=': { infix: [700, 'xfx'] },
+    'in': { infix: [700, 'xfx'] },
+    'ins': { infix: [700, 'xfx'] },
+    '#=': { infix: [700, 'xfx'] },
+    '#\\=': { infix: [700, 'xfx'] },
+    '#<': { infix: [700, 'xfx'] },
+    '#>': { infix: [700, 'xfx'] },
+    '#=<': { infix: [700, 'xfx'] },
+    '#>=': { infix: [700, 'xfx'] },
+    ':': { infix: [200, 'xfy'] },
+    '..': { infix: [500, 'yfx'] },
+    '+': { infix: [500, 'yfx'], prefix: [200, 'fy'] },
+    '-': { infix: [500, 'yfx'], prefix: [200, 'fy'] },
+    '/\\': { infix: [500, 'yfx'] },
+    '\\/': { infix: [500, 'yfx'] },
+    'xor': { infix: [500, 'yfx'] },
+    '*': { infix: [400, 'yfx'] },
+    '/': { infix: [400, 'yfx'] },
+    '//': { infix: [400, 'yfx'] },
+    'mod': { infix: [400, 'yfx'] },
+    'rem': { infix: [400, 'yfx'] },
+    '<<': { infix: [400, 'yfx'] },
+    '>>': { infix: [400, 'yfx'] },
+    '**': { infix: [200, 'xfx'] },
+    '^': { infix: [200, 'xfy'] },
+    '\\': { prefix: [200, 'fy'] }
+};
+
+const SYMBOL_CHARS = '+-*/\\^<>=~:.?@#&$';
+const SOLO_CHARS = '!;';
+const PUNCTUATION = '()[]{},|';
+const ESCAPES = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', f: '\f', v: '\v', '0': '\0', '\\': '\\', "'": "'", '"': '"', '`': '`' };
+
+const isDigit = (c) => c >= '0' && c <= '9';
+const isAlnum = (c) => /[A-Za-z0-9_]/.test(c);
+const isLayout = (c) => c === ' ' || c === '\t' || c === '\n' || c === '\r';
+
+class Lexer {
+    constructor(text) {
+        this.text = text;
+        this.pos = 0;
+        this.line = 1;
+        this.column = 1;
+    }
+
+    _peekChar(offset = 0) {
+        return this.text[this.pos + offset];
+    }
+
+    _advance() {
+        const c = this.text[this.pos++];
+        if (c === '\n') {
+            this.line++;
+            this.column = 1;
+        } else {
+            this.column++;
+        }
+        return c;
+    }
+
+    _error(message, line = this.line, column = this.column) {
+        throw new PrologSyntaxError(message, line, column);
+    }
+
+    // Skip whitespace and comments; returns true when any layout was skipped
+    _skipLayout() {
+        const start = this.pos;
+        while (this.pos < this.text.length) {
+            const c = this._peekChar();
+            if (isLayout(c)) {
+                this._advance();
+            } else if (c === '%') {
+                while (this.pos < this.text.length && this._peekChar() !== '\n') this._advance();
+            } else if (c === '/' && this._peekChar(1) === '*') {
+                const line = this.line;
+                const column = this.column;
+                this._advance();
+                this._advance();
+                while (!(this._peekChar() === '*' && this._peekChar(1) === '/')) {
+                    if (this.pos >= this.text.length) this._error('Unterminated block comment', line, column);
+                    this._advance();
+                }
+                this._advance();
+                this._advance();
+            } else {
+                break;
+            }
+        }
+        return this.pos > start;
+    }
+
+    tokenize() {
+        const tokens = [];
+        while (true) {
+            const layoutBefore = this._skipLayout();
+            const line = this.line;
+            const column = this.column;
+            if (this.pos >= this.text.length) {
+                tokens.push({ type: 'eof', line, column, layoutBefore });
+                return tokens;
+            }
+            const token = this._readToken();
+            tokens.push({ ...token, line, column, layoutBefore });
+        }
+    }
+
+    _readToken() {
+        const c = this._peekChar();
+
+        if (isDigit(c)) return this._readNumber();
+
+        if (c === '_' || (c >= 'A' && c <= 'Z')) {
+            return { type: 'var', value: this._readWhile(isAlnum) };
+        }
+
+        // $X is accepted as a variable so text can share variables with colon-style goals
+        const next = this._peekChar(1) || '';
+        if (c === '$' && (next === '_' || (next >= 'A' && next <= 'Z'))) {
+            this._advance();
+            return { type: 'var', value: this._readWhile(isAlnum) };
+        }
+
+        if (c >= 'a' && c <= 'z') {
+            return { type: 'atom', value: this._readWhile(isAlnum) };
+        }
+
+        if (c === "'") return { type: 'atom', value: this._readQuoted("'"), quoted: true };
+        if (c === '"') return { type: 'string', value: this._readQuoted('"') };
+        if (c === '`') return { type: 'string', value: this._readQuoted('`') };
+
+        if (PUNCTUATION.includes(c)) {
+            this._advance();
+            return { type: 'punct', value: c };
+        }
+
+        if (SOLO_CHARS.includes(c)) {
+            this._advance();
+            return { type: 'atom', value: c };
+        }
+
+        if (SYMBOL_CHARS.includes(c)) {
+            // A lone '.' followed by layout, a comment or the end of input ends a clause
+            const next = this._peekChar(1);
+            if (c === '.' && (next === undefined || isLayout(next) || next === '%')) {
+                this._advance();
+                return { type: 'end' };
+            }
+            return { type: 'atom', value: this._readWhile(ch => SYMBOL_CHARS.includes(ch)) };
+        }
+
+        this._error(`Unexpected character '${c}'`);
+    }
+
+    _readWhile(predicate) {
+        let value = '';
+        while (this.pos < this.text.length && predicate(this._peekChar())) {
+            value += this._advance();
+        }
+        return value;
+    }
+
+    _readNumber() {
+        if (this._peekChar() === '0' && this._peekChar(1) === "'") {
+            this._advance();
+            this._advance();
+            const c = this._advance();
+            if (c === undefined) this._error('Unexpected end of input in character code');
+            if (c === '\\') return { type: 'number', value: this._readEscape().charCodeAt(0) };
+            if (c === "'" && this._peekChar() === "'") this._advance();
+            return { type: 'number', value: c.codePointAt(0) };
+        }
+        if (this._peekChar() === '0' && /[xob]/.test(this._peekChar(1) || '')) {
+            const radix = { x: 16, o: 8, b: 2 }[this._peekChar(1)];
+            this._advance();
+            this._advance();
+            const digits = this._readWhile(ch => /[0-9a-fA-F]/.test(ch));
+            return { type: 'number', value: parseInt(digits, radix) };
+        }
+
+        let text = this._readWhile(isDigit);
+        if (this._peekChar() === '.' && isDigit(this._peekChar(1) || '')) {
+            text += this._advance();
+            text += this._readWhile(isDigit);
+        }
+        if (/[eE]/.test(this._peekChar() || '') &&
+            (isDigit(this._peekChar(1) || '') ||
+             (/[+-]/.test(this._peekChar(1) || '') && isDigit(this._peekChar(2) || '')))) {
+            text += this._advance();
+            if (/[+-]/.test(this._peekChar())) text += this._advance();
+            text += this._readWhile(isDigit);
+        }
+        return { type: 'number', value: Number(text) };
+    }
+
+    _readQuoted(quote) {
+        const line = this.line;
+        const column = this.column;
+        this._advance();
+        let value = '';
+        while (true) {
+            if (this.pos >= this.text.length) this._error('Unterminated quoted text', line, column);
+            const c = this._advance();
+            if (c === quote) {
+                // A doubled quote stands for the quote character itself
+                if (this._peekChar() === quote) {
+                    value += this._advance();
+                    continue;
+                }
+                return value;
+            }
+            if (c === '\\') {
+                if (this._peekChar() === '\n') {
+                    this._advance();
+                    continue;
+                }
+                value += this._readEscape();
+                continue;
+            }
+            value += c;
+        }
+    }
+
+    _readEscape() {
+        const c = this._advance();
+        if (c === 'x') {
+            const digits = this._readWhile(ch => /[0-9a-fA-F]/.test(ch));
+            if (this._peekChar() === '\\') this._advance();
+            return String.fromCodePoint(parseInt(digits, 16));
+        }
+        if (c in ESCAPES) return ESCAPES[c];
+        this._error(`Unknown escape sequence '\\${c}'`);
+    }
+}
+
+/**
+ * Operator precedence parser producing engine terms: atoms and strings as
+ * JavaScript strings, variables as '$Name', closed lists as arrays and
+ * everything else as compound Terms. Partial lists use the '[|]'/2 functor.
+ */
+export class Parser {
+    constructor(text) {
+        this.tokens = new Lexer(text).tokenize();
+        this.index = 0;
+        this.variables = null;
+        this.anonymousCounter = 0;
+    }
+
+    // Parse every clause in the text
+    parseClauses() {
+        const clauses = [];
+        while (this._peek().type !== 'eof') {
+            clauses.push(this._parseClause());
+        }
+        return clauses;
+    }
+
+    // Parse a single term, with or without the terminating '.'
+    parseTerm() {
+        this.variables = new Map();
+        const term = this._parse(1200);
+        if (this._peek().type === 'end') this._next();
+        this._expect('eof');
+        return term;
+    }
+
+    _parseClause() {
+        this.variables = new Map();
+        const term = this._parse(1200);
+        this._expect('end');
+        return term;
+    }
+
+    _peek(offset = 0) {
+        return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+    }
+
+    _next() {
+        return this.tokens[Math.min(this.index++, this.tokens.length - 1)];
+    }
+
+    _error(message, token = this._peek()) {
+        throw new PrologSyntaxError(message, token.line, token.column);
+    }
+
+    _expect(type, value) {
+        const token = this._peek();
+        if (token.type !== type || (value !== undefined && token.value !== value)) {
+            const expected = value !== undefined ? `'${value}'` : type === 'end' ? "'.'" : type;
+            this._error(`Expected ${expected} but found ${this._describe(token)}`, token);
+        }
+        return this._next();
+    }
+
+    _describe(token) {
+        switch (token.type) {
+            case 'eof': return 'end of input';
+            case 'end': return "'.'";
+            default: return `'${token.value}'`;
+        }
+    }
+
+    _parse(maxPriority) {
+        let [left, leftPriority] = this._parsePrimary(maxPriority);
+        return this._parseInfix(left, leftPriority, maxPriority);
+    }
+
+    _parseInfix(left, leftPriority, maxPriority) {
+        while (true) {
+            const token = this._peek();
+            const name = this._infixName(token);
+            const definition = name !== null && OPERATORS[name] && OPERATORS[name].infix;
+            if (!definition) return left;
+
+            const [priority, type] = definition;
+            const leftMax = type[0] === 'y' ? priority : priority - 1;
+            const rightMax = type[2] === 'y' ? priority : priority - 1;
+            if (priority > maxPriority || leftPriority > leftMax) return left;
+
+            this._next();
+            const right = this._parse(rightMax);
+            left = Term.compound(name === '|' ? ';' : name, [left, right]);
+            leftPriority = priority;
+        }
+    }
+
+    _infixName(token) {
+        if (token.type === 'atom' && !token.quoted) return token.value;
+        if (token.type === 'punct' && (token.value === ',' || token.value === '|')) return token.value;
+        return null;
+    }
+
+    _parsePrimary(maxPriority) {
+        const token = this._next();
+
+        switch (token.type) {
+            case 'number':
+                return [token.value, 0];
+            case 'string':
+                return [this._text(token.value), 0];
+            case 'var':
+                return [this._variable(token.value), 0];
+            case 'punct':
+                return this._parsePunctuation(token);
+            case 'atom':
+                return this._parseAtom(token, maxPriority);
+            case 'end':
+            case 'eof':
+                this._error(`Unexpected ${this._describe(token)}`, token);
+        }
+    }
+
+    _variable(name) {
+        if (name === '_') {
+            return Term.freshVariable('G', ++this.anonymousCounter);
+        }
+        if (!this.variables.has(name)) {
+            this.variables.set(name, `$${name}`);
+        }
+        return this.variables.get(name);
+    }
+
+    // Quoted text starting with '$' is wrapped so it is never taken for a variable
+    _text(value) {
+        return value.startsWith('$') ? Term.atom(value) : value;
+    }
+
+    _parsePunctuation(token) {
+        switch (token.value) {
+            case '(': {
+                const term = this._parse(1200);
+                this._expect('punct', ')');
+                return [term, 0];
+            }
+            case '[': {
+                if (this._peek().type === 'punct' && this._peek().value === ']') {
+                    this._next();
+                    return this._maybeCompound('[]', 0);
+                }
+                return [this._parseList(), 0];
+            }
+            case '{': {
+                if (this._peek().type === 'punct' && this._peek().value === '}') {
+                    this._next();
+                    return this._maybeCompound('{}', 0);
+                }
+                const term = this._parse(1200);
+                this._expect('punct', '}');
+                return [Term.compound('{}', [term]), 0];
+            }
+            default:
+                this._error(`Unexpected '${token.value}'`, token);
+        }
+    }
+
+    _parseList() {
+        const items = [this._parse(999)];
+        while (this._peek().type === 'punct' && this._peek().value === ',') {
+            this._next();
+            items.push(this._parse(999));
+        }
+        let tail = [];
+        if (this._peek().type === 'punct' && this._peek().value === '|') {
+            this._next();
+            tail = this._parse(999);
+        }
+        this._expect('punct', ']');
+
+        if (Array.isArray(tail)) {
+            return [...items, ...tail];
+        }
+        return items.reduceRight((rest, item) => Term.compound('[|]', [item, rest]), tail);
+    }
+
+    _parseAtom(token, maxPriority) {
+        const name = token.value;
+        const next = this._peek();
+
+        // Functional notation: name immediately followed by '('
+        if (next.type === 'punct' && next.value === '(' && !next.layoutBefore) {
+            return this._maybeCompound(name, 0);
+        }
+
+        // A minus sign directly before a number is a negative literal
+        if (name === '-' && !token.quoted && next.type === 'number' && !next.layoutBefore) {
+            this._next();
+            return [-next.value, 0];
+        }
+
+        const prefix = !token.quoted && OPERATORS[name] && OPERATORS[name].prefix;
+        if (prefix && this._startsTerm(next)) {
+            let [priority, type] = prefix;
+            if (priority > maxPriority) {
+                priority = 999;
+            }
+            const argMax = type === 'fy' ? priority : priority - 1;
+            const arg = this._parse(argMax);
+            return [Term.compound(name, [arg]), priority];
+        }
+
+        return [token.quoted ? this._text(name) : name, 0];
+    }
+
+    // Whether a token can begin the operand of a prefix operator
+    _startsTerm(token) {
+        switch (token.type) {
+            case 'number':
+            case 'var':
+            case 'string':
+                return true;
+            case 'punct':
+                return token.value === '(' || token.value === '[' || token.value === '{';
+            case 'atom': {
+                const definition = OPERATORS[token.value];
+                if (!definition || token.quoted) return true;
+                // An infix operator here means the prefix operator is used as an atom
+                const after = this._peek(1);
+                return !definition.infix || Boolean(definition.prefix) ||
+                    (after.type === 'punct' && after.value === '(' && !after.layoutBefore);
+            }
+            default:
+                return false;
+        }
+    }
+
+    _maybeCompound(name, priority) {
+        const next = this._peek();
+        if (!(next.type === 'punct' && next.value === '(' && !next.layoutBefore)) {
+            return [name === '[]' ? [] : name, priority];
+        }
+        this._next();
+        const args = [this._parse(999)];
+        while (this._peek().type === 'punct' && this._peek().value === ',') {
+            this._next();
+            args.push(this._parse(999));
+        }
+        this._expect('punct', ')');
+        return [Term.compound(name, args), 0];
+    }
+}
@@ -2,36 +2,205 @@
 
 import { Reality } from './Reality.js';
 import { Counterfactual } from './Counterfactual.js';
+import { RealityDiff } from './RealityDiff.js';
 import { UniversalLaws } from './UniversalLaws.js';
-import { UnificationContext } from './UnificationContext.js';
+import { UnificationContext, QueryLimitError } from './UnificationContext.js';
+import { Resolver, toGoal } from './Resolver.js';
+import { Parser, PrologSyntaxError } from './Parser.js';
+import { ClauseDatabase, LayeredClauseDatabase } from './ClauseDatabase.js';
+import { FactStore, LayeredFactStore } from './FactStore.js';
+import { variantKey } from './TableSpace.js';
+import { Tracer, printTrace, formatTraceEvent } from './Tracer.js';
+import { Proof } from './Proof.js';
 import { Term } from './Term.js';
 import { Agent } from '../features/agents/Agent.js';
 import { MathConstraint } from '../features/math/MathConstraint.js';
+import { SemanticNetwork } from '../features/semantics/SemanticNetwork.js';
 import { WaveFunction } from '../features/math/WaveFunction.js';
+import { NumericSolver } from '../features/math/NumericSolver.js';
+import { evaluate, variablesOf, solveRelation, RELATIONS, NONE, ANY } from '../features/math/Arithmetic.js';
+import { simplify, expand, substitute, differentiate, isolate, fromTerm, format as formatExpression } from '../features/math/Algebra.js';
 import { TimeStep } from '../features/temporal/TimeStep.js';
-import { Variable, createVariable } from './Variable.js';
+import { createVariable } from './Variable.js';
+import { functions, encode, decode } from './Snapshot.js';
 import esprima from 'esprima';
 
+// The test addConstraint installs; it keeps its constraint so snapshots can save it
+const constraintTest = (constraint) => Object.assign(x => constraint.evaluate(x), { constraint });
+
 class PrologScript {
     constructor() {
         this.realities = new Map();
         this.activeReality = null;
+        this.accessibility = new Map();  // Reality name -> names of the realities possible from it
         this.universalLaws = new UniversalLaws();
-        this.knowledgeBase = new Map();
-        this.rules = new Map();
+        // Knowledge every reality inherits; see knowledgeBase and shared()
+        this.base = {
+            knowledgeBase: new FactStore(),
+            clauses: new ClauseDatabase(),
+            semanticRelations: new SemanticNetwork()
+        };
+        this.base.knowledgeBase.indexOn('isA', 2, 1);
+        this.base.knowledgeBase.indexOn('hasA', 3, 1);
+        this.sharing = false;
+        this.tabled = new Set();
         this.context = new UnificationContext();
-        this.semanticRelations = new Map();
+        this.expressions = new Map();  // AST hash -> expression Term of the last query, see ast()
+        this.resolver = new Resolver(this);
+        this.tracer = new Tracer();
+        this.limits = { maxDepth: 100 };  // Defaults for every query, see queryWith()
+        this.queryOptions = null;
+        this.variables = new Map();  // Constrained query variables, see variable()
+        this.output = (text) => process.stdout.write(text);  // Where format/1 and format/2 write
+        this.predicates = new Map();
         this.timeline = [];
         this._initializePredicates();
         this._initializeMathPredicates();
         this._initializeWavePredicates();
         this._initializeUniversalLaws();
         this._initializeCounterfactualPredicates();
+        // Every session starts with these, so snapshots leave them out
+        this.builtins = { predicates: new Map(this.predicates), laws: new Map(this.universalLaws.causalRules) };
+    }
+
+    // Snapshots refer to functions by the name registered here, e.g.
+    // ps.addUniversalLaw('gravity', PrologScript.registerFunction('always', () => true), ...)
+    static registerFunction(name, fn) {
+        return functions.register(name, fn);
+    }
+
+    // The session as plain JSON: realities, their knowledge, causal models,
+    // histories and agents, the shared base, universal laws, predicates and
+    // the timeline. Every function in it has to be registered.
+    save() {
+        const layers = { facts: [], clauses: [], relations: [] };
+        const ids = new Map();
+        // Each layer is saved once, after the one it is over
+        const layerId = (kind, layer) => {
+            if (!ids.has(layer)) {
+                const under = layer.base ?? layer.parent ?? null;
+                const base = under === null ? null : layerId(kind, under);
+                ids.set(layer, layers[kind].length);
+                layers[kind].push({ base, ...layer.toJSON() });
+            }
+            return ids.get(layer);
+        };
+        const knowledge = (layer) => ({
+            facts: layerId('facts', layer.knowledgeBase),
+            clauses: layerId('clauses', layer.clauses),
+            relations: layerId('relations', layer.semanticRelations)
+        });
+
+        const laws = this.universalLaws;
+        return {
+            version: 1,
+            base: knowledge(this.base),
+            realities: Array.from(this.realities.values(), reality => ({ ...reality.toJSON(), knowledge: knowledge(reality) })),
+            layers,
+            activeReality: this.activeReality ? this.activeReality.name : null,
+            accessibility: [...this.accessibility].map(([from, to]) => [from, [...to]]),
+            universalLaws: {
+                rules: [...laws.causalRules]
+                    .filter(([name, rule]) => this.builtins.laws.get(name) !== rule)
+                    .map(([name, { condition, mechanism }]) => ({ name, condition: encode(condition), mechanism: encode(mechanism) })),
+                overrides: [...laws.causalRules].map(([name, rule]) => [name, encode(rule.override)]),
+                constants: encode(laws.constants),
+                invariants: [...laws.invariants]
+            },
+            // Universal laws define their own predicates
+            predicates: [...this.predicates]
+                .filter(([name, fn]) => this.builtins.predicates.get(name) !== fn && !laws.causalRules.has(name))
+                .map(([name, fn]) => [name, encode(fn)]),
+            tabled: [...this.tabled],
+            // Constraints from addConstraint as operator and value, others by registered name
+            variables: [...this.variables].map(([name, variable]) => [name, [...variable.constraints].map(test =>
+                test.constraint ? { operator: test.constraint.operator, value: encode(test.constraint.value) } : encode(test))]),
+            limits: encode(this.limits),
+            timeline: this.timeline.map(step => ({ timestamp: step.timestamp, states: encode(step.states) }))
+        };
+    }
+
+    // A session restored from save(), after the functions it names are registered
+    static load(snapshot) {
+        const ps = new PrologScript();
+        const { universalLaws } = snapshot;
+        for (const { name, condition, mechanism } of universalLaws.rules) {
+            ps.addUniversalLaw(name, decode(condition), decode(mechanism));
+        }
+        for (const [name, override] of universalLaws.overrides) {
+            ps.universalLaws.causalRules.get(name).override = decode(override);
+        }
+        ps.universalLaws.constants = decode(universalLaws.constants);
+        ps.universalLaws.invariants = new Set(universalLaws.invariants);
+        for (const [name, fn] of snapshot.predicates) {
+            ps.predicate(name, decode(fn));
+        }
+
+        const roots = { facts: FactStore, clauses: ClauseDatabase, relations: SemanticNetwork };
+        const layered = { facts: LayeredFactStore, clauses: LayeredClauseDatabase, relations: SemanticNetwork };
+        const layers = {};
+        for (const [kind, entries] of Object.entries(snapshot.layers)) {
+            layers[kind] = [];
+            for (const { base, ...json } of entries) {
+                layers[kind].push(base === null ? roots[kind].fromJSON(json) : layered[kind].fromJSON(json, layers[kind][base]));
+            }
+        }
+        const knowledge = (ids) => ({
+            knowledgeBase: layers.facts[ids.facts],
+            clauses: layers.clauses[ids.clauses],
+            semanticRelations: layers.relations[ids.relations]
+        });
+
+        ps.base = knowledge(snapshot.base);
+        for (const json of snapshot.realities) {
+            ps.realities.set(json.name, Object.assign(Reality.fromJSON(json), knowledge(json.knowledge)));
+        }
+        ps.activeReality = snapshot.activeReality === null ? null : ps.realities.get(snapshot.activeReality);
+        ps.accessibility = new Map(snapshot.accessibility.map(([from, to]) => [from, new Set(to)]));
+        ps.tabled = new Set(snapshot.tabled);
+        for (const [name, tests] of snapshot.variables) {
+            const variable = ps.variable(name);
+            for (const test of tests) {
+                variable.addConstraint('operator' in test ? constraintTest(new MathConstraint(test.operator, decode(test.value))) : decode(test));
+            }
+        }
+        ps.limits = decode(snapshot.limits);
+        ps.timeline = snapshot.timeline.map(({ timestamp, states }) => new TimeStep(timestamp, decode(states)));
+        return ps;
+    }
+
+    // Facts, rules and semantic relations of the active reality, which layers
+    // its own over the base; the base itself with no active reality or in shared()
+    get _layer() {
+        return this.activeReality && !this.sharing ? this.activeReality : this.base;
+    }
+
+    get knowledgeBase() {
+        return this._layer.knowledgeBase;
+    }
+
+    get rules() {
+        return this._layer.clauses;
+    }
+
+    get semanticRelations() {
+        return this._layer.semanticRelations;
+    }
+
+    // Run fn(ps) with facts, rules and relations read from and written to the base
+    shared(fn) {
+        const sharing = this.sharing;
+        this.sharing = true;
+        try {
+            return fn(this);
+        } finally {
+            this.sharing = sharing;
+        }
     }
 
     // Reality Management
     createReality(name) {
-        const reality = new Reality(name);
+        const reality = new Reality(name, this.base);
         this.realities.set(name, reality);
         if (!this.activeReality) {
             this.activeReality = reality;
@@ -39,6 +208,95 @@ class PrologScript {
         return reality;
     }
 
+    // New reality continuing from another, by default the active one; see
+    // Reality.fork. Universal law overrides carry over to the fork.
+    forkReality(name, from = this.activeReality?.name, options = {}) {
+        const source = this._reality(from);
+        if (this.realities.has(name)) {
+            throw new Error(`Reality ${name} already exists`);
+        }
+        const fork = source.fork(name, options);
+        this.realities.set(name, fork);
+        for (const rule of this.universalLaws.causalRules.values()) {
+            if (rule.override.has(from)) rule.override.set(name, rule.override.get(from));
+        }
+        return fork;
+    }
+
+    // What changes from reality a to reality b, see RealityDiff
+    diffRealities(a, b) {
+        return RealityDiff.between(this._reality(a), this._reality(b), this.universalLaws);
+    }
+
+    _reality(name) {
+        const reality = this.realities.get(name);
+        if (!reality) {
+            throw new Error(`Reality ${name} not found`);
+        }
+        return reality;
+    }
+
+    // Modal queries
+    // Make reality `to` possible from reality `from`; symmetric also adds the way back
+    addAccessibility(from, to, { symmetric = false } = {}) {
+        for (const [source, target] of symmetric ? [[from, to], [to, from]] : [[from, to]]) {
+            this._reality(source);
+            this._reality(target);
+            if (!this.accessibility.has(source)) this.accessibility.set(source, new Set());
+            this.accessibility.get(source).add(target);
+        }
+    }
+
+    // Names of the realities possible from one, by default the active one. A
+    // reality with no accessibility declared reaches every reality, itself included.
+    accessibleRealities(from = this.activeReality?.name) {
+        const reachable = this.accessibility.get(this._reality(from).name);
+        return reachable ? [...reachable] : [...this.realities.keys()];
+    }
+
+    // True when the goal holds in some reality possible from the active one
+    possibly(goal, ...args) {
+        for (const { holds } of this._modal(goal, args)) {
+            if (holds) return true;
+        }
+        return false;
+    }
+
+    // True when the goal holds in every reality possible from the active one
+    necessarily(goal, ...args) {
+        for (const { holds } of this._modal(goal, args)) {
+            if (!holds) return false;
+        }
+        return true;
+    }
+
+    // [{ reality, bindings }] for the possible realities where the goal holds;
+    // bindings lists the solutions, and is empty for a goal without variables
+    inWhich(goal, ...args) {
+        return [...this._modal(goal, args)]
+            .filter(({ holds }) => holds)
+            .map(({ reality, bindings }) => ({ reality, bindings }));
+    }
+
+    // Runs the query in each possible reality in turn, then restores the active one
+    *_modal(goal, args) {
+        if (!this.activeReality) {
+            throw new Error('No active reality');
+        }
+        const active = this.activeReality;
+        try {
+            for (const name of this.accessibleRealities(active.name)) {
+                this.activeReality = this.realities.get(name);
+                const { holds, result } = this._answer(goal, args);
+                const bindings = result instanceof Map ? [result] :
+                    Array.isArray(result) && result.every(solution => solution instanceof Map) ? result : [];
+                yield { reality: name, holds, bindings };
+            }
+        } finally {
+            this.activeReality = active;
+        }
+    }
+
     switchReality(name) {
         const reality = this.realities.get(name);
         if (reality) {
@@ -73,7 +331,7 @@ class PrologScript {
             // Check for reality-specific override
             const override = rule.override.get(this.activeReality.name);
             
-            if (override && override.condition(this.activeReality)) {
+            if (override && (override.condition === null || override.condition(this.activeReality))) {
                 // Use override mechanism
                 return override.mechanism(state);
             } else if (rule.condition(this.activeReality)) {
@@ -109,7 +367,7 @@ class PrologScript {
         // Store the override for this reality
         rule.override.set(this.activeReality.name, {
             mechanism: newMechanism,
-            condition: condition || (() => true)
+            condition  // null applies the override always
         });
     
         return true;
@@ -148,6 +406,7 @@ class PrologScript {
     // Predicate definition
     predicate(name, func) {
         this[name] = func;
+        this.predicates.set(name, func);
         return true;
     }
 
@@ -187,188 +446,78 @@ class PrologScript {
             return false;
         });
 
-        // Arithmetic predicates
-        this.predicate('add', ($X, $Y, $Result) => {
-
-            const x = this._evaluateArithmetic($X);
-            const y = this._evaluateArithmetic($Y);
-            
-            if (x !== null && y !== null) {
-                return this.unify($Result, x + y);
-            }
+        // Arithmetic predicates solve for any one unbound argument. With more
+        // unknowns they record the expression instead, see _recordOperation.
+        this.predicate('add', ($X, $Y, $Result) =>
+            this._solveArithmetic('add/3', RELATIONS.add, [$X, $Y, $Result],
+                () => this._recordOperation('+', $X, $Y, $Result)));
 
-            const xTerm = this._resolveTerm($X);
-            const yTerm = this._resolveTerm($Y);
-            const resultTerm = this._resolveTerm($Result);
+        this.predicate('subtract', ($X, $Y, $Result) =>
+            this._solveArithmetic('subtract/3', RELATIONS.subtract, [$X, $Y, $Result],
+                () => this._recordOperation('-', $X, $Y, $Result)));
 
-            // Create an AST for the expression X + Y
-            const ast = Term.createBinaryOp('+', xTerm, yTerm);
+        this.predicate('multiply', ($X, $Y, $Result) =>
+            this._solveArithmetic('multiply/3', RELATIONS.multiply, [$X, $Y, $Result],
+                () => this._recordOperation('*', $X, $Y, $Result)));
 
-            // If both X and Y are bound, compute the result but preserve the AST
-            if (!xTerm.isVariable() && !yTerm.isVariable()) {
-                const computedValue = xTerm.value + yTerm.value;
-                return this.unify($Result, new Term(computedValue, ast));
-            }
+        this.predicate('divide', ($X, $Y, $Result) =>
+            this._solveArithmetic('divide/3', RELATIONS.divide, [$X, $Y, $Result],
+                () => this._recordOperation('/', $X, $Y, $Result)));
 
-            // If Result is bound, solve for X or Y
-            if (!resultTerm.isVariable()) {
-                const computedValue = resultTerm.value;
-                
-                // Solve for X if Y is known
-                if (!yTerm.isVariable()) {
-                    return this.unify($X, new Term(computedValue - yTerm.value, ast));
-                }
-
-                // Solve for Y if X is known
-                if (!xTerm.isVariable()) {
-                    return this.unify($Y, new Term(computedValue - xTerm.value, ast));
-                }
-            }
-
-            this.context.bindings.set("X", xTerm);
-            this.context.bindings.set("Y", yTerm);
-
-            const hashAST = ps._hashAST(ast);
-            const astTerm = new Term(hashAST, ast);
-
-            this.context.bindings.set(hashAST, astTerm);
-
-            // Otherwise, bind the AST to the result variable
-            return this.unify($Result, astTerm);
-        });
-
-        this.predicate('subtract', ($X, $Y, $Result) => {
-            const x = this._evaluateArithmetic($X);
-            const y = this._evaluateArithmetic($Y);
-            if (x !== null && y !== null) {
-                return this.unify($Result, x - y);
-            }
-            return false;
-        });
-
-        this.predicate('multiply', ($X, $Y, $Result) => {
-            const x = this._evaluateArithmetic($X);
-            const y = this._evaluateArithmetic($Y);
-            if (x !== null && y !== null) {
-                return this.unify($Result, x * y);
-            }
-            return false;
-        });
-
-        this.predicate('divide', ($X, $Y, $Result) => {
-            const x = this._evaluateArithmetic($X);
-            const y = this._evaluateArithmetic($Y);
-            if (x !== null && y !== null && y !== 0) {
-                return this.unify($Result, x / y);
-            }
-            return false;
-        });
-
-        this.predicate('mod', ($X, $Y, $Result) => {
-            const x = this._evaluateArithmetic($X);
-            const y = this._evaluateArithmetic($Y);
-            if (x !== null && y !== null && y !== 0) {
-                return this.unify($Result, x % y);
-            }
-            return false;
-        });
+        this.predicate('mod', ($X, $Y, $Result) =>
+            this._solveArithmetic('mod/3', RELATIONS.mod, [$X, $Y, $Result],
+                () => this._recordOperation('%', $X, $Y, $Result)));
 
         // Comparison predicates
-        this.predicate('greater', ($X, $Y) => {
-            const x = this._evaluateArithmetic($X);
-            const y = this._evaluateArithmetic($Y);
-            return x !== null && y !== null && x > y;
-        });
+        this.predicate('greater', ($X, $Y) =>
+            this._compareArithmetic('greater/2', [$X, $Y], (x, y) => x > y));
 
-        this.predicate('less', ($X, $Y) => {
-            const x = this._evaluateArithmetic($X);
-            const y = this._evaluateArithmetic($Y);
-            return x !== null && y !== null && x < y;
-        });
+        this.predicate('less', ($X, $Y) =>
+            this._compareArithmetic('less/2', [$X, $Y], (x, y) => x < y));
     }
 
     _initializeMathPredicates() {
-        // Arithmetic operations
-        this.predicate('computeSum', ($X, $Y, $Z) => {
-            const x = this._resolveValue($X);
-            const y = this._resolveValue($Y);
-            const z = this._resolveValue($Z);
-            return z === x + y;
-        });
+        // Arithmetic operations, reversible in every mode with a single answer
+        this.predicate('computeSum', ($X, $Y, $Z) =>
+            this._solveArithmetic('computeSum/3', RELATIONS.add, [$X, $Y, $Z]));
 
-        this.predicate('computeMultiply', ($X, $Y, $Z) => {
-            const x = this._resolveValue($X);
-            const y = this._resolveValue($Y);
-            const z = this._resolveValue($Z);
-            return z === x * y;
-        });
+        this.predicate('computeMultiply', ($X, $Y, $Z) =>
+            this._solveArithmetic('computeMultiply/3', RELATIONS.multiply, [$X, $Y, $Z]));
 
-        this.predicate('computeDivide', ($X, $Y, $Z) => {
-            const x = this._resolveValue($X);
-            const y = this._resolveValue($Y);
-            const z = this._resolveValue($Z);
-            return y !== 0 && z === x / y;
-        });
+        this.predicate('computeDivide', ($X, $Y, $Z) =>
+            this._solveArithmetic('computeDivide/3', RELATIONS.divide, [$X, $Y, $Z]));
 
         // Comparison predicates
-        this.predicate('computeGreaterThan', ($X, $Y) => {
-            const x = this._resolveValue($X);
-            const y = this._resolveValue($Y);
-            return x > y;
-        });
+        this.predicate('computeGreaterThan', ($X, $Y) =>
+            this._compareArithmetic('computeGreaterThan/2', [$X, $Y], (x, y) => x > y));
 
-        this.predicate('computeLessThan', ($X, $Y) => {
-            const x = this._resolveValue($X);
-            const y = this._resolveValue($Y);
-            return x < y;
-        });
+        this.predicate('computeLessThan', ($X, $Y) =>
+            this._compareArithmetic('computeLessThan/2', [$X, $Y], (x, y) => x < y));
 
         // Mathematical functions
-        this.predicate('computeSquare', ($X, $Y) => {
-            const x = this._resolveValue($X);
-            const y = this._resolveValue($Y);
-            return y === x * x;
-        });
+        this.predicate('computeSquare', ($X, $Y) =>
+            this._solveArithmetic('computeSquare/2', RELATIONS.square, [$X, $Y]));
 
-        this.predicate('computeSqrt', ($X, $Y) => {
-            const x = this._resolveValue($X);
-            const y = this._resolveValue($Y);
-            return x >= 0 && y === Math.sqrt(x);
-        });
+        this.predicate('computeSqrt', ($X, $Y) =>
+            this._solveArithmetic('computeSqrt/2', RELATIONS.sqrt, [$X, $Y]));
 
-        this.predicate('computePower', ($X, $Y, $Z) => {
-            const x = this._resolveValue($X);
-            const y = this._resolveValue($Y);
-            const z = this._resolveValue($Z);
-            return z === Math.pow(x, y);
-        });
+        this.predicate('computePower', ($X, $Y, $Z) =>
+            this._solveArithmetic('computePower/3', RELATIONS.power, [$X, $Y, $Z]));
 
         // Modulo operation
-        this.predicate('computeMod', ($X, $Y, $Z) => {
-            const x = this._resolveValue($X);
-            const y = this._resolveValue($Y);
-            const z = this._resolveValue($Z);
-            return y !== 0 && z === x % y;
-        });
+        this.predicate('computeMod', ($X, $Y, $Z) =>
+            this._solveArithmetic('computeMod/3', RELATIONS.mod, [$X, $Y, $Z]));
 
         // Range constraints
-        this.predicate('computeBetween', ($X, $Min, $Max) => {
-            const x = this._resolveValue($X);
-            const min = this._resolveValue($Min);
-            const max = this._resolveValue($Max);
-            return x >= min && x <= max;
-        });
+        this.predicate('computeBetween', ($X, $Min, $Max) =>
+            this._compareArithmetic('computeBetween/3', [$X, $Min, $Max], (x, min, max) => x >= min && x <= max));
 
         // Even/Odd predicates
-        this.predicate('isEven', ($X) => {
-            const x = this._resolveValue($X);
-            return x % 2 === 0;
-        });
+        this.predicate('isEven', ($X) =>
+            this._compareArithmetic('isEven/1', [$X], x => x % 2 === 0));
 
-        this.predicate('isOdd', ($X) => {
-            const x = this._resolveValue($X);
-            return x % 2 === 1;
-        });
+        this.predicate('isOdd', ($X) =>
+            this._compareArithmetic('isOdd/1', [$X], x => x % 2 === 1));
     }
 
     _initializeUniversalLaws() {
@@ -514,9 +663,8 @@ class PrologScript {
             }
             this.activeReality.causalModel.nodes.get(variable).state = state;
 
-             // Also add to knowledgeBase
-            const key = `${variable}`;
-            this.knowledgeBase.set(key, state);
+            // Also record the state as a fact
+            this.knowledgeBase.set(variable, [state], 0);
 
             return true;
         });
@@ -565,52 +713,27 @@ class PrologScript {
         this.timeline.sort((a, b) => a.timestamp - b.timestamp);
     }
 
-    addSemanticRelation(term1, term2) {
-        // Get or create set for term1
-        if (!this.semanticRelations.has(term1)) {
-            this.semanticRelations.set(term1, new Set());
-        }
-        // Get or create set for term2
-        if (!this.semanticRelations.has(term2)) {
-            this.semanticRelations.set(term2, new Set());
-        }
-        
-        // Add bidirectional relationship
-        this.semanticRelations.get(term1).add(term2);
-        this.semanticRelations.get(term2).add(term1);
+    // Relations are typed (synonym, hypernym, part-of, antonym or any other
+    // name) and weighted in (0, 1]; see SemanticNetwork
+    addSemanticRelation(term1, term2, options = {}) {
+        this.semanticRelations.add(term1, term2, options);
     }
-    
-    areSemanticallySimilar(term1, term2) {
-        if (term1 === term2) return true;
-        
-        // Direct relationship check
-        if (this.semanticRelations.has(term1) && 
-            this.semanticRelations.get(term1).has(term2)) {
-            return true;
-        }
-    
-        // Check transitive relationships (if A->B and B->C, then A->C)
-        const visited = new Set();
-        const queue = [term1];
-    
-        while (queue.length > 0) {
-            const current = queue.shift();
-            if (visited.has(current)) continue;
-            visited.add(current);
-    
-            const related = this.semanticRelations.get(current);
-            if (related && related.has(term2)) return true;
-    
-            if (related) {
-                for (const term of related) {
-                    if (!visited.has(term)) {
-                        queue.push(term);
-                    }
-                }
-            }
-        }
-    
-        return false;
+
+    // Options override semanticRelations.options: threshold, decay and types
+    areSemanticallySimilar(term1, term2, options = {}) {
+        return this.semanticRelations.match(term1, term2, options) !== null;
+    }
+
+    // Score of the best chain of relations between two terms, 0 when unrelated
+    semanticSimilarity(term1, term2, options = {}) {
+        return this.semanticRelations.similarity(term1, term2, options);
+    }
+
+    // Best-scoring chain of semantic relations from term1 to term2, e.g.
+    // ['alive', 'living', 'life'], or null when they are not similar
+    semanticPath(term1, term2, options = {}) {
+        const match = this.semanticRelations.match(term1, term2, options);
+        return match ? match.path : null;
     }
 
     _resolveValue(value) {
@@ -620,42 +743,126 @@ class PrologScript {
         return value;
     }
 
-    // Add constraint to variable
+    // Constrain a query variable: every later query checks each value the
+    // engine binds it to. Returns false when the current binding violates it.
     addConstraint(varName, operator, value) {
-        const constraint = new MathConstraint(operator, value);
-        // Try to get the variable instance from the context.
-        let variable = this.context.bindings.get(varName);
-        if (!variable || !(variable instanceof Variable)) {
-            // If no Variable instance exists, create one and add it to the context.
-            variable = createVariable(varName);
-            this.context.bindings.set(varName, variable);
-        }
-        // Add the constraint to the variable.
-        variable.addConstraint(x => constraint.evaluate(x));
-        return true;
+        const variable = this.variable(varName);
+        variable.addConstraint(constraintTest(new MathConstraint(operator, value)));
+        return variable.attach(this.context);
     }
 
-    // Add mathematical rule
+    // Remove the constraints addConstraint put on a query variable with this
+    // operator and value, or every constraint of the variable when only the
+    // name is given. Returns how many were removed.
+    removeConstraint(varName, operator, value) {
+        const key = varName.replace(/^\$/, '');
+        const variable = this.variables.get(key);
+        if (!variable) return 0;
+        const removed = [...variable.constraints].filter(test => operator === undefined ||
+            (test.constraint && test.constraint.operator === operator && test.constraint.value === value));
+        removed.forEach(test => variable.removeConstraint(test, this.context));
+        if (variable.constraints.size === 0) this.variables.delete(key);
+        return removed.length;
+    }
+
+    // The handle for a query variable, created on first use; its constraints
+    // are attached to every query's context
+    variable(name) {
+        const key = name.replace(/^\$/, '');
+        if (!this.variables.has(key)) this.variables.set(key, createVariable(key));
+        return this.variables.get(key);
+    }
+
+    // Add mathematical rule: a condition that fails rather than throws, kept
+    // as given so a registered expression can be saved
     addMathRule(head, expression) {
-        this.addRule(head, (context) => {
-            try {
-                return expression(context);
-            } catch (e) {
-                return false;
+        this.addRule(head, expression).failOnError = true;
+    }
+
+    // Real solutions of one equation or a system. Equations are Prolog text such
+    // as 'X ^ 2 = 2', Terms, or functions of the context returning a residual
+    // whose zero is wanted. Options: min/max or per-variable bounds, tolerance,
+    // residualTolerance, maxIterations, samples and starts. Each solution maps
+    // variable names to values, reports residual and tolerance, and can seed a
+    // query through queryWith({ bindings: solution }, goal).
+    solveEquation(equations, variables, options = {}) {
+        const list = [].concat(equations).map(equation => typeof equation === 'string' ? this._parseTerm(equation) : equation);
+        const names = variables === undefined ?
+            variablesOf(list.filter(equation => typeof equation !== 'function')) :
+            [].concat(variables).map(name => name.startsWith('$') ? name : `$${name}`);
+        if (names.length === 0) {
+            throw new Error('solveEquation needs at least one variable');
+        }
+
+        const { min = -1000, max = 1000, bounds = {}, ...settings } = options;
+        const ranges = names.map(name => ({ min, max, ...bounds[name.slice(1)] }));
+        const context = new UnificationContext();
+        const residuals = list.map(equation => {
+            if (typeof equation === 'function') {
+                return (values) => {
+                    names.forEach((name, i) => context.bindings.set(name.slice(1), values[i]));
+                    const residual = equation(context);
+                    if (typeof residual !== 'number') {
+                        throw new Error('Equation functions must return a number: the residual whose zero is the solution');
+                    }
+                    return residual;
+                };
             }
+            const [left, right] = equation instanceof Term && ['=', '=:='].includes(equation.functor) && equation.arity === 2 ?
+                equation.args : [equation, 0];
+            return (values) => {
+                const valueOf = (name) => values[names.indexOf(name)];
+                return evaluate(left, valueOf) - evaluate(right, valueOf);
+            };
         });
+        return new NumericSolver(settings).solve(residuals, names.map(name => name.slice(1)), ranges);
     }
 
-    // Solve mathematical equation
-    solveEquation(equation, variable, range = { min: -1000, max: 1000 }) {
-        const solutions = [];
-        for (let x = range.min; x <= range.max; x++) {
-            this.context.bindings.set(variable, x);
-            if (equation(this.context)) {
-                solutions.push(x);
-            }
+    // Symbolic algebra. Expressions may be expression Terms such as the result
+    // of add with unbound arguments, Prolog text like 'X ^ 2 + 1', Terms, or
+    // lambdas as accepted by ast(). Results are numbers when the expression
+    // reduces to a constant, otherwise Terms showing the expression as text.
+    simplify(expression) {
+        return this._expressionTerm(simplify(this._expressionAST(expression)));
+    }
+
+    expand(expression) {
+        return this._expressionTerm(expand(this._expressionAST(expression)));
+    }
+
+    // bindings: a Map or object from variable name to number, Term or expression
+    substitute(expression, bindings) {
+        const values = new Map([...(bindings instanceof Map ? bindings : Object.entries(bindings))]
+            .map(([name, value]) => [name, typeof value === 'string' || typeof value === 'function' ? this._expressionAST(value) : value]));
+        return this._expressionTerm(substitute(this._expressionAST(expression), values));
+    }
+
+    differentiate(expression, variable) {
+        return this._expressionTerm(differentiate(this._expressionAST(expression), variable.replace(/^\$/, '')));
+    }
+
+    // Solutions for a variable of an equation given as text ('Y = 2 * X + 1'),
+    // an =/2 Term, a [left, right] pair or an expression equal to zero
+    isolate(equation, variable) {
+        const term = typeof equation === 'string' && !equation.startsWith('$') ? this._parseTerm(equation) : equation;
+        const [left, right] = Array.isArray(term) ? term :
+            term instanceof Term && term.functor === '=' && term.arity === 2 ? term.args : [term, 0];
+        return isolate(this._expressionAST(left), this._expressionAST(right), variable.replace(/^\$/, ''))
+            .map(solution => this._expressionTerm(solution));
+    }
+
+    _expressionAST(expression) {
+        if (typeof expression === 'function') {
+            return this._parseLambdaToAST(expression.toString());
+        }
+        if (typeof expression === 'string' && !expression.startsWith('$')) {
+            return fromTerm(this._parseTerm(expression));
         }
-        return solutions;
+        return fromTerm(expression);
+    }
+
+    _expressionTerm(ast) {
+        return ast.type === 'Literal' ? ast.value : new Term(formatExpression(ast), ast);
     }
 
     // Enhanced unification with occurs check
@@ -690,7 +897,7 @@ class PrologScript {
 
         // Case 5: If both terms have an AST, unify their ASTs as well
         if (t1.isExpression() && t2.isExpression()) {
-            if (!this._unifyAST(t1.ast, t2.ast)) return false;
+            if (!this._compareAST(this._standardizeAST(t1.ast), this._standardizeAST(t2.ast))) return false;
         }
 
         if (t1.isList() && t2.isList()) {
@@ -699,48 +906,78 @@ class PrologScript {
                 this.unify(item, t2.value[index]));
         }
 
+        // Compound terms unify argument by argument
+        if (t1.isCompound() || t2.isCompound()) {
+            if (!t1.isCompound() || !t2.isCompound()) return false;
+            if (t1.functor !== t2.functor || t1.arity !== t2.arity) return false;
+            return t1.args.every((arg, index) => this.unify(arg, t2.args[index]));
+        }
+
         return t1.value === t2.value;
     }
 
     query(goal, ...args) {
+        return this._answer(goal, args).result;
+    }
+
+    // What query() returns, and whether the goal holds: a fact's value or a
+    // causal node's state may be false or null even though the goal holds
+    _answer(goal, args) {
         if (!this.activeReality) {
             throw new Error('No active reality');
         }
 
-        // Handle predefined predicate types (isA, hasA)
+        // Prolog source text such as 'ancestor(X, alice)' or 'X #> 3'
+        if (args.length === 0 && this._isPrologText(goal)) {
+            return this._answer(this._parseGoalText(goal), []);
+        }
+
+        // A compound goal carries its own arguments
+        if (goal instanceof Term && goal.isCompound()) {
+            return this._answer(goal.functor, goal.args);
+        }
+
+        const FAILED = { holds: false, result: false };
+        // Every query starts from a fresh context, whichever path answers it
+        const { maxSolutions = Infinity, bindings = [], ...limits } = { ...this.limits, ...this.queryOptions };
+        this.context = new UnificationContext();
+        this.expressions = new Map();
+        this.context.applyLimits(limits);
+        for (const variable of this.variables.values()) {
+            if (!variable.attach(this.context)) return FAILED;
+        }
+        for (const [name, value] of bindings) {
+            if (!this.context.bindAttributed(name, value)) return FAILED;
+        }
+
+        // Handle predefined predicate types (isA, hasA); open queries are resolved below
         const predicateType = goal.split(':')[0];
-        if (['isA', 'hasA'].includes(predicateType)) {
-            const result = (() => {
-                switch (predicateType) {
-                    case 'isA':
-                        return this._queryIsA(args[0], args[1]);
-                    case 'hasA':
-                        return this._queryHasA(args[0], args[1]);
-                }
-            })();
-
-            // Convert result to bindings if variables are present
-            if (result && args.some(arg => this._isVariable(arg))) {
-                const bindings = new Map();
-                args.forEach((arg, index) => {
-                    if (this._isVariable(arg)) {
-                        bindings.set(arg.slice(1), result);
-                    }
-                });
-                return bindings;
+        const isFact = ['isA', 'hasA'].includes(predicateType);
+        if (isFact && !args.some(arg => this._isVariable(arg))) {
+            if (predicateType === 'isA') {
+                const result = this._queryIsA(args[0], args[1]);
+                return { holds: Boolean(result), result };
             }
-            return result;
+            // hasA(E, P) gives the value; hasA(E, P, V) whether it matches V as in rule bodies
+            const found = this.propertyOf(args[0], args[1]);
+            if (args.length < 3) return { holds: found !== null, result: found ? found.value : null };
+            const holds = found !== null && this.resolver._unifyValue(args[2], found.value, this.context);
+            return { holds, result: holds };
         }
     
-        // Handle predicate functions
-        if (typeof this[goal] === 'function') {
+        // Registered JavaScript predicates, unless clauses define the name
+        if (this.predicates.has(goal) && !isFact && !this.rules.hasFunctor(goal)) {
             this.context.incrementDepth();
             try {
-                const success = this[goal](...args);
-                if (success && this.context.bindings.size > 0) {
-                    return this.context.getBindings();
+                const success = this.predicates.get(goal)(...args);
+                const holds = success !== false && success !== null && success !== undefined;
+                // The bindings of the query's own variables, not those made internally
+                const names = new Set(this._collectVariables(args).map(name => name.slice(1)));
+                const bindings = [...this.context.bindings].filter(([name]) => names.has(name) && !Term.isFreshVariable(name));
+                if (success && bindings.length > 0) {
+                    return { holds, result: new Map(bindings) };
                 }
-                return success;
+                return { holds, result: success };
             } finally {
                 this.context.decrementDepth();
             }
@@ -750,66 +987,43 @@ class PrologScript {
         if (this.activeReality.causalModel.nodes.has(goal)) {
             const node = this.activeReality.causalModel.nodes.get(goal);
             if (args.length === 0) {
-                return node.state;
+                return { holds: true, result: node.state };
             }
             // If there are args, create a binding
             if (args.length === 1 && this._isVariable(args[0])) {
-                const results = new Map();
-                const solution = new Map();
-                solution.set(args[0].slice(1), node.state);
-                results.set(0, solution);
-                return solution;
+                return { holds: true, result: new Map([[args[0].slice(1), node.state]]) };
             }
         }
     
-        const queryKey = `${goal}:${args.join(':')}`;
         const results = new Map();
-        this.context = new UnificationContext();
+        const seen = new Set();  // Variant keys of the solutions in results
     
-        // Rest of the existing query function...
-        // Direct fact check
-        for (let [key, value] of this.knowledgeBase) {
-            const bindings = this._matchPattern(queryKey, key);
-            if (bindings) {
-                if (value instanceof Set) {
-                    Array.from(value).forEach(v => {
-                        const solution = new Map(bindings);
-                        solution.set('result', v);
-                        results.set(results.size, solution);
-                    });
-                } else {
-                    const solution = new Map(bindings);
-                    solution.set('result', value);
-                    results.set(results.size, solution);
+        // Facts and rules: enumerate every solution by resolution
+        // Anonymous and other made-up variables are not part of the answer
+        const variables = this._collectVariables(args).filter(name => !Term.isFreshVariable(name));
+        try {
+            for (const context of this.resolver.solve([toGoal(goal, args)], this.context)) {
+                const solution = new Map();
+                for (const variable of variables) {
+                    solution.set(variable.slice(1), context.resolve(variable));
                 }
-            }
-        }
-    
-        // Rule-based inference with backtracking
-        const findSolution = () => {
-            if (this._evaluateGoal(goal, args)) {
-                const solution = new Map(this.context.bindings);
-                if (!this._hasSolution(results, solution)) {  // Only add if it's a new solution
-                    results.set(results.size, solution);
-                    return true;
+                const key = variantKey([...solution.values()]);
+                if (seen.has(key)) continue;  // Only add new solutions
+                seen.add(key);
+                if (results.size >= maxSolutions) {
+                    throw new QueryLimitError('maxSolutions', `More than ${maxSolutions} solutions`);
                 }
+                results.set(results.size, solution);
             }
-            return this._backtrack();
-        };
-    
-        try {
-            this.context.incrementDepth();
-            while (findSolution()) {
-                if (results.size >= this.context.maxDepth) {
-                    throw new Error('Maximum number of solutions exceeded');
-                }
+        } catch (error) {
+            if (error instanceof QueryLimitError) {
+                error.solutions = Array.from(results.values());
             }
-        } finally {
-            this.context.decrementDepth();
+            throw error;
         }
     
         if (results.size === 0) {
-            return false;
+            return FAILED;
         }
     
         // Extract Variables from AST and Store Them in Bindings
@@ -826,58 +1040,291 @@ class PrologScript {
         }
     
         // If query contained variables
-        if (args.some(arg => this._isVariable(arg))) {
-            return results.size === 1 ? 
-                Array.from(results.values())[0] : 
-                Array.from(results.values());
+        if (variables.length > 0 || args.some(arg => this._isVariable(arg))) {
+            return {
+                holds: true,
+                result: results.size === 1 ? Array.from(results.values())[0] : Array.from(results.values())
+            };
         }
     
-        return true;
+        return { holds: true, result: true };
+    }
+
+    // query() with per-query limits: maxDepth, maxInferences, maxSolutions,
+    // timeout (ms) and signal (an AbortSignal). Hitting one throws a QueryLimitError
+    // whose limit names it and whose solutions holds the answers found so far.
+    // bindings (a Map of variable name to value) fixes variables before solving.
+    queryWith(options, goal, ...args) {
+        const previous = this.queryOptions;
+        this.queryOptions = options;
+        try {
+            return this.query(goal, ...args);
+        } finally {
+            this.queryOptions = previous;
+        }
+    }
+
+    // Proof tree for the first solution of a goal, or null when it fails.
+    // Accepts the same goal forms as query().
+    explain(goal, ...args) {
+        if (!this.activeReality) {
+            throw new Error('No active reality');
+        }
+        let target;
+        if (args.length === 0 && this._isPrologText(goal)) {
+            target = this._parseGoalText(goal);
+        } else {
+            target = toGoal(goal, args);
+        }
+
+        const context = new UnificationContext();
+        context.applyLimits({ ...this.limits, ...this.queryOptions });
+        context.explaining = true;
+        for (const solution of this.resolver.solve([target], context)) {
+            return Proof.fromContext(solution, target);
+        }
+        return null;
     }
 
     // Core predicates
     isA(entity, category) {
-        const key = `isA:${category}`;
-        if (!this.knowledgeBase.has(key)) {
-            this.knowledgeBase.set(key, new Set());
+        if (!this.knowledgeBase.has('isA', [entity, category])) {
+            this.knowledgeBase.add('isA', [entity, category]);
         }
-        this.knowledgeBase.get(key).add(entity);
         return true;
     }
 
+    // An entity has one value per property
     hasA(entity, property, value) {
-        const key = `hasA:${entity}:${property}`;
-        this.knowledgeBase.set(key, value);
+        this.knowledgeBase.set('hasA', [entity, property, value]);
         return true;
     }
 
+    // The entity followed by its isA ancestors, nearest first; each entity once
+    lineage(entity) {
+        const lineage = [entity];
+        for (let i = 0; i < lineage.length; i++) {
+            for (const [, category] of this.knowledgeBase.match('isA', [lineage[i], undefined])) {
+                if (!lineage.includes(category)) lineage.push(category);
+            }
+        }
+        return lineage;
+    }
+
+    // hasA facts an entity has or inherits along isA, as { fact, source }. A
+    // property comes from the nearest entity in the lineage that has it, so
+    // specific facts override inherited defaults. With similar set, a bound
+    // property with no fact at some level matches a semantically similar one.
+    inheritedFacts(entity, property = undefined, similar = false) {
+        const facts = [];
+        const defined = new Set();
+        for (const source of this.lineage(entity)) {
+            let own = this.knowledgeBase.match('hasA', [source, property, undefined]);
+            if (own.length === 0 && similar && property !== undefined) {
+                own = this.knowledgeBase.match('hasA', [source, undefined, undefined])
+                    .filter(([, stored]) => this.areSemanticallySimilar(stored, property))
+                    .slice(0, 1);
+            }
+            const visible = own.filter(([, stored]) => !defined.has(stored));
+            for (const fact of visible) {
+                facts.push({ fact, source });
+            }
+            visible.forEach(([, stored]) => defined.add(stored));
+            if (property !== undefined && facts.length > 0) break;
+        }
+        return facts;
+    }
+
+    // { value, source } for an entity's property, source being the entity or
+    // ancestor that supplied it; null when neither has the property
+    propertyOf(entity, property) {
+        const [found] = this.inheritedFacts(entity, property);
+        return found ? { value: found.fact[2], source: found.source } : null;
+    }
+
         // Rule definition and inference
+        // Head and body goals may be colon-joined strings, Terms, Prolog text or functions
         addRule(head, ...body) {
             if (!head) throw new Error('Rule head cannot be empty');
-            const ruleKey = typeof head === 'string' ? head : head.toString();
-            if (this.rules.has(ruleKey)) {
-                console.warn(`Overwriting existing rule for ${ruleKey}`);
+            return this.rules.add({
+                head: this._isPrologText(head) ? this._parseGoalText(head) : toGoal(head),
+                body: body.flatMap(condition => {
+                    if (typeof condition === 'function') return [condition];
+                    if (this._isPrologText(condition)) return this._bodyGoals(this._parseTerm(condition));
+                    return [toGoal(condition)];
+                })
+            });
+        }
+
+        _isPrologText(goal) {
+            return typeof goal === 'string' && (/[(\s]/.test(goal) || goal === '!');
+        }
+
+        // Clause database: clauses may be Terms or Prolog text such as 'p(X) :- q(X)'
+        asserta(clause) {
+            this.rules.add(this._clauseFromTerm(this._clauseTerm(clause)), true);
+            return true;
+        }
+
+        assertz(clause) {
+            this.rules.add(this._clauseFromTerm(this._clauseTerm(clause)));
+            return true;
+        }
+
+        // Remove the first clause that unifies with the given one
+        retract(clause) {
+            const goal = Term.compound('retract', [this._clauseTerm(clause)]);
+            return !this.resolver.solve([goal], new UnificationContext()).next().done;
+        }
+
+        // Remove every clause of a predicate given as 'name/arity'
+        abolish(indicator) {
+            const [name, arity] = this._predicateIndicator(indicator);
+            this.rules.abolish(name, arity);
+            return true;
+        }
+
+        // Memoize answers of the given predicates, e.g. ps.table('ancestor/2').
+        // Tabled predicates terminate on left recursion and cyclic data.
+        table(...indicators) {
+            for (const indicator of indicators) {
+                const term = typeof indicator === 'string' ? this._parseTerm(indicator) : indicator;
+                // Accept comma-separated lists as in ':- table a/2, b/1.'
+                if (term instanceof Term && term.functor === ',' && term.arity === 2) {
+                    this.table(...term.args);
+                    continue;
+                }
+                const [name, arity] = this._predicateIndicator(term);
+                this.tabled.add(`${name}/${arity}`);
+            }
+            return true;
+        }
+
+        // Report call/exit/redo/fail events to the handler, or print them when none is
+        // given. ps.trace(false) turns tracing off again.
+        trace(handler = printTrace) {
+            this.tracer.handler = handler || null;
+            return true;
+        }
+
+        // Only trace the given predicates, e.g. ps.spy('ancestor/2')
+        spy(...indicators) {
+            for (const indicator of indicators) {
+                const [name, arity] = this._predicateIndicator(indicator);
+                this.tracer.spied.add(`${name}/${arity}`);
+            }
+            if (!this.tracer.enabled) this.trace();
+            return true;
+        }
+
+        // Tracing stops once the last spy point is removed
+        nospy(...indicators) {
+            for (const indicator of indicators) {
+                const [name, arity] = this._predicateIndicator(indicator);
+                this.tracer.spied.delete(`${name}/${arity}`);
+            }
+            if (this.tracer.spied.size === 0) this.trace(false);
+            return true;
+        }
+
+        _predicateIndicator(indicator) {
+            const term = typeof indicator === 'string' ? this._parseTerm(indicator) : indicator;
+            if (!(term instanceof Term) || term.functor !== '/' || term.arity !== 2) {
+                throw new Error(`Invalid predicate indicator: ${indicator}`);
+            }
+            return term.args;
+        }
+
+        _clauseTerm(clause) {
+            if (clause instanceof Term) return clause;
+            if (typeof clause === 'string' && !clause.includes('(') && !clause.includes(':-')) {
+                return toGoal(clause);
+            }
+            return this._parseTerm(clause);
+        }
+
+        // Split a clause term into its head and list of body goals
+        _clauseFromTerm(term) {
+            if (term instanceof Term && term.functor === ':-' && term.arity === 2) {
+                return { head: this._sourceGoal(term.args[0]), body: this._bodyGoals(term.args[1]) };
             }
-            this.rules.set(ruleKey, body);
+            return { head: this._sourceGoal(term), body: [] };
         }
     
-        infer(query, ...args) {
-            // Direct fact check
-            const directResult = this.query(query, ...args);
-            if (directResult !== null && directResult !== false) {
-                return directResult;
+        // Load standard Prolog source text into the knowledge base and rule store
+        consult(sourceText) {
+            const clauses = new Parser(sourceText).parseClauses();
+            for (const clause of clauses) {
+                this._consultClause(clause);
             }
+            return clauses.length;
+        }
 
-            // Rule-based inference with query term
-            for (let [ruleHead, ruleBody] of this.rules) {
-                if (this._matchesRule(query, args, ruleHead)) {
-                    const inferenceResult = this._evaluateRuleBody(ruleBody, args, query);  // Pass query
-                    if (inferenceResult) {
-                        return true;
-                    }
+        _consultClause(clause) {
+            const isNeck = clause instanceof Term && clause.functor === ':-';
+
+            // Directives run once while loading; one that fails stops it
+            if (isNeck && clause.arity === 1) {
+                const goals = this._bodyGoals(clause.args[0]);
+                if (this.resolver.solve(goals, new UnificationContext()).next().done) {
+                    throw new Error(`Directive failed: ${clause.args[0]}`);
                 }
+                return;
             }
 
+            const { head, body } = this._clauseFromTerm(clause);
+
+            // Ground isA/hasA facts go to the knowledge base like their JavaScript counterparts
+            const ground = this._collectVariables(head.args).length === 0;
+            if (body.length === 0 && ground && head.indicator === 'isA/2') {
+                this.isA(...head.args);
+            } else if (body.length === 0 && ground && head.indicator === 'hasA/3') {
+                this.hasA(...head.args);
+            } else {
+                this.rules.add({ head, body });
+            }
+        }
+
+        _bodyGoals(term) {
+            if (term instanceof Term && term.functor === ',' && term.arity === 2) {
+                return [...this._bodyGoals(term.args[0]), ...this._bodyGoals(term.args[1])];
+            }
+            return [this._sourceGoal(term)];
+        }
+
+        _sourceGoal(term) {
+            if (typeof term === 'string') return Term.compound(term, []);
+            if (!(term instanceof Term) || !term.isCompound()) {
+                throw new Error(`Invalid goal: ${term}`);
+            }
+            return Term.compound(term.functor, term.args.map(arg => this._sourceValue(arg)));
+        }
+
+        // The atoms true and false stand for the booleans hasA facts use
+        _sourceValue(term) {
+            if (term === 'true') return true;
+            if (term === 'false') return false;
+            if (Array.isArray(term)) return term.map(item => this._sourceValue(item));
+            if (term instanceof Term && term.isCompound()) {
+                return Term.compound(term.functor, term.args.map(arg => this._sourceValue(arg)));
+            }
+            return term;
+        }
+
+        _parseGoalText(text) {
+            return this._sourceGoal(this._parseTerm(text));
+        }
+
+        _parseTerm(text) {
+            return new Parser(text).parseTerm();
+        }
+
+        infer(query, ...args) {
+            // Facts and rules are both resolved by query()
+            const result = this.query(query, ...args);
+            if (result !== null && result !== false) {
+                return result;
+            }
             return false;
         }
 
@@ -894,29 +1341,37 @@ class PrologScript {
         
             const hashOfParsedAST = this._hashAST(parsedAST);
 
-            // **Step 4: Retrieve the stored AST from bound terms**
-            const termForAST = this.context.bindings.get(hashOfParsedAST);
+            // **Step 4: Retrieve the stored AST from the recorded expressions**
+            const termForAST = this.expressions.get(hashOfParsedAST);
         
             // **Step 5: Compare the Esprima-parsed AST with the stored AST**
             if (!termForAST) {
                 throw new Error("AST mismatch: The parsed AST does not match the stored AST.");
             }
         
-            return termForAST.binding; // Return the computed numeric result
+            // The computed result, or the expression itself while it is unbound
+            return termForAST.binding ?? termForAST;
         }
 
+        // Arrow functions with an expression body or a single return statement,
+        // and function expressions returning one expression
         _parseLambdaToAST = function(functionString) {
-            // Extract the function body (after `=>`)
-            const bodyMatch = functionString.match(/=>\s*(.*)/);
-            if (!bodyMatch) {
-                throw new Error("Invalid lambda expression.");
+            let program;
+            try {
+                program = esprima.parseScript(`(${functionString})`);
+            } catch (error) {
+                throw new Error(`Invalid lambda expression: ${error.message}`);
             }
-            const expression = bodyMatch[1].trim();
-        
-            // Use Esprima to parse the expression into an AST
-            const ast = esprima.parseScript(expression).body[0].expression;
-        
-            return this._convertEsprimaAST(ast);
+            const fn = program.body[0].expression;
+            let body = fn.body;
+            if (body.type === "BlockStatement") {
+                const [statement] = body.body;
+                if (body.body.length !== 1 || statement.type !== "ReturnStatement" || !statement.argument) {
+                    throw new Error("Invalid lambda expression: the body must be a single expression or return statement.");
+                }
+                body = statement.argument;
+            }
+            return this._convertEsprimaAST(body);
         }
 
         _standardizeAST = function(ast) {
@@ -940,39 +1395,134 @@ class PrologScript {
     return cleanAST(ast);
         }
         
+        // Converts the pure-expression subset of JavaScript. result.get("X")
+        // becomes the variable X and Math.f(...) the call f(...), matching the
+        // ASTs that arithmetic predicates record; other method calls take their
+        // receiver as first argument. Assignments, updates such as x++ and delete
+        // are rejected. Calls are kept whatever the function does, console.log(x)
+        // included: the expression is only converted, never run.
         _convertEsprimaAST = function(esprimaAST) {
-            if (esprimaAST.type === "Literal") {
-                return { type: "Literal", value: esprimaAST.value };
-            }
-        
-            if (esprimaAST.type === "Identifier") {
-                return { type: "Variable", name: esprimaAST.name };
-            }
-        
-            if (esprimaAST.type === "BinaryExpression") {
-                return {
-                    type: "BinaryExpression",
-                    operator: esprimaAST.operator,
-                    left: this._convertEsprimaAST(esprimaAST.left),
-                    right: this._convertEsprimaAST(esprimaAST.right)
-                };
-            }
-        
-            // ✅ Handle function calls (e.g., `result.get("X")`)
-            if (esprimaAST.type === "CallExpression") {
-                if (
-                    esprimaAST.callee.type === "MemberExpression" &&
-                    esprimaAST.callee.property.type === "Identifier" &&
-                    esprimaAST.callee.property.name === "get"
-                ) {
-                    // Extract variable name (e.g., `result.get("X")` → "X")
-                    const arg = esprimaAST.arguments[0];
-                    if (arg.type === "Literal" && typeof arg.value === "string") {
-                        return { type: "Variable", name: arg.value };
+            const convert = (node) => this._convertEsprimaAST(node);
+
+            switch (esprimaAST.type) {
+                case "Literal":
+                    if (esprimaAST.regex) {
+                        return { type: "Literal", regex: { pattern: esprimaAST.regex.pattern, flags: esprimaAST.regex.flags } };
+                    }
+                    return { type: "Literal", value: esprimaAST.value };
+
+                case "Identifier": {
+                    const constants = { undefined: undefined, NaN: NaN, Infinity: Infinity };
+                    if (esprimaAST.name in constants) {
+                        return { type: "Literal", value: constants[esprimaAST.name] };
+                    }
+                    return { type: "Variable", name: esprimaAST.name };
+                }
+
+                case "TemplateLiteral":
+                    return {
+                        type: "TemplateLiteral",
+                        quasis: esprimaAST.quasis.map(quasi => quasi.value.cooked),
+                        expressions: esprimaAST.expressions.map(convert)
+                    };
+
+                case "UnaryExpression": {
+                    if (esprimaAST.operator === "delete") break;
+                    const argument = convert(esprimaAST.argument);
+                    // -2 is recorded as the literal it evaluates to
+                    if (["-", "+"].includes(esprimaAST.operator) && argument.type === "Literal" && typeof argument.value === "number") {
+                        return { type: "Literal", value: esprimaAST.operator === "-" ? -argument.value : argument.value };
+                    }
+                    return { type: "UnaryExpression", operator: esprimaAST.operator, argument };
+                }
+
+                case "BinaryExpression":
+                case "LogicalExpression":
+                    return {
+                        type: esprimaAST.type,
+                        operator: esprimaAST.operator,
+                        left: convert(esprimaAST.left),
+                        right: convert(esprimaAST.right)
+                    };
+
+                case "ConditionalExpression":
+                    return {
+                        type: "ConditionalExpression",
+                        test: convert(esprimaAST.test),
+                        consequent: convert(esprimaAST.consequent),
+                        alternate: convert(esprimaAST.alternate)
+                    };
+
+                case "SequenceExpression":
+                    return { type: "SequenceExpression", expressions: esprimaAST.expressions.map(convert) };
+
+                case "MemberExpression": {
+                    const { object, property, computed } = esprimaAST;
+                    if (!computed && object.type === "Identifier" && object.name === "Math" &&
+                        typeof Math[property.name] === "number") {
+                        return { type: "Literal", value: Math[property.name] };
                     }
+                    return {
+                        type: "MemberExpression",
+                        object: convert(object),
+                        property: computed ? convert(property) : { type: "Literal", value: property.name }
+                    };
                 }
+
+                case "CallExpression": {
+                    const { callee } = esprimaAST;
+                    const args = esprimaAST.arguments.map(convert);
+                    if (callee.type === "Identifier") {
+                        return { type: "CallExpression", callee: callee.name, arguments: args };
+                    }
+                    if (callee.type === "MemberExpression" && !callee.computed) {
+                        const method = callee.property.name;
+                        // ✅ Bindings read from a query result (e.g. `result.get("X")`)
+                        const [arg] = esprimaAST.arguments;
+                        if (method === "get" && esprimaAST.arguments.length === 1 &&
+                            arg.type === "Literal" && typeof arg.value === "string") {
+                            return { type: "Variable", name: arg.value };
+                        }
+                        if (callee.object.type === "Identifier" && callee.object.name === "Math") {
+                            return { type: "CallExpression", callee: method, arguments: args };
+                        }
+                        return { type: "CallExpression", callee: method, arguments: [convert(callee.object), ...args] };
+                    }
+                    break;
+                }
+
+                case "ArrayExpression":
+                    return { type: "ArrayExpression", elements: esprimaAST.elements.map(element => element && convert(element)) };
+
+                case "ObjectExpression":
+                    return {
+                        type: "ObjectExpression",
+                        properties: esprimaAST.properties.map(property => {
+                            if (property.type === "SpreadElement") return convert(property);
+                            if (property.kind !== "init" || property.method) {
+                                throw new Error(`Unsupported AST node type: ${property.kind === "init" ? "method" : property.kind} property`);
+                            }
+                            const key = property.computed ? convert(property.key) :
+                                { type: "Literal", value: property.key.type === "Identifier" ? property.key.name : property.key.value };
+                            return { type: "Property", key, value: convert(property.value) };
+                        })
+                    };
+
+                case "SpreadElement":
+                    return { type: "SpreadElement", argument: convert(esprimaAST.argument) };
+
+                case "ArrowFunctionExpression":
+                    if (esprimaAST.body.type !== "BlockStatement" && !esprimaAST.async &&
+                        esprimaAST.params.every(param => param.type === "Identifier")) {
+                        return {
+                            type: "ArrowFunctionExpression",
+                            params: esprimaAST.params.map(param => param.name),
+                            body: convert(esprimaAST.body)
+                        };
+                    }
+                    break;
             }
-        
+
             throw new Error(`Unsupported AST node type: ${esprimaAST.type}`);
         }        
 
@@ -991,133 +1541,104 @@ class PrologScript {
             return JSON.stringify(ast1) === JSON.stringify(ast2);
         }
 
-        _matchPattern(pattern, fact) {
-            const patternParts = pattern.split(':');
-            const factParts = fact.split(':');
-            
-            if (patternParts.length !== factParts.length) return false;
-            
-            const bindings = new Map();
-            
-            for (let i = 0; i < patternParts.length; i++) {
-                const patternPart = patternParts[i];
-                const factPart = factParts[i];
-                
-                if (this._isVariable(patternPart)) {
-                    const varName = patternPart.slice(1);
-                    if (bindings.has(varName)) {
-                        if (bindings.get(varName) !== factPart) return false;
-                    } else {
-                        bindings.set(varName, factPart);
-                    }
-                } else if (patternPart !== factPart) {
-                    return false;
-                }
-            }
-            
-            return bindings;
-        }
-
         _isVariable(term) {
             return (term instanceof Term && term.isVariable()) || 
                    (typeof term === 'string' && term.startsWith('$'));
         }
 
     _queryIsA(entity, category) {
-        const key = `isA:${category}`;
-        return this.knowledgeBase.has(key) && 
-               this.knowledgeBase.get(key).has(entity);
+        return this.knowledgeBase.has('isA', [entity, category]);
     }
 
-    _queryHasA(entity, property) {
-        const key = `hasA:${entity}:${property}`;
-        return this.knowledgeBase.has(key) ? 
-               this.knowledgeBase.get(key) : null;
+    // Names of the variables occurring anywhere in the given terms, in order
+    _collectVariables(terms, variables = []) {
+        for (const term of terms) {
+            if (this._isVariable(term)) {
+                const name = term instanceof Term ? term.value : term;
+                if (!variables.includes(name)) variables.push(name);
+            } else if (Array.isArray(term)) {
+                this._collectVariables(term, variables);
+            } else if (term instanceof Term && term.isCompound()) {
+                this._collectVariables(term.args, variables);
+            }
+        }
+        return variables;
     }
 
-    _backtrack() {
-        const alternative = this.context.backtrack();
-        if (!alternative) return false;
-        return this._evaluateGoal(alternative.goal, alternative.args);
+    // Bind Result to a Term carrying an expression AST; ps.ast() finds it again
+    // from a lambda with the same shape
+    _recordExpression(ast, $Result) {
+        const astTerm = new Term(formatExpression(fromTerm(ast)), ast);
+        this.expressions.set(this._hashAST(ast), astTerm);
+        return this.unify($Result, astTerm);
     }
 
-    _hasSolution(results, newSolution) {
-        for (const existing of results.values()) {
-            if (this._solutionsEqual(existing, newSolution)) {
-                return true;
-            }
+    // Binds the one unbound argument of an arithmetic relation, or checks a
+    // ground call. Fails when no value works; an argument that several values
+    // satisfy, or more than one unbound argument without an open mode
+    // handler, is an instantiation error.
+    _solveArithmetic(indicator, relation, args, open = null) {
+        const values = args.map(arg => this._operand(arg));
+        if (values.includes(undefined)) return open ? open() : false;
+
+        const solution = solveRelation(relation, values);
+        if (solution === null) {
+            if (open) return open();
+            const unbound = args.filter((_, i) => values[i] === null).map(arg => this._variableName(arg));
+            throw new Error(`Instantiation error: ${indicator} needs all but one argument bound, but ${unbound.join(' and ')} are unbound`);
         }
-        return false;
-    }
-    
-    _solutionsEqual(sol1, sol2) {
-        if (sol1.size !== sol2.size) return false;
-        for (const [key, val1] of sol1) {
-            const val2 = sol2.get(key);
-            if (val1 !== val2) return false;
+        if (solution === ANY) {
+            const name = this._variableName(args[values.indexOf(null)]);
+            throw new Error(`Instantiation error: ${indicator} does not determine ${name}; more than one value satisfies it`);
         }
-        return true;
+        if (solution === NONE) return false;
+        return args.every((arg, i) => values[i] !== null || this.unify(arg, solution[i]));
     }
 
-    _evaluateGoal(goal, args) {
-        console.log('\n_evaluateGoal:', { goal, args });
-
-        // Check for predicate as method
-        if (typeof this[goal] === 'function') {
-            return this[goal](...args);
+    // Tests need every argument bound
+    _compareArithmetic(indicator, args, test) {
+        const values = args.map(arg => this._operand(arg));
+        const unbound = args.filter((_, i) => values[i] === null);
+        if (unbound.length > 0) {
+            throw new Error(`Instantiation error: ${indicator} needs ${unbound.map(arg => this._variableName(arg)).join(' and ')} bound`);
         }
+        return !values.includes(undefined) && test(...values);
+    }
 
-        // Check for rules
-        const rules = Array.from(this.rules.entries())
-            .filter(([head]) => this._matchesRule(goal, args, head));
-
-        if (rules.length > 0) {
-            // Try each rule
-            for (const [head, body] of rules) {
-                console.log('\nTrying rule:', head, 'with body:', body);
-                
-                const bindings = this._substituteArgs(args, head);
-                console.log('Initial bindings:', Array.from(bindings.entries()));
-
-                // If it's a multi-condition rule
-                if (Array.isArray(body)) {
-                    // Get first condition result and its bindings
-                    const [firstCondition, ...restConditions] = body;
-                    console.log('Evaluating first condition:', firstCondition);
-                    
-                    if (this._evaluateRuleBody([firstCondition], bindings, goal)) {
-                        console.log('First condition succeeded, bindings:', Array.from(bindings.entries()));
-                        
-                        // Use those bindings for next conditions
-                        if (this._evaluateRuleBody(restConditions, bindings, goal)) {
-                            return true;
-                        }
-                    }
-                } else {
-                    if (this._evaluateRuleBody([body], bindings, goal)) {
-                        return true;
-                    }
+    // Numeric value of an argument: a number, null while it is unbound, or
+    // undefined for anything else. Follows Term and context bindings.
+    _operand(term) {
+        const seen = new Set();
+        let value = term;
+        while (true) {
+            if (value instanceof Term) {
+                if (value.isVariable() && value.binding) {
+                    value = value.binding;
+                    continue;
                 }
+                if (value.isVariable() || value.isNumber()) value = value.value;
             }
+            if (typeof value === 'string' && value.startsWith('$')) {
+                const name = value.slice(1);
+                if (seen.has(name) || !this.context.bindings.has(name)) return null;
+                seen.add(name);
+                value = this.context.bindings.get(name);
+                continue;
+            }
+            return typeof value === 'number' ? value : undefined;
         }
+    }
 
-        return false;
+    _variableName(term) {
+        const name = term instanceof Term ? term.value : term;
+        return typeof name === 'string' ? name.replace(/^\$/, '') : String(name);
     }
 
-    _substituteArgs(queryArgs, ruleHead) {
-        const headParts = ruleHead.split(':');  // ['mortal', '$X']
-        const variables = headParts.slice(1);    // ['$X']
-        
-        const bindings = new Map();
-        variables.forEach((variable, index) => {
-            if (index < queryArgs.length) {
-                // Store without $ prefix
-                const varName = variable.startsWith('$') ? variable.slice(1) : variable;
-                bindings.set(varName, queryArgs[index]);
-            }
-        });
-        
-        return bindings;
+    // X op Y with an unbound or symbolic operand becomes an expression
+    _recordOperation(operator, $X, $Y, $Result) {
+        const operands = [$X, $Y].map(term => this._resolveTerm(term));
+        if (!operands.every(term => term.isVariable() || term.isNumber() || term.isExpression())) return false;
+        return this._recordExpression(Term.createBinaryOp(operator, ...operands), $Result);
     }
 
     _evaluateArithmetic(term) {
@@ -1126,158 +1647,28 @@ class PrologScript {
         return typeof resolved.value === 'number' ? resolved.value : null;
     }
 
-    _matchesRule(query, args, ruleHead) {
-        const [ruleName] = ruleHead.split(':');
-        return ruleName === query;
-    }
-
-    _evaluateRuleBody(conditions, args, queryTerm) {  // Accept queryTerm parameter
-        const bindings = (args instanceof Map) ? args : this._substituteArgs(args, conditions[0]);
-
-        // Merge the local bindings into the overall context so that condition functions see them.
-        const context = this.context;
-        bindings.forEach((value, key) => {
-            if (!(typeof value === 'string') || !value.startsWith('$')) {
-                context.bindings.set(key, value);
-            }
-            else if (!context.bindings.has(key))
-            {
-                context.bindings.set(key, value);
-            }
-        });
-
-        console.log('\n_evaluateRuleBody:', {
-            conditions,
-            bindings: Array.from(bindings.entries()),
-            queryTerm
-        });
-
-        return conditions.every(condition => {
-            console.log('\nEvaluating condition:', condition);
-            if (typeof condition === 'function') {
-                return condition(context);
-            }
-            
-            const substitutedCondition = this._substituteVariables(condition, bindings);
-            console.log('After variable substitution:', substitutedCondition);
-
-            const parts = substitutedCondition.split(':');
-            console.log('Parts:', parts);
-            console.log('Original query term:', queryTerm);
-
-            // For isA predicates
-            if (parts[0] === 'isA') {
-                const key = `isA:${parts[2]}`;
-                const set = this.knowledgeBase.get(key);
-                return set && set.has(parts[1]);
-            }
-
-            // For hasA predicates
-            if (parts[0] === 'hasA') {
-                const entity = parts[1];
-                const requestedProp = parts[2];
-                const expectedValue = parts[3];
-
-                // First, try a direct lookup.
-                let key = `hasA:${entity}:${requestedProp}`;
-                console.log('Looking up fact:', key);
-                let value = this.knowledgeBase.get(key);
-                console.log('Direct lookup value:', value);
-
-                // If not found, search through all properties for the entity.
-                if (value === undefined) {
-                    const prefix = `hasA:${entity}:`;
-                    for (const factKey of this.knowledgeBase.keys()) {
-                        if (factKey.startsWith(prefix)) {
-                            const storedProp = factKey.split(':')[2];
-                            if (this.areSemanticallySimilar(storedProp, requestedProp)) {
-                                value = this.knowledgeBase.get(factKey);
-                                console.log(`Found semantically similar fact: ${factKey} ->`, value);
-                                break;
-                            }
-                        }
-                    }
-                }
-                
-                console.log('Final value to compare:', value);
-                if (value !== undefined) {
-                    // If the value is a boolean, compare against the expected boolean.
-                    if (typeof value === 'boolean') {
-                        if (expectedValue && !expectedValue.startsWith('$')) {
-                            return value === (expectedValue === 'true');
-                        }
-                        return true;
-                    }
-                    // For non-boolean values, if we're looking for a specific value, compare them.
-                    if (expectedValue && !expectedValue.startsWith('$')) {
-                        return this.areSemanticallySimilar(value, expectedValue);
-                    }
-                    // If we have a variable in the expected position, bind it.
-                    if (expectedValue && expectedValue.startsWith('$')) {
-                        const varName = expectedValue.slice(1);
-                        bindings.set(varName, value);
-                        return true;
-                    }
-                    return true;
-                }
-                return false;
-            }
-
-            // Handle recursive ancestor query
-            if (parts[0] === 'ancestor') {
-                console.log('Recursive ancestor query:', parts);
-                const recursiveResult = this.query(...parts);
-                console.log('Recursive result:', recursiveResult);
-                return recursiveResult;
-            }
-
-            return false;
-        });
-    }    
-
-    _substituteVariables(pattern, bindings) {
-        console.log('Pattern:', pattern);
-        console.log('Bindings:', bindings);
-        console.log('Bindings type:', bindings instanceof Map);
-        if (bindings instanceof Map) {
-            console.log('Bindings contents:', Array.from(bindings.entries()));
-        }
-        
-        return pattern.replace(/\$([A-Z][a-zA-Z0-9]*)/g, (_, varName) => {
-            console.log('Found variable:', varName);
-            console.log('Binding value:', bindings.get(varName));
-            return bindings.get(varName) || `$${varName}`;
-        });
-    }
-
+    // Follow context bindings; the result is always a Term
     _resolveTerm(term) {
-        if (term instanceof Term) {
-            if (term.isVariable() && term.binding) {
-                return this._resolveTerm(term.binding);
-            }
-            return term;
-        }
-        return new Term(term);
+        const value = this.context.deref(term);
+        return value instanceof Term ? value : new Term(value);
     }
 
+    // Variables are bound in the context, so attribute hooks such as constraints
+    // accept or reject the value and backtracking undoes it
     _bindVariable(variable, value) {
-
         // Case 1: Variable is a Term instance
         if (variable instanceof Term) {
-            if (this._occursCheck(variable, value)) return false;
-            variable.binding = value;
-            if (typeof variable.value === "string" && variable.value.startsWith("$")) {
-                const varName = variable.value.slice(1);
-                this.context.bindings.set(varName, value);
+            if (this._occursCheck(variable, this._resolveTerm(value))) return false;
+            if (variable.isVariable()) {
+                return this.context.bindAttributed(variable.value, value);
             }
+            variable.binding = value;  // An expression equated with its value, see ast()
             return true;
         }
-        
+
         // Case 2: Variable is a string
         if (typeof variable === 'string' && variable.startsWith('$')) {
-            const varName = variable.slice(1);
-            this.context.bindings.set(varName, value);
-            return true;
+            return this.context.bindAttributed(variable, value);
         }
         
         // Direct value comparison
@@ -1291,10 +1682,13 @@ class PrologScript {
         if (term.isList()) {
             return term.value.some(item => this._occursCheck(variable, this._resolveTerm(item)));
         }
+        if (term.isCompound()) {
+            return term.args.some(arg => this._occursCheck(variable, this._resolveTerm(arg)));
+        }
         return false;
     }
 }
 
 // Export both class and singleton instance
 const ps = new PrologScript();
-export { PrologScript, ps };
\ No newline at end of file
+export { PrologScript, PrologSyntaxError, QueryLimitError, Proof, Term, formatTraceEvent, ps };
\ No newline at end of file
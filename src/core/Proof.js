@@ -0,0 +1,63 @@
+// Proof.js
+
+const clauseText = (clause) => {
+    const body = clause.body.map(goal => typeof goal === 'function' ? '{javascript}' : String(goal));
+    return body.length > 0 ? `${clause.head} :- ${body.join(', ')}` : `${clause.head}`;
+};
+
+/**
+ * A node of a proof tree: the goal that was proved, how it was proved and the
+ * proofs of the goals it depended on. Serializes to plain JSON.
+ */
+export class Proof {
+    constructor(goal, type, details = {}) {
+        this.goal = goal;
+        this.type = type;        // 'rule', 'fact', 'builtin', 'table', 'condition' or 'query'
+        Object.assign(this, details);
+        this.children = [];
+    }
+
+    // Build the tree from the proof steps a derivation left on its trail
+    static fromContext(context, query) {
+        const records = context.records();
+        const nodes = new Map();
+        const roots = [];
+
+        for (const record of records) {
+            const { goal, step, parent } = record;
+            const details = {};
+            if (step.type === 'rule') details.rule = clauseText(step.clause);
+            if (step.fact) details.fact = String(context.resolve(step.fact));
+            if (step.similarity) details.similarity = step.similarity;
+            if (step.inheritedFrom !== undefined) details.inheritedFrom = step.inheritedFrom;
+            if (step.source) details.source = step.source;
+
+            const node = new Proof(goal === null ? null : String(context.resolve(goal)), step.type, details);
+            nodes.set(record, node);
+            (parent ? nodes.get(parent).children : roots).push(node);
+        }
+
+        if (roots.length === 1 && records[0].goal === query) {
+            return roots[0];
+        }
+        const root = new Proof(String(context.resolve(query)), 'query');
+        root.children = roots;
+        return root;
+    }
+
+    toString(indent = 0) {
+        let line = `${'  '.repeat(indent)}${this.goal ?? this.source.replace(/\s+/g, ' ')}`;
+        if (this.type === 'rule') {
+            line += `  [rule: ${this.rule}]`;
+        } else {
+            line += `  [${this.type}${this.fact ? `: ${this.fact}` : ''}]`;
+        }
+        if (this.similarity) {
+            line += `  (${this.similarity.map(path => path.join(' ≈ ')).join('; ')})`;
+        }
+        if (this.inheritedFrom !== undefined) {
+            line += `  (inherited from ${this.inheritedFrom})`;
+        }
+        return [line, ...this.children.map(child => child.toString(indent + 1))].join('\n');
+    }
+}
@@ -3,10 +3,20 @@
 import { CausalModel } from '../features/causality/CausalModel.js';
 import { TemporalRule } from '../features/temporal/TemporalRule.js';
 import { StochasticRule } from '../features/temporal/StochasticRule.js';
+import { FactStore, LayeredFactStore } from './FactStore.js';
+import { ClauseDatabase, LayeredClauseDatabase } from './ClauseDatabase.js';
+import { SemanticNetwork } from '../features/semantics/SemanticNetwork.js';
+import { Agent } from '../features/agents/Agent.js';
+import { encode, decode } from './Snapshot.js';
 
 export class Reality {
-    constructor(name) {
+    // base: { knowledgeBase, clauses, semanticRelations } shared with other
+    // realities; this reality's own knowledge is layered over it
+    constructor(name, base = null) {
         this.name = name;
+        this.knowledgeBase = new LayeredFactStore(base ? base.knowledgeBase : new FactStore());
+        this.clauses = new LayeredClauseDatabase(base ? base.clauses : new ClauseDatabase());
+        this.semanticRelations = new SemanticNetwork({}, base ? base.semanticRelations : null);
         this.facts = new Map();
         this.rules = new Map();
         this.causalModel = new CausalModel(this);
@@ -34,9 +44,7 @@ export class Reality {
     }
 
     addCausalRule(cause, effect, condition, mechanism) {
-        this.causalModel.addCause(cause, effect, (state) => {
-            return condition(this) ? mechanism(state) : null;
-        });
+        this.causalModel.addCause(cause, effect, mechanism, condition);
     }
 
     // Temporal and stochastic rules
@@ -99,11 +107,6 @@ export class Reality {
             this._updateState(timeState, effect);
         }
 
-        // Update agents
-        for (const agent of this.agents.values()) {
-            agent.update(this);
-        }
-
         // Apply causal rules
         this.causalModel.propagateEffects(timeState);
 
@@ -170,14 +173,102 @@ export class Reality {
         return state ? state.state : null;
     }
 
+    // Forking
+    // A copy that evolves independently, as this reality is now or as it was
+    // at an earlier time of its history. Facts, rules and semantic relations
+    // are not copied: the fork gets a new layer over the source's, and the
+    // source writes to a new layer from then on. A source layer still empty
+    // is not frozen: the fork layers over what it is over, so repeated forks
+    // do not deepen the source. History entries are shared as well.
+    // Knowledge has no history, so a fork at an earlier time starts with the
+    // facts, rules and relations the source has now; only state, causal
+    // nodes and agents go back to that time.
+    fork(name, { atTime = this.currentTime } = {}) {
+        const history = this.history.filter(entry => entry.time <= atTime);
+        const snapshot = atTime === this.currentTime ? null : history.findLast(entry => entry.time === atTime);
+        if (atTime > this.currentTime || snapshot === undefined) {
+            throw new Error(`Domain error: reality ${this.name} has no state at time ${atTime}`);
+        }
+
+        const fork = new Reality(name);
+        const layers = [
+            ['knowledgeBase', 'base', base => new LayeredFactStore(base)],
+            ['clauses', 'base', base => new LayeredClauseDatabase(base)],
+            ['semanticRelations', 'parent', parent => new SemanticNetwork({}, parent)]
+        ];
+        for (const [key, under, layerOver] of layers) {
+            const layer = this[key];
+            const shared = layer.isEmpty() && layer[under] ? layer[under] : layer;
+            if (shared === layer) this[key] = layerOver(shared);
+            fork[key] = layerOver(shared);
+        }
+
+        fork.facts = new Map(this.facts);
+        fork.rules = new Map(this.rules);
+        fork.causalModel = this.causalModel.clone(fork);
+        for (const [ruleName, rule] of this.temporalRules) {
+            fork.temporalRules.set(ruleName, rule.clone(atTime));
+        }
+        for (const [ruleName, rule] of this.stochasticRules) {
+            fork.stochasticRules.set(ruleName, rule.clone(atTime));
+        }
+        for (const agent of this.agents.values()) {
+            fork.addAgent(agent.clone());
+        }
+        fork.currentTime = atTime;
+        fork.timeStep = this.timeStep;
+        fork.history = history;
+        fork.state = new Map(snapshot ? snapshot.state : this.state);
+
+        // Going back in time restores recorded node and agent states
+        if (snapshot) {
+            for (const [node, info] of fork.causalModel.nodes) {
+                if (snapshot.state.has(node)) info.state = snapshot.state.get(node);
+            }
+            for (const [agentName, state] of snapshot.agentStates) {
+                fork.agents.get(agentName).state = new Map(state);
+            }
+        }
+        return fork;
+    }
+
     // Serialization
+    // Functions are saved by their registered names. Facts, rules and semantic
+    // relations are left to PrologScript.save, as realities share them.
     toJSON() {
         return {
             name: this.name,
             currentTime: this.currentTime,
-            facts: Object.fromEntries(this.facts),
-            state: Object.fromEntries(this.state),
-            agents: Array.from(this.agents.keys())
+            timeStep: this.timeStep,
+            facts: encode(this.facts),
+            rules: encode(this.rules),
+            state: encode(this.state),
+            causalModel: this.causalModel.toJSON(),
+            temporalRules: Array.from(this.temporalRules.values(), rule => rule.toJSON()),
+            stochasticRules: Array.from(this.stochasticRules.values(), rule => rule.toJSON()),
+            agents: Array.from(this.agents.values(), agent => agent.toJSON()),
+            history: encode(this.history)
         };
     }
+
+    static fromJSON(json, base = null) {
+        const reality = new Reality(json.name, base);
+        reality.currentTime = json.currentTime;
+        reality.timeStep = json.timeStep;
+        reality.facts = decode(json.facts);
+        reality.rules = decode(json.rules);
+        reality.state = decode(json.state);
+        reality.causalModel = CausalModel.fromJSON(json.causalModel, reality);
+        for (const rule of json.temporalRules.map(TemporalRule.fromJSON)) {
+            reality.temporalRules.set(rule.name, rule);
+        }
+        for (const rule of json.stochasticRules.map(StochasticRule.fromJSON)) {
+            reality.stochasticRules.set(rule.name, rule);
+        }
+        for (const agent of json.agents) {
+            reality.addAgent(Agent.fromJSON(agent));
+        }
+        reality.history = decode(json.history);
+        return reality;
+    }
 }
\ No newline at end of file
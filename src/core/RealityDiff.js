@@ -0,0 +1,167 @@
+// RealityDiff.js
+
+import { Term } from './Term.js';
+
+// Plain JSON form of a value, so values compare and serialize alike
+function plain(value) {
+    if (value === undefined) return null;
+    if (value instanceof Term || typeof value === 'function') return String(value);
+    if (value instanceof Map) return Object.fromEntries([...value].map(([key, item]) => [key, plain(item)]));
+    if (value instanceof Set || Array.isArray(value)) return [...value].map(plain);
+    if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, plain(item)]));
+    }
+    return value;
+}
+
+const same = (x, y) => JSON.stringify(plain(x)) === JSON.stringify(plain(y));
+
+const text = (value) => typeof value === 'string' ? value : JSON.stringify(plain(value));
+
+// Entries only in after are added, only in before removed, in both but unequal changed
+function compare(before, after) {
+    const section = { added: {}, removed: {}, changed: {} };
+    for (const [key, value] of after) {
+        if (!before.has(key)) section.added[key] = plain(value);
+        else if (!same(before.get(key), value)) section.changed[key] = { from: plain(before.get(key)), to: plain(value) };
+    }
+    for (const [key, value] of before) {
+        if (!after.has(key)) section.removed[key] = plain(value);
+    }
+    return section;
+}
+
+const isEmpty = (section) => ['added', 'removed', 'changed'].every(kind => Object.keys(section[kind]).length === 0);
+
+// Facts asserted with assertTruth, of the knowledge base and of the clause
+// database. hasA facts are keyed on entity and property, so a new value is
+// a change rather than one fact removed and another added.
+function facts(reality) {
+    const entries = new Map(reality.facts);
+    const add = (name, args) => {
+        if (name === 'hasA' && args.length === 3) {
+            entries.set(String(Term.compound(name, args.slice(0, 2))), args[2]);
+        } else {
+            entries.set(String(Term.compound(name, args)), true);
+        }
+    };
+    for (const [name, args] of reality.knowledgeBase.entries()) add(name, args);
+    for (const { head, body } of reality.clauses.values()) {
+        if (body.length === 0) add(head.functor, head.args);
+    }
+    return entries;
+}
+
+// Agent states flattened to 'agent.key'
+function agentStates(agents) {
+    const entries = new Map();
+    for (const [name, state] of agents) {
+        for (const [key, value] of state) {
+            entries.set(`${name}.${key}`, value);
+        }
+    }
+    return entries;
+}
+
+function overrides(reality, universalLaws) {
+    const entries = new Map();
+    for (const [name, rule] of universalLaws.causalRules) {
+        if (rule.override.has(reality.name)) entries.set(name, rule.override.get(reality.name).mechanism);
+    }
+    return entries;
+}
+
+// The last recorded step per time, with agent states flattened into the state
+function steps(reality) {
+    return new Map(reality.history.map(entry => [
+        entry.time,
+        new Map([...entry.state, ...agentStates(entry.agentStates)])
+    ]));
+}
+
+// Steps recorded in only one history, and per key the shared steps where the values differ
+function compareHistory(before, after) {
+    const history = { firstDivergence: null, times: { added: [], removed: [] }, keys: {} };
+    const times = [...new Set([...before.keys(), ...after.keys()])].sort((x, y) => x - y);
+    for (const time of times) {
+        if (!before.has(time) || !after.has(time)) {
+            history.times[before.has(time) ? 'removed' : 'added'].push(time);
+            history.firstDivergence ??= time;
+            continue;
+        }
+        const [from, to] = [before.get(time), after.get(time)];
+        for (const key of new Set([...from.keys(), ...to.keys()])) {
+            if (same(from.get(key), to.get(key))) continue;
+            history.keys[key] ??= { firstDivergence: time, steps: [] };
+            history.keys[key].steps.push({ time, from: plain(from.get(key)), to: plain(to.get(key)) });
+            history.firstDivergence ??= time;
+        }
+    }
+    return history;
+}
+
+const SECTIONS = {
+    facts: 'facts',
+    state: 'state',
+    causalNodes: 'causal nodes',
+    interventions: 'interventions',
+    overrides: 'universal law overrides',
+    agents: 'agents'
+};
+
+/**
+ * What changes from one reality to another: entries added, removed and
+ * changed per section, and where their histories diverge. Serializes to
+ * plain JSON; toString gives a text report.
+ */
+export class RealityDiff {
+    constructor(from, to) {
+        this.from = from;
+        this.to = to;
+        for (const section of Object.keys(SECTIONS)) {
+            this[section] = { added: {}, removed: {}, changed: {} };
+        }
+        this.history = { firstDivergence: null, times: { added: [], removed: [] }, keys: {} };
+    }
+
+    static between(a, b, universalLaws) {
+        const diff = new RealityDiff(a.name, b.name);
+        const nodeStates = (reality) => new Map([...reality.causalModel.nodes].map(([node, info]) => [node, info.state]));
+        diff.facts = compare(facts(a), facts(b));
+        diff.state = compare(a.state, b.state);
+        diff.causalNodes = compare(nodeStates(a), nodeStates(b));
+        diff.interventions = compare(a.causalModel.interventions, b.causalModel.interventions);
+        diff.overrides = compare(overrides(a, universalLaws), overrides(b, universalLaws));
+        diff.agents = compare(...[a, b].map(reality => agentStates(reality._getAgentStates())));
+        diff.history = compareHistory(steps(a), steps(b));
+        return diff;
+    }
+
+    get identical() {
+        return Object.keys(SECTIONS).every(section => isEmpty(this[section])) && this.history.firstDivergence === null;
+    }
+
+    toString() {
+        if (this.identical) return `No differences between ${this.from} and ${this.to}`;
+        const lines = [`Differences from ${this.from} to ${this.to}`];
+        for (const [section, label] of Object.entries(SECTIONS)) {
+            if (isEmpty(this[section])) continue;
+            const { added, removed, changed } = this[section];
+            const value = (key, item) => section === 'facts' && item === true ? key : `${key}: ${text(item)}`;
+            lines.push(label);
+            for (const [key, item] of Object.entries(added)) lines.push(`  + ${value(key, item)}`);
+            for (const [key, item] of Object.entries(removed)) lines.push(`  - ${value(key, item)}`);
+            for (const [key, { from, to }] of Object.entries(changed)) lines.push(`  ~ ${key}: ${text(from)} -> ${text(to)}`);
+        }
+        if (this.history.firstDivergence !== null) {
+            const { firstDivergence, times, keys } = this.history;
+            lines.push('history', `  first divergence at time ${firstDivergence}`);
+            if (times.added.length > 0) lines.push(`  + times ${times.added.join(', ')}`);
+            if (times.removed.length > 0) lines.push(`  - times ${times.removed.join(', ')}`);
+            for (const [key, { steps }] of Object.entries(keys)) {
+                lines.push(`  ~ ${key}  ${steps.map(({ time, from, to }) => `${time}: ${text(from)} -> ${text(to)}`).join(', ')}`);
+            }
+        }
+        return lines.join('\n');
+    }
+}
@@ -0,0 +1,663 @@
+// Resolver.js
+
+import { UnificationContext, QueryLimitError } from './UnificationContext.js';
+import { Term } from './Term.js';
+import { isConstraintGoal, solveConstraint } from '../features/math/CLPFD.js';
+import { variablesOf } from '../features/math/Arithmetic.js';
+import { isLibraryGoal, solveLibraryGoal, compareTerms } from './Library.js';
+import { isTextGoal, solveTextGoal } from './Text.js';
+
+const FAIL = Symbol('fail');
+
+function* once(alternative) {
+    yield alternative;
+}
+
+function* chain(...iterators) {
+    for (const iterator of iterators) {
+        yield* iterator;
+    }
+}
+
+// Alternatives carry the step that justifies them, recorded in proofs by explain()
+const FACT = Object.freeze({ type: 'fact' });
+const BUILTIN = Object.freeze({ type: 'builtin' });
+
+function justify(goals, step) {
+    goals.step = step;
+    return goals;
+}
+
+// Rebuild a ','/2 term from a list of body goals
+function conjunction(goals) {
+    if (goals.length === 0) return Term.compound('true', []);
+    return goals.reduceRight((rest, goal) => Term.compound(',', [goal, rest]));
+}
+
+// Normalize a goal to a compound Term. Accepts Terms and the legacy
+// colon-joined strings such as 'hasA:$X:parent:$Y'.
+export function toGoal(goal, args = []) {
+    if (goal instanceof Term) {
+        return goal.isCompound() ? goal : Term.compound(goal.value, args);
+    }
+    if (args.length > 0 || !goal.includes(':')) {
+        return Term.compound(goal, args);
+    }
+    const [name, ...parts] = goal.split(':');
+    return Term.compound(name, parts.map(parseAtom));
+}
+
+function parseAtom(token) {
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    if (token !== '' && !isNaN(Number(token))) return Number(token);
+    return token;
+}
+
+/**
+ * SLD resolution over the rules and facts of a PrologScript instance.
+ * Goals are kept as a linked list of frames; alternatives for a goal are
+ * iterators stored in choice points, so every clause is retried on backtracking.
+ */
+export class Resolver {
+    constructor(prologScript) {
+        this.ps = prologScript;
+        this.renameCounter = 0;
+    }
+
+    // Yields once per solution; read bindings from the context before resuming
+    *solve(goals, context, depth = 0) {
+        let frame = this._pushGoals(goals, null, depth, context.choicePoints.length);
+
+        while (true) {
+            if (frame === null) {
+                yield context;
+                frame = this._backtrack(context);
+            } else {
+                frame = this._step(frame, context);
+                if (frame === FAIL) {
+                    frame = this._backtrack(context);
+                }
+            }
+            if (frame === FAIL) return;
+        }
+    }
+
+    // Frames remember the choice point height a cut in their clause body returns to,
+    // and the proof step their goal belongs to
+    _pushGoals(goals, next, depth, cutBarrier, node = null) {
+        let frame = next;
+        for (let i = goals.length - 1; i >= 0; i--) {
+            frame = { goal: goals[i], next: frame, depth, cutBarrier, node };
+        }
+        return frame;
+    }
+
+    // Proof steps live on the trail, so backtracking discards them with the bindings
+    _record(context, goal, step, parent) {
+        if (!context.explaining) return parent;
+        const node = { goal, step, parent };
+        context.record(node);
+        return node;
+    }
+
+    _step(frame, context) {
+        const { goal } = frame;
+        if (frame.depth > context.maxDepth) {
+            throw new QueryLimitError('maxDepth', 'Maximum recursion depth exceeded');
+        }
+        context.countInference();
+
+        // Plain JavaScript conditions see the clause variables by their original names
+        if (goal.condition) {
+            const view = new UnificationContext();
+            for (const [name, renamed] of goal.variables) {
+                view.bindings.set(name, context.resolve(renamed));
+            }
+            if (!this._holds(goal, view)) return FAIL;
+            this._record(context, null, { type: 'condition', source: String(goal.condition) }, frame.node);
+            return frame.next;
+        }
+
+        // Internal marker that commits to the choices made since a given height
+        if (goal.cutTo !== undefined) {
+            context.cut(goal.cutTo);
+            return frame.next;
+        }
+
+        // Internal marker placed after the body of a traced call
+        if (goal.exitOf) {
+            this.ps.tracer.emit('exit', goal.exitOf, goal.depth, context);
+            return frame.next;
+        }
+
+        const control = this._control(goal, frame, context);
+        if (control !== undefined) {
+            return control;
+        }
+
+        const traced = this.ps.tracer.traces(goal);
+
+        // Registered JavaScript predicates are deterministic
+        if (this._isBuiltin(goal.functor)) {
+            const args = goal.args.map(arg => context.resolve(arg));
+            if (traced) this.ps.tracer.emit('call', goal, frame.depth, context);
+            const success = this._callBuiltin(goal.functor, args, context);
+            if (traced) this.ps.tracer.emit(success ? 'exit' : 'fail', goal, frame.depth, context);
+            if (!success) return FAIL;
+            this._record(context, goal, BUILTIN, frame.node);
+            return frame.next;
+        }
+
+        const alternatives = this._alternatives(goal, frame, context);
+        context.addChoicePoint(traced ? this._traced(goal, frame.depth, alternatives, context) : alternatives, frame);
+        return this._backtrack(context);
+    }
+
+    // Builtins bind through ps.context, so it is the derivation's context
+    // while they run: tabled calls, findall branches and explain each have their own
+    _callBuiltin(name, args, context) {
+        const outer = this.ps.context;
+        this.ps.context = context;
+        try {
+            return this.ps.predicates.get(name)(...args);
+        } finally {
+            this.ps.context = outer;
+        }
+    }
+
+    // Reports the ports of a call around its alternatives. Each alternative ends
+    // with an exit marker; finding another alternative is a redo, running out a fail.
+    // A cut removes the choice point, so no redo or fail follows it.
+    *_traced(goal, depth, alternatives, context) {
+        const tracer = this.ps.tracer;
+        const exit = { exitOf: goal, depth };
+        tracer.emit('call', goal, depth, context);
+
+        let next = alternatives.next();
+        while (!next.done) {
+            yield justify([...next.value, exit], next.value.step);
+            // Captured before the next alternative binds the goal's variables
+            const redo = tracer.event('redo', goal, depth, context);
+            next = alternatives.next();
+            if (!next.done) tracer.handler(redo);
+        }
+        tracer.emit('fail', goal, depth, context);
+    }
+
+    // Control constructs: true, fail, !, =, \\=, ',', ';', '->', '\\+', '^' and call/N.
+    // Returns the next frame, FAIL, or undefined when the goal is not a control construct.
+    _control(goal, frame, context) {
+        const { next, depth, cutBarrier } = frame;
+        const push = (goals, barrier = cutBarrier, rest = next) =>
+            this._pushGoals(goals, rest, depth, barrier, frame.node);
+
+        switch (goal.indicator) {
+            case 'true/0':
+                return next;
+            case 'fail/0':
+            case 'false/0':
+                return FAIL;
+            case '!/0':
+                context.cut(cutBarrier);
+                return next;
+            case '=/2':
+                return context.unify(goal.args[0], goal.args[1]) ? next : FAIL;
+            case '\\=/2': {
+                const mark = context.mark();
+                const unifiable = context.unify(goal.args[0], goal.args[1]);
+                context.undo(mark);
+                return unifiable ? FAIL : next;
+            }
+            case ',/2':
+                return push(goal.args.map(arg => this._asGoal(arg, context)));
+            case ';/2': {
+                const [left, right] = goal.args.map(arg => this._asGoal(arg, context));
+                if (left.indicator === '->/2') {
+                    return this._ifThenElse(left.args[0], left.args[1], right, frame, context);
+                }
+                // The right branch is retried on backtracking; cuts in either branch are not local
+                context.addChoicePoint(once([right]), frame, cutBarrier);
+                return push([left]);
+            }
+            case '->/2':
+                return this._ifThenElse(goal.args[0], goal.args[1], 'fail', frame, context);
+            case '\\+/1':
+            case 'not/1': {
+                // Negation as failure: if the goal succeeds, drop the fallback and fail
+                const height = context.choicePoints.length;
+                context.addChoicePoint(once([]), frame);
+                return push([this._asGoal(goal.args[0], context), { cutTo: height }, Term.compound('fail', [])], height + 1);
+            }
+            case '^/2':
+                // Outside bagof and setof, Var^Goal just proves Goal
+                return push([this._asGoal(goal.args[1], context)]);
+        }
+
+        if (goal.functor === 'call' && goal.arity >= 1) {
+            const [target, ...extra] = goal.args;
+            const called = this._asGoal(target, context);
+            const full = Term.compound(called.functor, [...called.args, ...extra]);
+            return push([full], context.choicePoints.length);
+        }
+
+        return undefined;
+    }
+
+    _ifThenElse(condition, then, otherwise, frame, context) {
+        const height = context.choicePoints.length;
+        context.addChoicePoint(once([this._asGoal(otherwise, context)]), frame, frame.cutBarrier);
+        // A cut in the condition is local to it; Then and Else are transparent to cut
+        const rest = this._pushGoals([this._asGoal(then, context)], frame.next, frame.depth, frame.cutBarrier, frame.node);
+        return this._pushGoals([this._asGoal(condition, context), { cutTo: height }], rest, frame.depth, height + 1, frame.node);
+    }
+
+    // Turn a term appearing in goal position into a callable goal
+    _asGoal(term, context) {
+        const goal = context.deref(term);
+        if (context.isVariable(goal)) {
+            throw new Error('Instantiation error: goal is an unbound variable');
+        }
+        if (goal === true) return Term.compound('true', []);
+        if (goal === false) return Term.compound('fail', []);
+        if (typeof goal === 'string') return Term.compound(goal, []);
+        if (goal instanceof Term && goal.isCompound()) return goal;
+        throw new Error(`Type error: ${goal} is not callable`);
+    }
+
+    _backtrack(context) {
+        const retry = context.backtrack();
+        if (!retry) return FAIL;
+        const { choicePoint, alternative } = retry;
+        const { frame } = choicePoint;
+        // Branches of control constructs have no step and stay in the enclosing proof
+        const node = alternative.step ? this._record(context, frame.goal, alternative.step, frame.node) : frame.node;
+        return this._pushGoals(alternative, frame.next, frame.depth + 1, choicePoint.cutBarrier, node);
+    }
+
+    _isBuiltin(name) {
+        return this.ps.predicates.has(name) && !this._hasClauses(name);
+    }
+
+    _hasClauses(name) {
+        return this.ps.rules.hasFunctor(name);
+    }
+
+    // Each alternative is the list of body goals to prove next
+    _alternatives(goal, frame, context) {
+        // Evaluating a tabled call runs its clauses directly
+        if (goal.untabled) {
+            return this._solveClauses(goal.untabled, context);
+        }
+        if (this.ps.tabled.has(goal.indicator)) {
+            return this._solveTabled(goal, frame.depth, context);
+        }
+
+        switch (goal.functor) {
+            case 'isA':
+                return chain(this._solveIsA(goal.args, context), this._solveClauses(goal, context));
+            case 'hasA':
+                return chain(this._solveHasA(goal.args, context), this._solveClauses(goal, context));
+            case 'similarity':
+                if (goal.arity !== 3) break;
+                return chain(this._solveSimilarity(goal.args, context), this._solveClauses(goal, context));
+            case 'semanticRelation':
+                if (goal.arity !== 4) break;
+                return chain(this._solveSemanticRelation(goal.args, context), this._solveClauses(goal, context));
+            case 'asserta':
+            case 'assertz':
+                if (goal.arity !== 1) break;
+                return this._solveAssert(goal.args[0], goal.functor === 'asserta', context);
+            case 'retract':
+                if (goal.arity !== 1) break;
+                return this._solveRetract(goal.args[0], context);
+            case 'abolish':
+                if (goal.arity !== 1) break;
+                return this._solveAbolish(goal.args[0], context);
+            case 'findall':
+                if (goal.arity !== 3) break;
+                return this._solveFindall(goal.args, frame.depth, context);
+            case 'bagof':
+            case 'setof':
+                if (goal.arity !== 3) break;
+                return this._solveBagof(goal.args, goal.functor === 'setof', frame.depth, context);
+            case 'table':
+                if (goal.arity !== 1) break;
+                this.ps.table(context.resolve(goal.args[0]));
+                return once(justify([], BUILTIN));
+        }
+        if (isConstraintGoal(goal) && !this._hasClauses(goal.functor)) {
+            return this._solveLibrary(solveConstraint(goal, context));
+        }
+        if (isLibraryGoal(goal) && !this._hasClauses(goal.functor)) {
+            return this._solveLibrary(solveLibraryGoal(goal, context));
+        }
+        if (isTextGoal(goal) && !this._hasClauses(goal.functor)) {
+            return this._solveLibrary(solveTextGoal(goal, context, this.ps.output));
+        }
+        if (this.ps.knowledgeBase.hasPredicate(goal.functor, goal.arity)) {
+            return chain(this._solveFacts(goal, context), this._solveClauses(goal, context));
+        }
+        return this._solveClauses(goal, context);
+    }
+
+    // Library predicates yield plain alternatives; they count as builtins in proofs
+    *_solveLibrary(alternatives) {
+        for (const alternative of alternatives) {
+            yield justify(alternative, BUILTIN);
+        }
+    }
+
+    *_solveFacts(goal, context) {
+        const pattern = goal.args.map(arg => context.deref(arg));
+        for (const fact of this.ps.knowledgeBase.match(goal.functor, pattern)) {
+            const mark = context.mark();
+            if (goal.args.every((arg, i) => context.unify(arg, fact[i]))) {
+                yield justify([], FACT);
+            }
+            context.undo(mark);
+        }
+    }
+
+    *_solveClauses(goal, context) {
+        const clauses = this.ps.rules.clauses(goal.functor, goal.arity, context.deref(goal.args[0]));
+
+        for (const clause of clauses) {
+            const renamed = this._renameClause(clause);
+            const mark = context.mark();
+            if (renamed.head.args.every((arg, i) => context.unify(arg, goal.args[i]))) {
+                yield justify(renamed.body, { type: clause.body.length > 0 ? 'rule' : 'fact', clause });
+            }
+            context.undo(mark);
+        }
+    }
+
+    // Conditions of math rules fail where the expression throws
+    _holds({ condition, failOnError }, view) {
+        try {
+            return condition(view);
+        } catch (error) {
+            if (failOnError) return false;
+            throw error;
+        }
+    }
+
+    _renameTerm(term) {
+        return this._renameClause({ head: term, body: [] }).head;
+    }
+
+    // Give every clause use its own copy of the clause variables
+    _renameClause(clause) {
+        const suffix = ++this.renameCounter;
+        const variables = new Map();
+        const rename = (term) => {
+            if (typeof term === 'string' && term.startsWith('$')) {
+                const name = term.slice(1);
+                if (!variables.has(name)) {
+                    variables.set(name, `$${name}#${suffix}`);
+                }
+                return variables.get(name);
+            }
+            if (Array.isArray(term)) {
+                return term.map(rename);
+            }
+            if (term instanceof Term && term.isVariable()) {
+                return rename(term.value);
+            }
+            if (term instanceof Term && term.isCompound()) {
+                return Term.compound(term.functor, term.args.map(rename));
+            }
+            return term;
+        };
+
+        const head = rename(clause.head);
+        const body = clause.body.map(condition =>
+            typeof condition === 'function' ? { condition, variables, failOnError: clause.failOnError } : rename(condition)
+        );
+        return { head, body };
+    }
+
+    // Answers come from a table that is completed before they are returned.
+    // Variant calls made while the table is still being evaluated see only
+    // the answers found so far; the SCC leader iterates until nothing changes.
+    *_solveTabled(goal, depth, context) {
+        const space = context.tables;
+        const call = context.resolve(goal);
+        const table = space.get(call);
+
+        if (table.evaluating) {
+            space.dependOn(table);
+        } else if (!table.complete) {
+            const index = space.begin(table);
+            try {
+                let changes;
+                do {
+                    changes = space.changes;
+                    const child = context.createChild();
+                    for (const solution of this.solve([{ untabled: call }], child, depth + 1)) {
+                        space.addAnswer(table, solution.resolve(call));
+                    }
+                } while (space.changes !== changes);
+            } finally {
+                space.end(table, index);
+            }
+        }
+
+        for (const answer of [...table.answers]) {
+            const mark = context.mark();
+            if (context.unify(goal, this._renameTerm(answer))) {
+                yield justify([], { type: 'table' });
+            }
+            context.undo(mark);
+        }
+    }
+
+    // Copies of the template for every solution of the goal. The goal runs on a
+    // branch of the context, so its bindings stay out of the caller's.
+    _collect($Template, $Goal, depth, context) {
+        const branch = context.createBranch();
+        const results = [];
+        for (const solution of this.solve([this._asGoal($Goal, context)], branch, depth + 1)) {
+            results.push(this._renameTerm(solution.resolve($Template)));
+        }
+        return results;
+    }
+
+    *_solveFindall([$Template, $Goal, $Bag], depth, context) {
+        if (context.unify($Bag, this._collect($Template, $Goal, depth, context))) {
+            yield justify([], BUILTIN);
+        }
+    }
+
+    // One bag per binding of the goal's free variables, those in neither the
+    // template nor a Var^ prefix. setof sorts each bag and drops duplicates.
+    *_solveBagof([$Template, $Goal, $Bag], sorted, depth, context) {
+        const bound = variablesOf(context.resolve($Template));
+        let goal = context.deref($Goal);
+        while (goal instanceof Term && goal.indicator === '^/2') {
+            variablesOf(context.resolve(goal.args[0]), bound);
+            goal = context.deref(goal.args[1]);
+        }
+        const free = variablesOf(context.resolve(goal)).filter(variable => !bound.includes(variable));
+
+        const groups = [];
+        for (const [witness, item] of this._collect([free, $Template], goal, depth, context)) {
+            const group = groups.find(other => compareTerms(other.witness, witness) === 0);
+            if (group) group.items.push(item);
+            else groups.push({ witness, items: [item] });
+        }
+        groups.sort((a, b) => compareTerms(a.witness, b.witness));
+
+        for (const { witness, items } of groups) {
+            const bag = sorted ?
+                items.sort(compareTerms).filter((item, i) => i === 0 || compareTerms(item, items[i - 1]) !== 0) :
+                items;
+            const mark = context.mark();
+            if (context.unify(free, witness) && context.unify($Bag, bag)) {
+                yield justify([], BUILTIN);
+            }
+            context.undo(mark);
+        }
+    }
+
+    *_solveAssert($Clause, atStart, context) {
+        const clause = this.ps._clauseFromTerm(context.resolve($Clause));
+        this.ps.rules.add(clause, atStart);
+        yield justify([], BUILTIN);
+    }
+
+    // Removes one matching clause per solution, so backtracking retracts the next
+    *_solveRetract($Clause, context) {
+        const term = context.deref($Clause);
+        const isRule = term instanceof Term && term.functor === ':-' && term.arity === 2;
+        const head = context.deref(isRule ? term.args[0] : term);
+        const $Body = isRule ? term.args[1] : true;
+        const goal = head instanceof Term ? head : Term.compound(head, []);
+        const factOnly = [true, 'true'].includes(context.deref($Body));
+
+        for (const clause of this.ps.rules.clauses(goal.functor, goal.arity, context.deref(goal.args[0]))) {
+            if (clause.body.some(condition => typeof condition === 'function')) continue;
+            if (factOnly && clause.body.length > 0) continue;
+            const renamed = this._renameClause(clause);
+            const mark = context.mark();
+            if (context.unify(goal, renamed.head) &&
+                (factOnly || context.unify($Body, conjunction(renamed.body)))) {
+                this.ps.rules.remove(clause);
+                yield justify([], BUILTIN);
+            }
+            context.undo(mark);
+        }
+    }
+
+    *_solveAbolish($Indicator, context) {
+        const indicator = context.resolve($Indicator);
+        if (!(indicator instanceof Term) || indicator.functor !== '/' || indicator.arity !== 2) {
+            throw new Error(`Invalid predicate indicator: ${indicator}`);
+        }
+        this.ps.rules.abolish(indicator.args[0], indicator.args[1]);
+        yield justify([], BUILTIN);
+    }
+
+    *_solveIsA([$Entity, $Category], context) {
+        const pattern = [context.deref($Entity), context.deref($Category)];
+        for (const [entity, category] of this.ps.knowledgeBase.match('isA', pattern)) {
+            const mark = context.mark();
+            if (context.unify($Category, category) && context.unify($Entity, entity)) {
+                yield justify([], FACT);
+            }
+            context.undo(mark);
+        }
+    }
+
+    // hasA(Entity, Property, Value) and hasA(Entity, Property, Value, Source)
+    // see the facts an entity inherits along isA; Source is the entity or
+    // ancestor that supplied the value
+    *_solveHasA([$Entity, $Property, $Value, $Source], context) {
+        const entity = context.deref($Entity);
+        const property = context.deref($Property);
+        const known = (term) => context.isVariable(term) ? undefined : term;
+        const holders = context.isVariable(entity) ? this._propertyHolders(known(property)) : [entity];
+        // Properties are compared semantically only when entity and property are known
+        const similar = holders.length === 1 && holders[0] === entity && !context.isVariable(property);
+
+        const expected = context.deref($Value);
+        for (const holder of holders) {
+            for (const { fact, source } of this.ps.inheritedFacts(holder, known(property), similar)) {
+                const similarProperty = similar && fact[1] !== property && property;
+                const mark = context.mark();
+                if (context.unify($Entity, holder) &&
+                    context.unify($Property, similarProperty || fact[1]) &&
+                    this._unifyValue($Value, fact[2], context) &&
+                    ($Source === undefined || context.unify($Source, source))) {
+                    yield justify([], this._hasAStep(fact, similarProperty, expected, context, holder));
+                }
+                context.undo(mark);
+            }
+        }
+    }
+
+    // Entities with a hasA fact for the property, then everything below them in isA
+    _propertyHolders(property) {
+        const holders = [];
+        for (const [entity] of this.ps.knowledgeBase.match('hasA', [undefined, property, undefined])) {
+            if (!holders.includes(entity)) holders.push(entity);
+        }
+        for (let i = 0; i < holders.length; i++) {
+            for (const [entity] of this.ps.knowledgeBase.match('isA', [undefined, holders[i]])) {
+                if (!holders.includes(entity)) holders.push(entity);
+            }
+        }
+        return holders;
+    }
+
+    // similarity(Term1, Term2, Score) with the best chain's score; with one term
+    // unbound it enumerates the similar terms, best first
+    *_solveSimilarity([$Term1, $Term2, $Score], context) {
+        const [term1, term2] = [$Term1, $Term2].map(term => context.deref(term));
+        const network = this.ps.semanticRelations;
+        let matches;
+        if (!context.isVariable(term1) && !context.isVariable(term2)) {
+            matches = [network.match(term1, term2)].filter(Boolean);
+        } else if (!context.isVariable(term1) || !context.isVariable(term2)) {
+            const known = context.isVariable(term1) ? term2 : term1;
+            matches = [{ term: known, score: 1 }, ...network.related(known)];
+        } else {
+            throw new Error('Instantiation error: similarity/3 needs Term1 or Term2 bound');
+        }
+        for (const { term, score } of matches) {
+            const mark = context.mark();
+            if (context.unify($Term1, context.isVariable(term1) ? term : term1) &&
+                context.unify($Term2, context.isVariable(term2) ? term : term2) &&
+                context.unify($Score, score)) {
+                yield justify([], BUILTIN);
+            }
+            context.undo(mark);
+        }
+    }
+
+    // semanticRelation(Term1, Type, Term2, Weight) over the direct relations
+    *_solveSemanticRelation([$Term1, $Type, $Term2, $Weight], context) {
+        const network = this.ps.semanticRelations;
+        const term1 = context.deref($Term1);
+        const sources = context.isVariable(term1) ? [...network.terms()] : [term1];
+        for (const source of sources) {
+            for (const { term, type, weight } of network.relations(source)) {
+                const mark = context.mark();
+                if (context.unify($Term1, source) && context.unify($Type, type) &&
+                    context.unify($Term2, term) && context.unify($Weight, weight)) {
+                    yield justify([], FACT);
+                }
+                context.undo(mark);
+            }
+        }
+    }
+
+    // A hasA fact step, listing the similarity hops that matched the property and
+    // value and the ancestor an inherited fact came from
+    _hasAStep(fact, similarProperty, expected, context, holder = fact[0]) {
+        const [source, storedProp, value] = fact;
+        const similarity = [];
+        if (similarProperty) {
+            similarity.push(this.ps.semanticPath(storedProp, similarProperty));
+        }
+        if (expected !== undefined && !context.isVariable(expected) && value !== expected &&
+            typeof value !== 'object' && typeof expected !== 'object') {
+            similarity.push(this.ps.semanticPath(value, expected));
+        }
+        if (similarity.length === 0 && source === holder) return FACT;
+        const step = { type: 'fact', fact: Term.compound('hasA', fact) };
+        if (similarity.length > 0) step.similarity = similarity;
+        if (source !== holder) step.inheritedFrom = source;
+        return step;
+    }
+
+    _unifyValue($Expected, value, context) {
+        if ($Expected === undefined) return true;
+        const expected = context.deref($Expected);
+        if (context.isVariable(expected) || typeof value === 'boolean' ||
+            typeof expected === 'object' || typeof value === 'object') {
+            return context.unify(expected, value);
+        }
+        return this.ps.areSemanticallySimilar(value, expected);
+    }
+}
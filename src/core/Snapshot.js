@@ -0,0 +1,71 @@
+// Snapshot.js
+
+import { Term } from './Term.js';
+
+/**
+ * Functions known by name. Snapshots cannot hold functions, so mechanisms,
+ * conditions, predicates and rule bodies are saved under the name they were
+ * registered with, and a process loading a snapshot registers the same names.
+ */
+export class FunctionRegistry {
+    constructor() {
+        this.byName = new Map();
+        this.names = new Map();
+    }
+
+    register(name, fn) {
+        if (typeof fn !== 'function') throw new Error(`Type error: ${name} is not a function`);
+        // A name refers to one function; the one registered before loses it
+        this.names.delete(this.byName.get(name));
+        this.byName.set(name, fn);
+        this.names.set(fn, name);
+        return fn;
+    }
+
+    nameOf(fn) {
+        if (!this.names.has(fn)) {
+            throw new Error(`Existence error: function ${fn.name || String(fn)} is not registered`);
+        }
+        return this.names.get(fn);
+    }
+
+    get(name) {
+        if (!this.byName.has(name)) throw new Error(`Existence error: no function registered as ${name}`);
+        return this.byName.get(name);
+    }
+}
+
+export const functions = new FunctionRegistry();
+
+// JSON form of a value. Maps, Sets, Terms, registered functions, undefined
+// and non-finite numbers become objects tagged with a '$' key.
+export function encode(value) {
+    if (value === undefined) return { $undefined: true };
+    if (typeof value === 'number' && !Number.isFinite(value)) return { $number: String(value) };
+    if (typeof value === 'function') return { $function: functions.nameOf(value) };
+    if (value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(encode);
+    if (value instanceof Map) return { $map: [...value].map(([key, item]) => [encode(key), encode(item)]) };
+    if (value instanceof Set) return { $set: [...value].map(encode) };
+    if (value instanceof Term) {
+        const term = { $term: encode(value.value) };
+        if (value.isCompound()) term.args = value.args.map(encode);
+        if (value.isExpression()) term.ast = value.ast;
+        return term;
+    }
+    const object = Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encode(item)]));
+    return Object.keys(object).some(key => key.startsWith('$')) ? { $object: object } : object;
+}
+
+export function decode(json) {
+    if (json === null || typeof json !== 'object') return json;
+    if (Array.isArray(json)) return json.map(decode);
+    if ('$undefined' in json) return undefined;
+    if ('$number' in json) return Number(json.$number);
+    if ('$function' in json) return functions.get(json.$function);
+    if ('$map' in json) return new Map(json.$map.map(([key, item]) => [decode(key), decode(item)]));
+    if ('$set' in json) return new Set(json.$set.map(decode));
+    if ('$term' in json) return new Term(decode(json.$term), json.ast ?? null, json.args ? json.args.map(decode) : null);
+    const object = json.$object ?? json;
+    return Object.fromEntries(Object.entries(object).map(([key, item]) => [key, decode(item)]));
+}
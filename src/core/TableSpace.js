@@ -0,0 +1,88 @@
+// TableSpace.js
+
+import { Term } from './Term.js';
+
+// Key shared by all variants of a term, i.e. equal up to variable renaming
+export function variantKey(term) {
+    const names = new Map();
+    const encode = (value) => {
+        if (typeof value === 'string' && value.startsWith('$')) {
+            if (!names.has(value)) names.set(value, names.size);
+            return { v: names.get(value) };
+        }
+        if (value instanceof Term) {
+            if (value.isVariable()) return encode(value.value);
+            if (value.quoted) return { c: value.value };
+            if (value.isCompound()) return { f: value.functor, a: value.args.map(encode) };
+            return encode(value.value);
+        }
+        if (Array.isArray(value)) return { l: value.map(encode) };
+        return { c: value };
+    };
+    return JSON.stringify(encode(term));
+}
+
+/**
+ * Answer tables for tabled predicates, shared by one top-level query.
+ * Tables that consume answers from a call still being evaluated belong to
+ * that call's SCC and only complete when its leader reaches a fixpoint.
+ */
+export class TableSpace {
+    constructor() {
+        this.tables = new Map();
+        this.stack = [];     // Tables currently being evaluated, outermost first
+        this.changes = 0;    // Incremented whenever any table gains an answer
+    }
+
+    get(goal) {
+        const key = variantKey(goal);
+        if (!this.tables.has(key)) {
+            this.tables.set(key, {
+                answers: [],
+                answerKeys: new Set(),
+                complete: false,
+                evaluating: false,
+                leader: null
+            });
+        }
+        return this.tables.get(key);
+    }
+
+    addAnswer(table, answer) {
+        const key = variantKey(answer);
+        if (table.answerKeys.has(key)) return false;
+        table.answerKeys.add(key);
+        table.answers.push(answer);
+        this.changes++;
+        return true;
+    }
+
+    begin(table) {
+        table.evaluating = true;
+        table.leader = this.stack.length;
+        this.stack.push(table);
+        return table.leader;
+    }
+
+    // A variant call of a table still being evaluated ties every table above it to its SCC
+    dependOn(table) {
+        const index = this.stack.indexOf(table);
+        for (let i = index + 1; i < this.stack.length; i++) {
+            this.stack[i].leader = Math.min(this.stack[i].leader, index);
+        }
+    }
+
+    // Returns true when the table led its SCC, which is then complete
+    end(table, index) {
+        this.stack.pop();
+        table.evaluating = false;
+        if (table.leader !== index) return false;
+
+        for (const other of this.tables.values()) {
+            if (!other.complete && !other.evaluating && other.leader >= index) {
+                other.complete = true;
+            }
+        }
+        return true;
+    }
+}
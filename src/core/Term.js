@@ -1,10 +1,45 @@
 // Term.js
 
 export class Term {
-    constructor(value, ast = null) {
+    constructor(value, ast = null, args = null) {
         this.value = value;
         this.binding = null;
         this.ast = ast;
+        this.args = args;  // Argument list for compound terms; value holds the functor
+    }
+
+    // Build a compound term such as owns(alice, car(red, 2019))
+    static compound(functor, args = []) {
+        return new Term(functor, null, args);
+    }
+
+    // A quoted atom such as '$abc', which as a plain string would read as a variable
+    static atom(name) {
+        const term = new Term(name);
+        term.quoted = true;
+        return term;
+    }
+
+    // Name of a variable the engine makes up. Variables in source text
+    // cannot contain '#', so these never clash with the user's own.
+    static freshVariable(tag, number) {
+        return `$_${tag}#${number}`;
+    }
+
+    static isFreshVariable(name) {
+        return name.includes('#');
+    }
+
+    get functor() {
+        return this.isCompound() ? this.value : null;
+    }
+
+    get arity() {
+        return this.isCompound() ? this.args.length : 0;
+    }
+
+    get indicator() {
+        return `${this.value}/${this.arity}`;
     }
 
     isNumber() {
@@ -12,7 +47,11 @@ export class Term {
     }
 
     isVariable() {
-        return typeof this.value === 'string' && this.value.startsWith('$');
+        return !this.isCompound() && !this.quoted && typeof this.value === 'string' && this.value.startsWith('$');
+    }
+
+    isCompound() {
+        return Array.isArray(this.args);
     }
 
     isList() {
@@ -23,13 +62,38 @@ export class Term {
         return this.ast !== null;
     }
 
+    toString() {
+        const format = (item) => {
+            if (Array.isArray(item)) return `[${item.map(format).join(', ')}]`;
+            return String(item);
+        };
+        if (this.functor === '[|]' && this.arity === 2) {
+            const [head, tail] = this.args;
+            return Array.isArray(tail) ? format([head, ...tail]) : `[${format(head)}|${format(tail)}]`;
+        }
+        if (this.isCompound()) {
+            return this.args.length === 0 ?
+                String(this.value) :
+                `${this.value}(${this.args.map(format).join(', ')})`;
+        }
+        return format(this.value);
+    }
+
+    // Operands become Variables, Literals or, for expression Terms, their own
+    // AST, so chained arithmetic builds one nested expression
     static createBinaryOp = function (operator, left, right) {
+        const operand = (term) => {
+            if (term instanceof Term && term.isExpression()) return term.ast;
+            const value = term instanceof Term ? term.value : term;
+            if (typeof value === 'number') return { type: "Literal", value };
+            return { type: "Variable", name: typeof value !== 'string' ? value : value.replace("$", "") };
+        };
         return {
             type: "BinaryExpression",
             operator: operator,
-            left: left instanceof Term ? { type: "Variable", name: typeof left.value !== 'string' ? left.value : left.value.replace("$", "") } : left,
-            right: right instanceof Term ? { type: "Variable", name: typeof right.value !== 'string' ? right.value : right.value.replace("$", "") } : right
+            left: operand(left),
+            right: operand(right)
         };
     };
-    
-}
\ No newline at end of file
+
+}
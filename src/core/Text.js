@@ -0,0 +1,420 @@
+// Text.js
+
+import { Term } from './Term.js';
+
+/**
+ * Atom and string predicates. Atoms and strings are both JavaScript strings,
+ * or atom Terms when they start with '$', so the atom_ and string_ variants
+ * behave alike; numbers count as text
+ * where Prolog accepts atomic arguments. Modes that Prolog defines as
+ * enumerating, such as atom_concat(X, Y, abc), yield one alternative each.
+ */
+
+const PREDICATES = new Set([
+    'atom_concat/3', 'string_concat/3', 'atom_length/2', 'string_length/2',
+    'sub_atom/5', 'sub_string/5', 'split_string/4', 'atomic_list_concat/2', 'atomic_list_concat/3',
+    'upcase_atom/2', 'downcase_atom/2', 'string_upper/2', 'string_lower/2',
+    'atom_codes/2', 'atom_chars/2', 'string_codes/2', 'string_chars/2', 'char_code/2',
+    'number_codes/2', 'number_chars/2', 'atom_number/2', 'number_string/2', 'atom_string/2',
+    'format/1', 'format/2', 'format/3', 're_match/2', 're_matchsub/3', 're_replace/4'
+]);
+
+export function isTextGoal(goal) {
+    return goal instanceof Term && PREDICATES.has(goal.indicator);
+}
+
+// output receives the text written by format/1 and format/2
+export function* solveTextGoal(goal, context, output) {
+    const args = goal.args;
+    const indicator = goal.indicator;
+    const text = (term) => textOf(context, term, indicator);
+    const unified = (...pairs) => pairs.every(([term, value]) => context.unify(term, atomic(value)));
+
+    switch (goal.functor) {
+        case 'atom_concat':
+        case 'string_concat':
+            yield* concat(context, args, indicator);
+            return;
+        case 'atom_length':
+        case 'string_length':
+            if (unified([args[1], [...text(args[0])].length])) yield [];
+            return;
+        case 'sub_atom':
+        case 'sub_string':
+            yield* substrings(context, args, indicator);
+            return;
+        case 'split_string': {
+            const [string, separators, pad] = args.slice(0, 3).map(text);
+            if (unified([args[3], split(string, separators, pad)])) yield [];
+            return;
+        }
+        case 'atomic_list_concat': {
+            const separator = args.length === 3 ? text(args[1]) : '';
+            yield* joinOrSplit(context, args[0], separator, args[args.length - 1], indicator);
+            return;
+        }
+        case 'upcase_atom':
+        case 'string_upper':
+            if (unified([args[1], text(args[0]).toUpperCase()])) yield [];
+            return;
+        case 'downcase_atom':
+        case 'string_lower':
+            if (unified([args[1], text(args[0]).toLowerCase()])) yield [];
+            return;
+        case 'atom_codes':
+        case 'string_codes':
+        case 'atom_chars':
+        case 'string_chars': {
+            const codes = goal.functor.endsWith('codes');
+            const list = listOf(context, args[1], codes);
+            const value = bound(context, args[0]) ? text(args[0]) : fromCharacters(context, list, codes, indicator);
+            if (unified([args[0], value], [list, characters(value, codes)])) yield [];
+            return;
+        }
+        case 'char_code': {
+            const code = bound(context, args[0]) ? character(text(args[0])).codePointAt(0) : codeOf(context, args[1], indicator);
+            if (unified([args[0], String.fromCodePoint(code)], [args[1], code])) yield [];
+            return;
+        }
+        case 'number_codes':
+        case 'number_chars': {
+            const codes = goal.functor === 'number_codes';
+            const list = listOf(context, args[1], codes);
+            const number = bound(context, args[0]) ? numberOf(context, args[0], indicator) :
+                parseNumber(fromCharacters(context, list, codes, indicator), true);
+            if (unified([args[0], number], [list, characters(String(number), codes)])) yield [];
+            return;
+        }
+        case 'atom_number':
+        case 'number_string': {
+            // atom_number(A, N) and number_string(N, S) put the text on opposite sides
+            const [$Text, $Number] = goal.functor === 'atom_number' ? args : [args[1], args[0]];
+            if (bound(context, $Text)) {
+                const number = parseNumber(text($Text), false);
+                if (number !== null && unified([$Number, number])) yield [];
+            } else if (unified([$Text, String(numberOf(context, $Number, indicator))])) {
+                yield [];
+            }
+            return;
+        }
+        case 'atom_string': {
+            const value = bound(context, args[0]) ? text(args[0]) : text(args[1]);
+            if (unified([args[0], value], [args[1], value])) yield [];
+            return;
+        }
+        case 'format':
+            yield* format(context, args, output);
+            return;
+        case 're_match':
+            if (regex(context, args[0]).test(text(args[1]))) yield [];
+            return;
+        case 're_matchsub': {
+            const match = regex(context, args[0]).exec(text(args[1]));
+            if (match && unified([args[2], match.map(group => group === undefined ? '' : group)])) yield [];
+            return;
+        }
+        case 're_replace': {
+            const replaced = text(args[2]).replace(regex(context, args[0]), text(args[1]));
+            if (unified([args[3], replaced])) yield [];
+        }
+    }
+}
+
+// Text made here that starts with '$' is wrapped so it does not read as a variable
+function atomic(value) {
+    if (Array.isArray(value)) return value.map(atomic);
+    return typeof value === 'string' && value.startsWith('$') ? Term.atom(value) : value;
+}
+
+function bound(context, term) {
+    return !context.isVariable(context.deref(term));
+}
+
+function plain(context, term) {
+    const value = context.deref(term);
+    if (value instanceof Term && value.quoted) return value;
+    return value instanceof Term && !value.isCompound() && !value.isList() ? plain(context, value.value) : value;
+}
+
+// Text of an atomic argument; unbound or compound arguments are errors
+function textOf(context, term, indicator) {
+    const value = plain(context, term);
+    if (context.isVariable(value)) {
+        throw new Error(`Instantiation error: ${indicator} needs ${value.slice(1)} bound`);
+    }
+    if (['string', 'number', 'boolean'].includes(typeof value)) return String(value);
+    if (value instanceof Term && value.quoted) return value.value;
+    throw new Error(`Type error: ${show(context, value)} is not atomic`);
+}
+
+function numberOf(context, term, indicator) {
+    const value = plain(context, term);
+    if (context.isVariable(value)) {
+        throw new Error(`Instantiation error: ${indicator} needs ${value.slice(1)} bound`);
+    }
+    if (typeof value !== 'number') throw new Error(`Type error: ${show(context, value)} is not a number`);
+    return value;
+}
+
+// Prolog number syntax; strict parsing raises a syntax error instead of failing
+function parseNumber(text, strict) {
+    const trimmed = text.trim();
+    if (/^[+-]?(\d+(\.\d+)?([eE][+-]?\d+)?|inf|nan)$/.test(trimmed)) {
+        return Number(trimmed.replace(/inf$/, 'Infinity').replace(/^[+-]?nan$/, 'NaN'));
+    }
+    if (/^(0x[0-9a-fA-F]+|0o[0-7]+|0b[01]+)$/.test(trimmed)) return Number(trimmed);
+    if (strict) throw new Error(`Syntax error: ${text} is not a number`);
+    return null;
+}
+
+function character(text) {
+    if ([...text].length !== 1) throw new Error(`Type error: ${text} is not a character`);
+    return text;
+}
+
+function characters(text, codes) {
+    return [...text].map(char => codes ? char.codePointAt(0) : char);
+}
+
+function codeOf(context, term, indicator) {
+    const code = numberOf(context, term, indicator);
+    if (!Number.isInteger(code) || code < 0 || code > 0x10FFFF) {
+        throw new Error(`Representation error: ${code} is not a character code`);
+    }
+    return code;
+}
+
+// Double-quoted text where a list of codes or characters is expected stands for that list
+function listOf(context, term, codes) {
+    const value = plain(context, term);
+    if (value instanceof Term && value.quoted) return characters(value.value, codes);
+    return typeof value === 'string' && !context.isVariable(value) ? characters(value, codes) : term;
+}
+
+// Text from a list of character codes or one-character atoms
+function fromCharacters(context, term, codes, indicator) {
+    const list = context.resolve(term);
+    if (!Array.isArray(list)) {
+        if (context.isVariable(list) || list instanceof Term) {
+            throw new Error(`Instantiation error: ${indicator} needs a proper list`);
+        }
+        throw new Error(`Type error: ${list} is not a list`);
+    }
+    return list.map(item => codes ?
+        String.fromCodePoint(codeOf(context, item, indicator)) :
+        character(textOf(context, item, indicator))).join('');
+}
+
+function* concat(context, [$Left, $Right, $Whole], indicator) {
+    if (bound(context, $Left) && bound(context, $Right)) {
+        const whole = textOf(context, $Left, indicator) + textOf(context, $Right, indicator);
+        if (context.unify($Whole, atomic(whole))) yield [];
+        return;
+    }
+    const chars = [...textOf(context, $Whole, indicator)];
+    for (let i = 0; i <= chars.length; i++) {
+        const mark = context.mark();
+        if (context.unify($Left, atomic(chars.slice(0, i).join(''))) && context.unify($Right, atomic(chars.slice(i).join('')))) yield [];
+        context.undo(mark);
+    }
+}
+
+// sub_atom(Atom, Before, Length, After, Sub): every substring, or each
+// occurrence of a known Sub
+function* substrings(context, [$Atom, $Before, $Length, $After, $Sub], indicator) {
+    const chars = [...textOf(context, $Atom, indicator)];
+    const size = chars.length;
+    const attempt = function* (before, length) {
+        const mark = context.mark();
+        if (context.unify($Before, before) && context.unify($Length, length) &&
+            context.unify($After, size - before - length) &&
+            context.unify($Sub, atomic(chars.slice(before, before + length).join('')))) {
+            yield [];
+        }
+        context.undo(mark);
+    };
+
+    if (bound(context, $Sub)) {
+        const sub = [...textOf(context, $Sub, indicator)];
+        for (let before = 0; before + sub.length <= size; before++) {
+            if (sub.every((char, i) => chars[before + i] === char)) yield* attempt(before, sub.length);
+        }
+        return;
+    }
+    for (let before = 0; before <= size; before++) {
+        for (let length = 0; before + length <= size; length++) {
+            yield* attempt(before, length);
+        }
+    }
+}
+
+// SWI-Prolog split_string/4: split at any separator character, then strip
+// pad characters from both ends of each field
+function split(string, separators, pad) {
+    const fields = [''];
+    for (const char of string) {
+        if (separators.includes(char)) fields.push('');
+        else fields[fields.length - 1] += char;
+    }
+    const strip = (field) => {
+        const chars = [...field];
+        while (chars.length > 0 && pad.includes(chars[0])) chars.shift();
+        while (chars.length > 0 && pad.includes(chars[chars.length - 1])) chars.pop();
+        return chars.join('');
+    };
+    return fields.map(strip);
+}
+
+function* joinOrSplit(context, $List, separator, $Atom, indicator) {
+    const list = context.resolve($List);
+    if (Array.isArray(list) && list.every(item => bound(context, item))) {
+        if (context.unify($Atom, atomic(list.map(item => textOf(context, item, indicator)).join(separator)))) yield [];
+        return;
+    }
+    if (separator === '') throw new Error(`Instantiation error: ${indicator} needs a separator to split`);
+    if (context.unify($List, atomic(textOf(context, $Atom, indicator).split(separator)))) yield [];
+}
+
+// Text of any term, as write/1 shows it
+function show(context, term) {
+    const value = context.resolve(term);
+    if (Array.isArray(value)) return `[${value.map(item => show(context, item)).join(', ')}]`;
+    if (value instanceof Term && value.isCompound()) return String(value);
+    return String(plain(context, value));
+}
+
+const DIRECTIVE = /~(\*|`.|\d+)?([a-zA-Z~|+])/g;
+
+// format(Format), format(Format, Args) and format(Sink, Format, Args), where
+// Sink is atom(A), string(S), codes(C) or chars(C)
+function* format(context, args, output) {
+    const [$Sink, $Format, $Args] = args.length === 3 ? args : [null, ...args];
+    const text = formatText(context, $Format, $Args === undefined ? [] : $Args);
+    if ($Sink === null) {
+        output(text);
+        yield [];
+        return;
+    }
+    const sink = context.deref($Sink);
+    if (!(sink instanceof Term && sink.arity === 1 && ['atom', 'string', 'codes', 'chars'].includes(sink.functor))) {
+        throw new Error(`Domain error: ${show(context, sink)} is not a format sink`);
+    }
+    const value = ['atom', 'string'].includes(sink.functor) ? text : characters(text, sink.functor === 'codes');
+    if (context.unify(sink.args[0], atomic(value))) yield [];
+}
+
+function formatText(context, $Format, $Args) {
+    const formatValue = context.resolve($Format);
+    const template = Array.isArray(formatValue) ?
+        fromCharacters(context, formatValue, typeof formatValue[0] === 'number', 'format/2') :
+        textOf(context, formatValue, 'format/2');
+    const argsValue = context.resolve($Args);
+    const queue = Array.isArray(argsValue) ? [...argsValue] : [argsValue];
+    const next = (directive) => {
+        if (queue.length === 0) throw new Error(`Format error: not enough arguments for ~${directive}`);
+        return queue.shift();
+    };
+
+    let result = '';
+    let stop = 0;     // Where in the result the last column stop is
+    let fills = [];   // Fill points since then, from ~t: { at, char }
+
+    // A column stop pads the text since the previous one to the stop's column,
+    // spread over its fill points, or after the text when there are none
+    const columnStop = (column) => {
+        const lineStart = result.lastIndexOf('\n') + 1;
+        const pad = column - (result.length - lineStart);
+        const points = fills.length > 0 ? fills : [{ at: result.length, char: ' ' }];
+        for (let i = points.length - 1; pad > 0 && i >= 0; i--) {
+            const width = Math.floor(pad / points.length) + (i >= points.length - pad % points.length ? 1 : 0);
+            result = result.slice(0, points[i].at) + points[i].char.repeat(width) + result.slice(points[i].at);
+        }
+        stop = result.length;
+        fills = [];
+    };
+
+    const expand = (column, directive) => {
+        let count = column === undefined ? undefined :
+            column === '*' ? next('*') : column.startsWith('`') ? column.slice(1) : Number(column);
+        switch (directive) {
+            case 'w':
+            case 'p':
+            case 'q':
+            case 'a':
+                return show(context, next(directive));
+            case 'd':
+            case 'D': {
+                const value = plain(context, next(directive));
+                if (!Number.isInteger(value)) throw new Error(`Format error: ~${directive} expects an integer, got ${value}`);
+                const digits = count ? (value / 10 ** count).toFixed(count) : String(value);
+                return directive === 'D' ? digits.replace(/\B(?=(\d{3})+(?!\d))/g, ',') : digits;
+            }
+            case 'f':
+            case 'e':
+            case 'g': {
+                const value = plain(context, next(directive));
+                if (typeof value !== 'number') throw new Error(`Format error: ~${directive} expects a number, got ${value}`);
+                // C prints at least two exponent digits: 1.500000e+02
+                if (directive === 'e') return value.toExponential(count ?? 6).replace(/e([+-])(\d)$/, 'e$10$2');
+                if (directive === 'g') return String(value);
+                return value.toFixed(count ?? 6);
+            }
+            case 's': {
+                const value = context.resolve(next(directive));
+                return Array.isArray(value) ? fromCharacters(context, value, typeof value[0] === 'number', 'format/2') : textOf(context, value, 'format/2');
+            }
+            case 'c':
+                return String.fromCodePoint(codeOf(context, next(directive), 'format/2')).repeat(count ?? 1);
+            case 'r': {
+                const value = plain(context, next(directive));
+                if (!Number.isInteger(value)) throw new Error(`Format error: ~r expects an integer, got ${value}`);
+                return value.toString(count ?? 8);
+            }
+            case 'i':
+                next(directive);
+                return '';
+            case 'n':
+                return '\n'.repeat(count ?? 1);
+            case '~':
+                return '~';
+            case 't':
+                // ~`ct fills with c, ~Nt with the character of code N
+                fills.push({ at: result.length, char: typeof count === 'string' ? count : String.fromCodePoint(count ?? 32) });
+                return '';
+            case '|':
+            case '+': {
+                const lineStart = result.lastIndexOf('\n') + 1;
+                const previous = Math.max(stop - lineStart, 0);
+                columnStop(directive === '|' ? count ?? result.length - lineStart : previous + (count ?? 8));
+                return '';
+            }
+            default:
+                throw new Error(`Format error: unknown directive ~${directive}`);
+        }
+    };
+
+    let last = 0;
+    for (const match of template.matchAll(DIRECTIVE)) {
+        result += template.slice(last, match.index);
+        // Column stops rewrite the result, so it is read after expanding
+        const text = expand(match[1], match[2]);
+        result += text;
+        last = match.index + match[0].length;
+    }
+    result += template.slice(last);
+    if (queue.length > 0) throw new Error('Format error: too many arguments');
+    return result;
+}
+
+// A pattern is text or Pattern/Flags with JavaScript flags such as i or g
+function regex(context, term) {
+    const value = context.deref(term);
+    const [pattern, flags] = value instanceof Term && value.indicator === '//2' ?
+        [textOf(context, value.args[0], 'regex'), textOf(context, value.args[1], 'regex')] :
+        [textOf(context, value, 'regex'), ''];
+    try {
+        return new RegExp(pattern, flags);
+    } catch (error) {
+        throw new Error(`Syntax error: ${error.message}`);
+    }
+}
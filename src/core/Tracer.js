@@ -0,0 +1,61 @@
+// Tracer.js
+
+import { Term } from './Term.js';
+
+const PORT_LABELS = { call: 'Call', exit: 'Exit', redo: 'Redo', fail: 'Fail' };
+
+function collectVariables(term, names = new Set()) {
+    if (typeof term === 'string' && term.startsWith('$')) {
+        names.add(term);
+    } else if (term instanceof Term) {
+        if (term.isVariable()) names.add(term.value);
+        if (term.isCompound()) term.args.forEach(arg => collectVariables(arg, names));
+        if (term.isList()) term.value.forEach(item => collectVariables(item, names));
+    } else if (Array.isArray(term)) {
+        term.forEach(item => collectVariables(item, names));
+    }
+    return names;
+}
+
+// Built-in pretty-printer, e.g. "   Exit: (2) ancestor(tom, ann)"
+export function formatTraceEvent(event) {
+    const indent = ' '.repeat(Math.min(event.depth, 40));
+    return `${indent}${PORT_LABELS[event.port]}: (${event.depth}) ${event.goal}`;
+}
+
+/**
+ * Reports the call, exit, redo and fail ports of predicate calls to a handler.
+ * Silent until a handler is installed with trace() or a spy point is set;
+ * with spy points only the spied predicates are reported.
+ */
+export class Tracer {
+    constructor() {
+        this.handler = null;
+        this.spied = new Set();
+    }
+
+    get enabled() {
+        return this.handler !== null;
+    }
+
+    traces(goal) {
+        return this.handler !== null && goal instanceof Term &&
+            (this.spied.size === 0 || this.spied.has(goal.indicator));
+    }
+
+    // The goal is the call-time goal; bindings hold its variables' current values
+    event(port, goal, depth, context) {
+        const bindings = new Map();
+        for (const name of collectVariables(goal)) {
+            const value = context.resolve(name);
+            if (value !== name) bindings.set(name.slice(1), value);
+        }
+        return { port, goal: context.resolve(goal), depth, bindings };
+    }
+
+    emit(port, goal, depth, context) {
+        this.handler(this.event(port, goal, depth, context));
+    }
+}
+
+export const printTrace = event => console.log(formatTraceEvent(event));
@@ -1,30 +1,136 @@
 // UnificationContext.js
 
 import { ChoicePoint } from './ChoicePoint.js';
+import { Term } from './Term.js';
+import { TableSpace } from './TableSpace.js';
+
+// A compound with no arguments is the same as its atom
+const atomOf = (term) => term instanceof Term && term.isCompound() && term.arity === 0 ? term.functor : term;
+
+// Thrown when a query runs into one of its limits; limit names which one
+export class QueryLimitError extends Error {
+    constructor(limit, message) {
+        super(message);
+        this.name = 'QueryLimitError';
+        this.limit = limit;       // 'maxDepth', 'maxInferences', 'maxSolutions', 'timeout' or 'signal'
+        this.solutions = [];      // Solutions found before the limit was hit
+    }
+}
+
+// Hooks run when a variable carrying an attribute of their module is bound
+const attributeHooks = new Map();
+
+// hook(context, name, attribute, value) returns false to reject the binding
+export function registerAttributeHook(module, hook) {
+    attributeHooks.set(module, hook);
+}
+
+const NO_LIMITS = Object.freeze({ maxInferences: Infinity, timeout: Infinity, deadline: Infinity, signal: null });
+
+const isListCell = (term) => term instanceof Term && term.functor === '[|]' && term.arity === 2;
 
 export class UnificationContext {
     constructor() {
         this.bindings = new Map();
+        this.attributes = new Map();  // Variable name -> Map of module -> attribute
+        this.trail = [];
         this.choicePoints = [];
         this.depth = 0;
         this.maxDepth = 100;  // Add maximum depth limit
+        this.limits = NO_LIMITS;
+        this.usage = { inferences: 0 };
+        this.tables = new TableSpace();
+        this.explaining = false;  // Record proof steps on the trail
+        this.freshCount = { value: 0 };
+    }
+
+    // Context for a nested derivation that shares this one's tables and limits
+    createChild() {
+        const child = new UnificationContext();
+        child.maxDepth = this.maxDepth;
+        child.limits = this.limits;
+        child.usage = this.usage;
+        child.tables = this.tables;
+        child.freshCount = this.freshCount;
+        return child;
     }
 
-    addChoicePoint(alternatives) {
-        this.choicePoints.push(new ChoicePoint(alternatives, this.bindings));
+    // Child that starts from this context's bindings and attributes, for goals
+    // whose solutions are collected without binding anything here
+    createBranch() {
+        const child = this.createChild();
+        child.bindings = new Map(this.bindings);
+        for (const [name, attributes] of this.attributes) {
+            child.attributes.set(name, new Map(attributes));
+        }
+        return child;
+    }
+
+    // Per-query limits; the timeout runs from now
+    applyLimits({ maxDepth = this.maxDepth, maxInferences = Infinity, timeout = Infinity, signal = null } = {}) {
+        this.maxDepth = maxDepth;
+        this.limits = { maxInferences, timeout, deadline: Date.now() + timeout, signal };
+        this.checkLimits();
     }
 
+    // Called once per inference step. Queries run synchronously, so an
+    // AbortSignal is seen only if it is aborted before or during the query.
+    checkLimits() {
+        const { maxInferences, timeout, deadline, signal } = this.limits;
+        if (this.usage.inferences > maxInferences) {
+            throw new QueryLimitError('maxInferences', `Inference limit of ${maxInferences} exceeded`);
+        }
+        if (deadline !== Infinity && Date.now() > deadline) {
+            throw new QueryLimitError('timeout', `Query timed out after ${timeout} ms`);
+        }
+        if (signal && signal.aborted) {
+            throw new QueryLimitError('signal', 'Query aborted');
+        }
+    }
+
+    countInference() {
+        this.usage.inferences++;
+        this.checkLimits();
+    }
+
+    // By default a cut inside the alternatives removes this choice point and everything after it
+    addChoicePoint(alternatives, frame, cutBarrier = this.choicePoints.length) {
+        const choicePoint = new ChoicePoint(alternatives, this.trail.length, frame, cutBarrier);
+        this.choicePoints.push(choicePoint);
+        return choicePoint;
+    }
+
+    // Discard every choice point above the given height
+    cut(height) {
+        if (this.choicePoints.length > height) {
+            this.choicePoints.length = height;
+        }
+    }
+
+    // Retry the most recent choice point that still has alternatives.
+    // Returns { choicePoint, alternative } or null when none are left.
     backtrack() {
-        if (this.choicePoints.length === 0) return false;
-        const choice = this.choicePoints.pop();
-        this.bindings = new Map(choice.bindings);
-        return choice.alternatives.length > 0 ? choice.alternatives.pop() : null;
+        while (this.choicePoints.length > 0) {
+            const choicePoint = this.choicePoints[this.choicePoints.length - 1];
+            this.undo(choicePoint.trailMark);
+            const next = choicePoint.alternatives.next();
+            if (!next.done) {
+                return { choicePoint, alternative: next.value };
+            }
+            this.choicePoints.pop();
+        }
+        return null;
+    }
+
+    // New variable for a library goal; the count is shared with child contexts
+    freshVariable(tag) {
+        return Term.freshVariable(tag, ++this.freshCount.value);
     }
 
     // Add methods for depth management
     incrementDepth() {
         if (this.depth >= this.maxDepth) {
-            throw new Error('Maximum recursion depth exceeded');
+            throw new QueryLimitError('maxDepth', 'Maximum recursion depth exceeded');
         }
         this.depth++;
     }
@@ -38,10 +144,161 @@ export class UnificationContext {
         // Remove $ prefix if present
         const name = varName.startsWith('$') ? varName.slice(1) : varName;
         this.bindings.set(name, value);
+        this.trail.push(name);
+    }
+
+    // Trail management for backtracking
+    mark() {
+        return this.trail.length;
+    }
+
+    undo(mark) {
+        while (this.trail.length > mark) {
+            const entry = this.trail.pop();
+            if (typeof entry === 'string') {
+                this.bindings.delete(entry);
+            } else if (entry.undo) {
+                entry.undo();
+            }
+        }
+    }
+
+    // Non-binding trail entries, such as proof steps, are dropped on backtracking;
+    // an entry with an undo() method is called then
+    record(entry) {
+        this.trail.push(entry);
+    }
+
+    records() {
+        return this.trail.filter(entry => typeof entry !== 'string');
+    }
+
+    getAttribute(variable, module) {
+        const attributes = this.attributes.get(variable.replace(/^\$/, ''));
+        return attributes ? attributes.get(module) : undefined;
+    }
+
+    // Attributes are trailed, so backtracking restores the previous value
+    setAttribute(variable, module, value) {
+        const name = variable.replace(/^\$/, '');
+        if (!this.attributes.has(name)) this.attributes.set(name, new Map());
+        const attributes = this.attributes.get(name);
+        const previous = attributes.get(module);
+        attributes.set(module, value);
+        this.record({
+            undo: () => previous === undefined ? attributes.delete(module) : attributes.set(module, previous)
+        });
+    }
+
+    // Bind a variable and let the hooks of its attributes accept or reject the
+    // value; a rejected binding is undone along with whatever the hooks changed
+    bindAttributed(variable, value) {
+        const mark = this.mark();
+        this.bind(variable, value);
+        const attributes = this.attributes.get(variable.replace(/^\$/, ''));
+        if (!attributes) return true;
+        for (const [module, attribute] of attributes) {
+            const hook = attributeHooks.get(module);
+            if (hook && !hook(this, variable, attribute, value)) {
+                this.undo(mark);
+                return false;
+            }
+        }
+        return true;
     }
 
     // Add method for getting bindings
     getBindings() {
         return new Map(this.bindings);
     }
-}
\ No newline at end of file
+
+    isVariable(term) {
+        return (typeof term === 'string' && term.startsWith('$')) ||
+               (term instanceof Term && term.isVariable());
+    }
+
+    // Follow variable bindings until reaching an unbound variable or a value
+    deref(term) {
+        while (true) {
+            if (term instanceof Term && term.isVariable()) {
+                term = term.value;
+            }
+            if (typeof term === 'string' && term.startsWith('$') &&
+                this.bindings.has(term.slice(1))) {
+                term = this.bindings.get(term.slice(1));
+                continue;
+            }
+            return term;
+        }
+    }
+
+    unify(term1, term2) {
+        const t1 = atomOf(this.deref(term1));
+        const t2 = atomOf(this.deref(term2));
+
+        if (t1 === t2) return true;
+
+        // The occurs check keeps bindings acyclic, so resolve always terminates
+        if (this.isVariable(t1)) {
+            return !this.occurs(t1, t2) && this.bindAttributed(t1, t2);
+        }
+        if (this.isVariable(t2)) {
+            return !this.occurs(t2, t1) && this.bindAttributed(t2, t1);
+        }
+
+        // A '[|]' list cell unifies with the first element and the rest of an array
+        if (Array.isArray(t1) && isListCell(t2)) return this._unifyListCell(t2, t1);
+        if (Array.isArray(t2) && isListCell(t1)) return this._unifyListCell(t1, t2);
+
+        // Compound terms unify structurally: same functor, arity and arguments
+        const c1 = t1 instanceof Term && t1.isCompound();
+        const c2 = t2 instanceof Term && t2.isCompound();
+        if (c1 || c2) {
+            if (!c1 || !c2) return false;
+            if (t1.functor !== t2.functor || t1.arity !== t2.arity) return false;
+            return t1.args.every((arg, index) => this.unify(arg, t2.args[index]));
+        }
+
+        const v1 = t1 instanceof Term ? t1.value : t1;
+        const v2 = t2 instanceof Term ? t2.value : t2;
+
+        if (Array.isArray(v1) && Array.isArray(v2)) {
+            if (v1.length !== v2.length) return false;
+            return v1.every((item, index) => this.unify(item, v2[index]));
+        }
+
+        return v1 === v2;
+    }
+
+    // Whether the variable occurs in the term once bindings are followed
+    occurs(variable, term) {
+        const value = this.deref(term);
+        if (value === variable) return true;
+        if (Array.isArray(value)) return value.some(item => this.occurs(variable, item));
+        if (value instanceof Term && value.isCompound()) return value.args.some(arg => this.occurs(variable, arg));
+        return false;
+    }
+
+    _unifyListCell(cell, list) {
+        if (list.length === 0) return false;
+        return this.unify(cell.args[0], list[0]) && this.unify(cell.args[1], list.slice(1));
+    }
+
+    // Substitute all bound variables in a term
+    resolve(term) {
+        const value = this.deref(term);
+        if (Array.isArray(value)) {
+            return value.map(item => this.resolve(item));
+        }
+        if (isListCell(value)) {
+            // Collapse list cells back into an array once the tail is a proper list
+            const head = this.resolve(value.args[0]);
+            const tail = this.resolve(value.args[1]);
+            return Array.isArray(tail) ? [head, ...tail] : Term.compound('[|]', [head, tail]);
+        }
+        if (value instanceof Term && value.isCompound()) {
+            return Term.compound(value.functor, value.args.map(arg => this.resolve(arg)));
+        }
+        return value;
+    }
+}
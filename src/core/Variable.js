@@ -1,82 +1,113 @@
 // Variable.js
 
-export class Variable {
+import { Term } from './Term.js';
+import { registerAttributeHook } from './UnificationContext.js';
+
+// Attribute module holding the tests a variable's value has to pass
+export const CONSTRAINTS = 'constraints';
+
+// Tests see plain values, as unification compares atomic Terms by value
+function plainValue(context, term) {
+    const value = context.resolve(term);
+    return value instanceof Term && !value.isCompound() && !value.isExpression() ? value.value : value;
+}
+
+/**
+ * Attach a test to a variable of the context. Every binding the context makes
+ * afterwards runs it, and a variable that is already bound is tested now.
+ */
+export function constrain(context, variable, test) {
+    const value = plainValue(context, variable);
+    if (!context.isVariable(value)) return Boolean(test(value));
+    const name = context.deref(variable);
+    context.setAttribute(name, CONSTRAINTS, [...(context.getAttribute(name, CONSTRAINTS) || []), test]);
+    return true;
+}
+
+registerAttributeHook(CONSTRAINTS, (context, variable, tests, value) => {
+    const target = context.deref(value);
+    if (context.isVariable(target)) {
+        // Aliased variables share their constraints
+        const merged = [...(context.getAttribute(target, CONSTRAINTS) || []), ...tests];
+        context.setAttribute(target, CONSTRAINTS, merged);
+        return true;
+    }
+    const plain = plainValue(context, target);
+    return tests.every(test => test(plain));
+});
+
+/**
+ * A named handle on a '$'-variable. It is an ordinary variable Term to the
+ * engine; its constraints become attributes of the variable in a context
+ * when it is bound or attached there.
+ */
+export class Variable extends Term {
     constructor(name) {
-        this.name = name;
-        this.binding = null;
+        super(`$${name.replace(/^\$/, '')}`);
         this.constraints = new Set();
     }
 
+    get name() {
+        return this.value.slice(1);
+    }
+
+    // Unify with a value in the context; constraints and attribute hooks decide
     bind(value, context) {
-        // If variable is unbound
-        if (this.binding === null) {
-            // Check constraints before binding
-            if (this._satisfiesConstraints(value)) {
-                // Create binding in context
-                context.bindings.set(this.name, value);
-                this.binding = value;
-                return true;
-            }
-            return false;
-        }
-        // If already bound, check if values match
-        return this.binding === value;
+        return this.attach(context) && context.unify(this.value, value);
+    }
+
+    // Install this handle's constraints on the variable in the context
+    attach(context) {
+        const installed = context.getAttribute(this.value, CONSTRAINTS) || [];
+        return [...this.constraints]
+            .filter(constraint => !installed.includes(constraint))
+            .every(constraint => constrain(context, this.value, constraint));
     }
 
     addConstraint(constraint) {
         this.constraints.add(constraint);
     }
 
-    _satisfiesConstraints(value) {
-        return Array.from(this.constraints).every(constraint => constraint(value));
+    // Also drops the constraint from the variable in the context, if given
+    removeConstraint(constraint, context = null) {
+        this.constraints.delete(constraint);
+        const installed = context && context.getAttribute(this.value, CONSTRAINTS);
+        if (installed && installed.includes(constraint)) {
+            context.setAttribute(this.value, CONSTRAINTS, installed.filter(test => test !== constraint));
+        }
     }
 
     unbind(context) {
         context.bindings.delete(this.name);
-        this.binding = null;
     }
 
     getValue(context) {
-        return context.bindings.get(this.name) || null;
-    }
-
-    isVariable() {
-        return true;
+        const value = context.resolve(this.value);
+        return context.isVariable(value) ? null : value;
     }
 
     isBound(context) {
-        return context.bindings.has(this.name);
+        return !context.isVariable(context.deref(this.value));
     }
 
     // For pattern matching
     matches(other, context) {
-        if (this.isBound(context)) {
-            const value = this.getValue(context);
-            if (other.isVariable() && other.isBound(context)) {
-                return value === other.getValue(context);
-            }
-            return value === other;
-        }
-        // If unbound, bind to other value
-        return this.bind(other.isVariable() ? other.getValue(context) : other, context);
+        return this.bind(other, context);
     }
 
     // Occurs check for unification
     occursIn(term, context) {
-        if (term.isVariable()) {
-            if (term.name === this.name) return true;
-            if (term.isBound(context)) {
-                return this.occursIn(term.getValue(context), context);
-            }
-            return false;
+        const value = context.deref(term);
+        if (value === this.value) return true;
+        if (Array.isArray(value)) {
+            return value.some(item => this.occursIn(item, context));
         }
-        if (Array.isArray(term)) {
-            return term.some(t => this.occursIn(t, context));
+        if (value instanceof Term && value.isCompound()) {
+            return value.args.some(arg => this.occursIn(arg, context));
         }
         return false;
     }
 
-    // Deep copy for backtracking
     clone() {
         const newVar = new Variable(this.name);
         newVar.constraints = new Set(this.constraints);
@@ -104,9 +135,9 @@ export class Variable {
 
     // Range constraints for numbers
     constrainRange(min, max) {
-        return this.constrain(value => 
-            typeof value === 'number' && 
-            value >= min && 
+        return this.constrain(value =>
+            typeof value === 'number' &&
+            value >= min &&
             value <= max
         );
     }
@@ -123,14 +154,13 @@ export class Variable {
     }
 
     toString() {
-        return `$${this.name}`;
+        return this.value;
     }
 
     // For debugging
     inspect() {
         return {
             name: this.name,
-            binding: this.binding,
             constraintCount: this.constraints.size
         };
     }
@@ -141,33 +171,10 @@ export const isVariable = (x) => x instanceof Variable;
 
 export const createVariable = (name) => new Variable(name);
 
+// Variables, whether handles, Terms or '$' strings, unify through the context
 export function unify(term1, term2, context) {
-    // If both are variables
-    if (isVariable(term1) && isVariable(term2)) {
-        if (term1.name === term2.name) return true;
-        if (term1.isBound(context)) return unify(term1.getValue(context), term2, context);
-        if (term2.isBound(context)) return unify(term1, term2.getValue(context), context);
-        return term1.bind(term2, context);
-    }
-
-    // If only term1 is a variable
-    if (isVariable(term1)) {
-        if (term1.occursIn(term2, context)) return false;
-        return term1.bind(term2, context);
+    for (const term of [term1, term2]) {
+        if (isVariable(term) && !term.attach(context)) return false;
     }
-
-    // If only term2 is a variable
-    if (isVariable(term2)) {
-        if (term2.occursIn(term1, context)) return false;
-        return term2.bind(term1, context);
-    }
-
-    // If both are arrays
-    if (Array.isArray(term1) && Array.isArray(term2)) {
-        if (term1.length !== term2.length) return false;
-        return term1.every((t1, i) => unify(t1, term2[i], context));
-    }
-
-    // Otherwise, direct comparison
-    return term1 === term2;
-}
\ No newline at end of file
+    return context.unify(term1, term2);
+}
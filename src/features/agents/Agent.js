@@ -1,5 +1,6 @@
 // Agent.js
 import { Strategy } from './Strategy.js';
+import { encode, decode } from '../../core/Snapshot.js';
 
 export class Agent {
     constructor(name, strategyConfig = {}) {
@@ -175,37 +176,54 @@ export class Agent {
         return this.goals.size > 0 ? completedGoals / this.goals.size : 0;
     }
 
+    // Independent copy with the same strategy; observers are kept
+    clone() {
+        const agent = new Agent(this.name);
+        agent.strategy = this.strategy.clone();
+        agent.beliefs = new Map(this.beliefs);
+        agent.goals = new Set([...this.goals].map(goal => ({ ...goal })));
+        agent.state = new Map(this.state);
+        agent.history = [...this.history];
+        agent.observers = new Set(this.observers);
+        return agent;
+    }
+
     // Utility methods
     toString() {
         return `Agent(${this.name})`;
     }
 
+    // Observers are not saved
     toJSON() {
         return {
             name: this.name,
-            beliefs: Array.from(this.beliefs.entries()),
-            goals: Array.from(this.goals),
-            state: Array.from(this.state.entries()),
-            history: this.history
+            beliefs: encode(Array.from(this.beliefs.entries())),
+            goals: encode(Array.from(this.goals)),
+            state: encode(Array.from(this.state.entries())),
+            history: encode(this.history),
+            strategy: this.strategy.toJSON()
         };
     }
 
     static fromJSON(json) {
         const agent = new Agent(json.name);
         
-        for (const [belief, data] of json.beliefs) {
+        for (const [belief, data] of decode(json.beliefs)) {
             agent.beliefs.set(belief, data);
         }
         
-        for (const goal of json.goals) {
+        for (const goal of decode(json.goals)) {
             agent.goals.add(goal);
         }
         
-        for (const [key, value] of json.state) {
+        for (const [key, value] of decode(json.state)) {
             agent.state.set(key, value);
         }
         
-        agent.history = json.history;
+        agent.history = decode(json.history);
+        if (json.strategy) {
+            agent.strategy = Strategy.fromJSON(json.strategy);
+        }
         
         return agent;
     }
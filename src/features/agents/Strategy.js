@@ -1,5 +1,7 @@
 // Strategy.js
 
+import { encode, decode } from '../../core/Snapshot.js';
+
 export class Strategy {
     constructor(config = {}) {
         this.type = config.type || 'utility'; // 'utility', 'rule-based', 'learning'
@@ -285,28 +287,45 @@ export class Strategy {
         };
     }
 
-    // Serialization
+    // Independent copy; rule and utility functions are shared
+    clone() {
+        const copy = Object.assign(Object.create(Strategy.prototype), this);
+        copy.parameters = { ...this.parameters };
+        copy.rules = new Map([...this.rules].map(([id, rule]) => [id, { ...rule }]));
+        copy.utilityFunctions = new Map(this.utilityFunctions);
+        copy.actionSpace = new Set(this.actionSpace);
+        copy.experienceMemory = [...this.experienceMemory];
+        if (this.model) copy.model = { ...this.model, weights: new Map(this.model.weights) };
+        return copy;
+    }
+
+    // Serialization; rule conditions and utility functions are saved by
+    // their registered names
     toJSON() {
         return {
             type: this.type,
-            parameters: this.parameters,
-            rules: Array.from(this.rules.entries()),
-            utilityFunctions: Array.from(this.utilityFunctions.entries()),
-            actionSpace: Array.from(this.actionSpace),
-            model: this.model
+            parameters: encode(this.parameters),
+            rules: encode(Array.from(this.rules.entries())),
+            utilityFunctions: encode(Array.from(this.utilityFunctions.entries())),
+            actionSpace: encode(Array.from(this.actionSpace)),
+            experienceMemory: encode(this.experienceMemory),
+            maxMemorySize: this.maxMemorySize,
+            model: encode(this.model)
         };
     }
 
     static fromJSON(json) {
         const strategy = new Strategy({
             type: json.type,
-            parameters: json.parameters
+            parameters: decode(json.parameters)
         });
 
-        strategy.rules = new Map(json.rules);
-        strategy.utilityFunctions = new Map(json.utilityFunctions);
-        strategy.actionSpace = new Set(json.actionSpace);
-        strategy.model = json.model;
+        strategy.rules = new Map(decode(json.rules));
+        strategy.utilityFunctions = new Map(decode(json.utilityFunctions));
+        strategy.actionSpace = new Set(decode(json.actionSpace));
+        strategy.experienceMemory = decode(json.experienceMemory ?? []);
+        strategy.maxMemorySize = json.maxMemorySize ?? strategy.maxMemorySize;
+        strategy.model = decode(json.model);
 
         return strategy;
     }
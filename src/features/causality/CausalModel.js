@@ -1,10 +1,13 @@
 // CausalModel.js
 
+import { encode, decode } from '../../core/Snapshot.js';
+
 export class CausalModel {
     constructor(reality) {
         this.reality = reality;
         this.nodes = new Map();
         this.edges = new Map();
+        this.conditions = new Map();  // cause -> effect -> test of the reality the edge needs
         this.interventions = new Map();
         this.counterfactuals = new Map();
     }
@@ -24,9 +27,7 @@ export class CausalModel {
     }
 
     // Causal relationships
-    addCause(cause, effect, mechanism) {
-        console.log(`CausalModel: Adding cause ${cause} -> ${effect}`);
-        
+    addCause(cause, effect, mechanism, condition = null) {
         // Ensure nodes exist
         if (!this.nodes.has(cause)) {
             this.addNode(cause);
@@ -42,19 +43,17 @@ export class CausalModel {
         
         // Add the mechanism
         this.edges.get(cause).set(effect, mechanism);
+        if (condition) {
+            if (!this.conditions.has(cause)) this.conditions.set(cause, new Map());
+            this.conditions.get(cause).set(effect, condition);
+        }
         
         // Update relationships
         this.nodes.get(effect).parents.add(cause);
         this.nodes.get(cause).children.add(effect);
-        
-        console.log('Current edges:', Array.from(this.edges.entries()));
-        console.log('Current nodes:', Array.from(this.nodes.entries()));
     }
 
     _propagateEffects(startNode) {
-        console.log(`Propagating effects from ${startNode}`);
-        console.log('Current edges:', Array.from(this.edges.entries()));
-        
         const visited = new Set();
         const queue = [startNode];
 
@@ -64,19 +63,15 @@ export class CausalModel {
             visited.add(currentNode);
 
             const currentState = this.getState(currentNode);
-            console.log(`Processing ${currentNode}, state:`, currentState);
 
             const edges = this.edges.get(currentNode);
-            if (!edges) {
-                console.log(`No edges found for ${currentNode}`);
-                continue;
-            }
+            if (!edges) continue;
 
             for (const [childNode, mechanism] of edges) {
+                const condition = this.conditions.get(currentNode)?.get(childNode);
+                if (condition && !condition(this.reality)) continue;
                 if (!this.interventions.has(childNode)) {
-                    console.log(`Updating ${childNode} based on ${currentNode}`);
                     const newState = mechanism(currentState);
-                    console.log(`New state for ${childNode}:`, newState);
                     if (newState !== null) {
                         this._updateNodeState(childNode, newState);
                         queue.push(childNode);
@@ -86,8 +81,23 @@ export class CausalModel {
         }
     }
 
+    // One evolution step: nodes take their values from the state, effects
+    // propagate from root and intervened nodes, and the node states are
+    // written back to the state
+    propagateEffects(state) {
+        for (const [name, info] of this.nodes) {
+            if (state.has(name)) info.state = state.get(name);
+        }
+        for (const [name, info] of this.nodes) {
+            if (info.parents.size === 0 || this.interventions.has(name)) this._propagateEffects(name);
+        }
+        for (const name of this.nodes.keys()) {
+            const value = this.getState(name);
+            if (value !== null) state.set(name, value);
+        }
+    }
+
     intervene(node, value) {
-        console.log(`Intervening on ${node} with value:`, value);
         this.interventions.set(node, value);
         this._propagateEffects(node);
         return this.getState(node);
@@ -231,6 +241,38 @@ export class CausalModel {
         return descendants;
     }
 
+    // Copy for another reality; mechanisms are shared
+    clone(reality) {
+        const copy = new CausalModel(reality);
+        for (const [name, info] of this.nodes) {
+            copy.nodes.set(name, { ...info, parents: new Set(info.parents), children: new Set(info.children) });
+        }
+        for (const [cause, effects] of this.edges) {
+            copy.edges.set(cause, new Map(effects));
+        }
+        for (const [cause, effects] of this.conditions) {
+            copy.conditions.set(cause, new Map(effects));
+        }
+        copy.interventions = new Map(this.interventions);
+        copy.counterfactuals = new Map(this.counterfactuals);
+        return copy;
+    }
+
+    // Mechanisms and conditions are saved by their registered names
+    toJSON() {
+        return encode({
+            nodes: this.nodes,
+            edges: this.edges,
+            conditions: this.conditions,
+            interventions: this.interventions,
+            counterfactuals: this.counterfactuals
+        });
+    }
+
+    static fromJSON(json, reality) {
+        return Object.assign(new CausalModel(reality), decode(json));
+    }
+
     // Debug and visualization
     toGraph() {
         return {
@@ -0,0 +1,421 @@
+// Algebra.js
+
+import { Term } from '../../core/Term.js';
+import { NumericSolver } from './NumericSolver.js';
+
+/*
+ * Symbolic algebra over the expression ASTs built by Term.createBinaryOp and
+ * ps.ast(): { type: 'Literal', value }, { type: 'Variable', name },
+ * { type: 'BinaryExpression', operator, left, right },
+ * { type: 'UnaryExpression', operator, argument } and
+ * { type: 'CallExpression', callee, arguments } with callee a function name.
+ * Powers use the JavaScript operator '**'.
+ */
+
+const FUNCTIONS = {
+    sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+    exp: Math.exp, log: Math.log, sqrt: Math.sqrt, abs: Math.abs, sign: Math.sign
+};
+
+const PRECEDENCE = { '+': 1, '-': 1, '*': 2, '/': 2, '%': 2, '**': 4 };
+
+export const literal = (value) => ({ type: 'Literal', value });
+export const variable = (name) => ({ type: 'Variable', name });
+export const binary = (operator, left, right) => ({ type: 'BinaryExpression', operator, left, right });
+export const unary = (operator, argument) => ({ type: 'UnaryExpression', operator, argument });
+export const call = (callee, args) => ({ type: 'CallExpression', callee, arguments: args });
+
+// AST of a number, '$X' variable, Prolog arithmetic Term or expression Term
+export function fromTerm(term) {
+    if (typeof term === 'number') return literal(term);
+    if (typeof term === 'string') return variable(term.replace(/^\$/, ''));
+    if (term && term.type) return normalize(term);
+    if (!(term instanceof Term)) throw new Error(`Type error: ${String(term)} is not an expression`);
+    if (term.isExpression()) return normalize(term.ast);
+    if (!term.isCompound()) return fromTerm(term.value);
+
+    const args = term.args.map(fromTerm);
+    if (term.arity === 2 && ['+', '-', '*', '/', '**', '^'].includes(term.functor)) {
+        return binary(term.functor === '^' ? '**' : term.functor, ...args);
+    }
+    if (term.arity === 1 && ['-', '+'].includes(term.functor)) {
+        return unary(term.functor, args[0]);
+    }
+    return call(term.functor, args);
+}
+
+// createBinaryOp records bound operands as Variables named by their value
+function normalize(node) {
+    switch (node.type) {
+        case 'Variable':
+            return typeof node.name === 'number' ? literal(node.name) : node;
+        case 'BinaryExpression':
+            return binary(node.operator === '^' ? '**' : node.operator, fromTerm(node.left), fromTerm(node.right));
+        case 'UnaryExpression':
+            return unary(node.operator, fromTerm(node.argument));
+        case 'CallExpression':
+            return call(node.callee, node.arguments.map(fromTerm));
+        default:
+            return node;
+    }
+}
+
+// JavaScript-style text such as 'X ** 2 + 3 * X - 1'
+export function format(node, parent = 0, side = 'left') {
+    switch (node.type) {
+        case 'Literal':
+            return node.value < 0 && (parent >= 3 || side === 'right') ? `(${node.value})` : String(node.value);
+        case 'Variable':
+            return String(node.name);
+        case 'UnaryExpression': {
+            const text = `${node.operator}${format(node.argument, 5)}`;
+            return parent >= 3 ? `(${text})` : text;
+        }
+        case 'CallExpression':
+            return `${node.callee}(${node.arguments.map(arg => format(arg)).join(', ')})`;
+        case 'BinaryExpression': {
+            const precedence = PRECEDENCE[node.operator] ?? 0;
+            const text = `${format(node.left, precedence, 'left')} ${node.operator} ${format(node.right, precedence, 'right')}`;
+            const rightAssociative = node.operator === '**';
+            const grouped = precedence < parent ||
+                (precedence === parent && side === (rightAssociative ? 'left' : 'right'));
+            return grouped ? `(${text})` : text;
+        }
+        default:
+            throw new Error(`Unsupported expression node: ${node.type}`);
+    }
+}
+
+export function contains(node, name) {
+    switch (node.type) {
+        case 'Variable': return node.name === name;
+        case 'BinaryExpression': return contains(node.left, name) || contains(node.right, name);
+        case 'UnaryExpression': return contains(node.argument, name);
+        case 'CallExpression': return node.arguments.some(arg => contains(arg, name));
+        default: return false;
+    }
+}
+
+// Polynomials map a monomial key to { coefficient, factors }, where factors
+// maps the text of a base to { base, exponent }. Bases are variables or
+// expressions kept whole, such as sin(X) or an unexpanded sum.
+
+const monomialKey = (factors) => [...factors.keys()].sort().map(key => `${key}^${factors.get(key).exponent}`).join('*');
+
+function polynomial(terms) {
+    const result = new Map();
+    for (const term of terms) {
+        if (term.coefficient === 0) continue;
+        const key = monomialKey(term.factors);
+        const existing = result.get(key);
+        if (existing) {
+            const coefficient = existing.coefficient + term.coefficient;
+            if (coefficient === 0) result.delete(key); else result.set(key, { ...existing, coefficient });
+        } else {
+            result.set(key, term);
+        }
+    }
+    return result;
+}
+
+const constant = (value) => polynomial([{ coefficient: value, factors: new Map() }]);
+const factor = (base, exponent = 1) => polynomial([{ coefficient: 1, factors: new Map([[format(base), { base, exponent }]]) }]);
+const constantValue = (poly) => poly.size === 0 ? 0 : poly.size === 1 && poly.has('') ? poly.get('').coefficient : null;
+const scale = (poly, value) => polynomial([...poly.values()].map(term => ({ ...term, coefficient: term.coefficient * value })));
+const sum = (a, b) => polynomial([...a.values(), ...b.values()]);
+
+function multiplyTerms(a, b) {
+    const factors = new Map(a.factors);
+    for (const [key, { base, exponent }] of b.factors) {
+        const total = (factors.get(key)?.exponent ?? 0) + exponent;
+        if (total === 0) factors.delete(key); else factors.set(key, { base, exponent: total });
+    }
+    return { coefficient: a.coefficient * b.coefficient, factors };
+}
+
+const multiplyAll = (a, b) => polynomial([...a.values()].flatMap(x => [...b.values()].map(y => multiplyTerms(x, y))));
+
+// A sum used as a factor stays whole unless expanding
+const asFactor = (poly) => poly.size === 1 ? poly : factor(fromPolynomial(poly));
+
+function product(a, b, expanding) {
+    const ca = constantValue(a);
+    const cb = constantValue(b);
+    if (ca !== null) return scale(b, ca);
+    if (cb !== null) return scale(a, cb);
+    if (expanding) return multiplyAll(a, b);
+    return multiplyAll(asFactor(a), asFactor(b));
+}
+
+function quotient(a, b, expanding) {
+    const divisor = constantValue(b);
+    if (divisor !== null) {
+        if (divisor === 0) return factor(binary('/', fromPolynomial(a), literal(0)));
+        return scale(a, 1 / divisor);
+    }
+    const inverse = power(asFactor(b), -1, false);
+    return product(a, inverse, expanding && b.size === 1);
+}
+
+function power(base, exponent, expanding) {
+    const value = constantValue(base);
+    if (value !== null) return constant(value ** exponent);
+    if (exponent === 0) return constant(1);
+    if (exponent === 1) return base;
+    if (base.size === 1) {
+        const [{ coefficient, factors }] = base.values();
+        if (coefficient > 0 || Number.isInteger(exponent)) {
+            const raised = new Map([...factors].map(([key, entry]) => [key, { ...entry, exponent: entry.exponent * exponent }]));
+            return polynomial([{ coefficient: coefficient ** exponent, factors: raised }]);
+        }
+    }
+    if (expanding && Number.isInteger(exponent) && exponent > 1) {
+        let result = base;
+        for (let i = 1; i < exponent; i++) result = multiplyAll(result, base);
+        return result;
+    }
+    return factor(fromPolynomial(base), exponent);
+}
+
+function toPolynomial(node, expanding) {
+    switch (node.type) {
+        case 'Literal':
+            return constant(node.value);
+        case 'Variable':
+            return factor(node);
+        case 'UnaryExpression': {
+            const argument = toPolynomial(node.argument, expanding);
+            return node.operator === '-' ? scale(argument, -1) : argument;
+        }
+        case 'CallExpression': {
+            const args = node.arguments.map(arg => fromPolynomial(toPolynomial(arg, expanding)));
+            const fn = FUNCTIONS[node.callee];
+            if (fn && args.every(arg => arg.type === 'Literal')) {
+                const value = fn(...args.map(arg => arg.value));
+                if (Number.isFinite(value)) return constant(value);
+            }
+            return factor(call(node.callee, args));
+        }
+        case 'BinaryExpression': {
+            const left = toPolynomial(node.left, expanding);
+            const right = toPolynomial(node.right, expanding);
+            switch (node.operator) {
+                case '+': return sum(left, right);
+                case '-': return sum(left, scale(right, -1));
+                case '*': return product(left, right, expanding);
+                case '/': return quotient(left, right, expanding);
+                case '**': {
+                    const exponent = constantValue(right);
+                    if (exponent !== null) return power(left, exponent, expanding);
+                    return factor(binary('**', fromPolynomial(left), fromPolynomial(right)));
+                }
+                default: {
+                    const a = constantValue(left);
+                    const b = constantValue(right);
+                    if (node.operator === '%' && a !== null && b !== null && b !== 0) return constant(a % b);
+                    return factor(binary(node.operator, fromPolynomial(left), fromPolynomial(right)));
+                }
+            }
+        }
+        default:
+            throw new Error(`Unsupported expression node: ${node.type}`);
+    }
+}
+
+const degree = (term) => [...term.factors.values()].reduce((total, { exponent }) => total + exponent, 0);
+
+function monomial(coefficient, factors) {
+    const raise = ({ base, exponent }) => exponent === 1 ? base : binary('**', base, literal(exponent));
+    const multiply = (nodes) => nodes.reduce((left, right) => binary('*', left, right));
+    const entries = [...factors.keys()].sort().map(key => factors.get(key));
+    const numerator = entries.filter(entry => entry.exponent > 0).map(raise);
+    const denominator = entries.filter(entry => entry.exponent < 0).map(entry => raise({ ...entry, exponent: -entry.exponent }));
+
+    const node = multiply(coefficient !== 1 || numerator.length === 0 ? [literal(coefficient), ...numerator] : numerator);
+    return denominator.length > 0 ? binary('/', node, multiply(denominator)) : node;
+}
+
+// Terms ordered by descending degree, constants last
+function fromPolynomial(poly) {
+    const terms = [...poly.values()].sort((a, b) =>
+        degree(b) - degree(a) || (a.factors.size === 0) - (b.factors.size === 0) ||
+        monomialKey(a.factors).localeCompare(monomialKey(b.factors)));
+    if (terms.length === 0) return literal(0);
+
+    return terms.reduce((node, { coefficient, factors }) => {
+        if (node === null) {
+            return coefficient === -1 && factors.size > 0 ? unary('-', monomial(1, factors)) : monomial(coefficient, factors);
+        }
+        return coefficient < 0 ?
+            binary('-', node, monomial(-coefficient, factors)) :
+            binary('+', node, monomial(coefficient, factors));
+    }, null);
+}
+
+// Folds constants and collects like terms; only numeric factors are distributed
+export function simplify(node) {
+    return fromPolynomial(toPolynomial(node, false));
+}
+
+// Multiplies out products and integer powers of sums
+export function expand(node) {
+    return fromPolynomial(toPolynomial(node, true));
+}
+
+// Replaces variables by values (numbers, ASTs or Terms) and simplifies
+export function substitute(node, bindings) {
+    const values = bindings instanceof Map ? bindings : new Map(Object.entries(bindings));
+    const replace = (node) => {
+        switch (node.type) {
+            case 'Variable': {
+                const value = values.get(node.name);
+                const unbound = value === undefined || (value instanceof Term && value.isVariable()) ||
+                    (typeof value === 'string' && value.startsWith('$'));
+                return unbound ? node : fromTerm(value);
+            }
+            case 'BinaryExpression': return binary(node.operator, replace(node.left), replace(node.right));
+            case 'UnaryExpression': return unary(node.operator, replace(node.argument));
+            case 'CallExpression': return call(node.callee, node.arguments.map(replace));
+            default: return node;
+        }
+    };
+    return simplify(replace(node));
+}
+
+function derivative(node, name) {
+    const d = (node) => derivative(node, name);
+    switch (node.type) {
+        case 'Literal':
+            return literal(0);
+        case 'Variable':
+            return literal(node.name === name ? 1 : 0);
+        case 'UnaryExpression':
+            return unary(node.operator, d(node.argument));
+        case 'BinaryExpression': {
+            const { left: u, right: v } = node;
+            switch (node.operator) {
+                case '+':
+                case '-':
+                    return binary(node.operator, d(u), d(v));
+                case '*':
+                    return binary('+', binary('*', d(u), v), binary('*', u, d(v)));
+                case '/':
+                    return binary('/', binary('-', binary('*', d(u), v), binary('*', u, d(v))), binary('**', v, literal(2)));
+                case '**':
+                    if (!contains(v, name)) {
+                        return binary('*', binary('*', v, binary('**', u, binary('-', v, literal(1)))), d(u));
+                    }
+                    // d(u^v) = u^v * (v' ln u + v u' / u)
+                    return binary('*', node, binary('+',
+                        binary('*', d(v), call('log', [u])),
+                        binary('/', binary('*', v, d(u)), u)));
+            }
+            break;
+        }
+        case 'CallExpression': {
+            const [u] = node.arguments;
+            const chain = (outer) => binary('*', outer, d(u));
+            switch (node.callee) {
+                case 'sin': return chain(call('cos', [u]));
+                case 'cos': return chain(unary('-', call('sin', [u])));
+                case 'tan': return chain(binary('/', literal(1), binary('**', call('cos', [u]), literal(2))));
+                case 'exp': return chain(node);
+                case 'log': return chain(binary('/', literal(1), u));
+                case 'sqrt': return chain(binary('/', literal(1), binary('*', literal(2), node)));
+                case 'asin': return chain(binary('/', literal(1), call('sqrt', [binary('-', literal(1), binary('**', u, literal(2)))])));
+                case 'acos': return chain(unary('-', binary('/', literal(1), call('sqrt', [binary('-', literal(1), binary('**', u, literal(2)))]))));
+                case 'atan': return chain(binary('/', literal(1), binary('+', literal(1), binary('**', u, literal(2)))));
+                case 'abs': return chain(call('sign', [u]));
+            }
+            break;
+        }
+    }
+    throw new Error(`Cannot differentiate ${format(node)}`);
+}
+
+export function differentiate(node, name) {
+    return simplify(derivative(node, name));
+}
+
+// Solutions of left = right for a variable, as ASTs. Handles equations that
+// are polynomial in the variable: closed forms up to degree two and for pure
+// powers, numeric roots for higher degrees with numeric coefficients.
+export function isolate(left, right, name) {
+    const poly = toPolynomial(binary('-', left, right), true);
+    const coefficients = new Map();
+    for (const { coefficient, factors } of poly.values()) {
+        const rest = new Map(factors);
+        let exponent = 0;
+        for (const [key, entry] of factors) {
+            if (entry.base.type === 'Variable' && entry.base.name === name) {
+                exponent = entry.exponent;
+                rest.delete(key);
+            } else if (contains(entry.base, name)) {
+                throw new Error(`Cannot isolate ${name}: it appears inside ${format(entry.base)}`);
+            }
+        }
+        if (!Number.isInteger(exponent)) {
+            throw new Error(`Cannot isolate ${name}: it is raised to ${exponent}`);
+        }
+        coefficients.set(exponent, sum(coefficients.get(exponent) ?? new Map(), polynomial([{ coefficient, factors: rest }])));
+    }
+
+    if (coefficients.size === 0) throw new Error(`Cannot isolate ${name}: it does not appear in the equation`);
+
+    // Clear negative powers by multiplying through; X = 0 is then not a solution
+    const shift = Math.min(0, ...coefficients.keys());
+    const c = (k) => coefficients.get(k + shift) ?? new Map();
+    const order = Math.max(...coefficients.keys()) - shift;
+    const solutions = solvePolynomial(c, order, name);
+    const distinct = new Map(solutions.map(node => simplify(node)).map(node => [format(node), node]));
+    return [...distinct.values()].filter(node => !(shift < 0 && node.type === 'Literal' && node.value === 0));
+}
+
+function solvePolynomial(c, order, name) {
+    const node = (k) => fromPolynomial(c(k));
+    const negate = (node) => unary('-', node);
+    const numeric = [...Array(order + 1).keys()].map(k => constantValue(c(k)));
+
+    if (order < 1) throw new Error(`Cannot isolate ${name}: it does not appear in the equation`);
+    if (order === 1) return [binary('/', negate(node(0)), node(1))];
+
+    const lower = [...Array(order).keys()].slice(1);
+    if (lower.every(k => c(k).size === 0)) {
+        // a X^n + b = 0
+        const ratio = binary('/', negate(node(0)), node(order));
+        const r = constantValue(toPolynomial(ratio, false));
+        if (r !== null) {
+            if (order % 2 === 0) return r < 0 ? [] : [literal(-(r ** (1 / order))), literal(r ** (1 / order))];
+            return [literal(Math.sign(r) * Math.abs(r) ** (1 / order))];
+        }
+        const root = order === 2 ? call('sqrt', [ratio]) : binary('**', ratio, literal(1 / order));
+        return order % 2 === 0 ? [negate(root), root] : [root];
+    }
+
+    if (order === 2) {
+        const [cc, b, a] = numeric;
+        if (a !== null && b !== null && cc !== null) {
+            const discriminant = b * b - 4 * a * cc;
+            if (discriminant < 0) return [];
+            const roots = [(-b - Math.sqrt(discriminant)) / (2 * a), (-b + Math.sqrt(discriminant)) / (2 * a)];
+            return roots.sort((x, y) => x - y).map(literal);
+        }
+        if (c(0).size === 0) {
+            return [literal(0), binary('/', negate(node(1)), node(2))];
+        }
+        const discriminant = call('sqrt', [expand(binary('-', binary('**', node(1), literal(2)),
+            binary('*', binary('*', literal(4), node(2)), node(0))))]);
+        const twoA = binary('*', literal(2), node(2));
+        return [
+            binary('/', binary('-', negate(node(1)), discriminant), twoA),
+            binary('/', binary('+', negate(node(1)), discriminant), twoA)
+        ];
+    }
+
+    if (numeric.every(value => value !== null)) {
+        const f = (x) => numeric.reduceRight((total, coefficient) => total * x + coefficient, 0);
+        const bound = 1 + Math.max(...numeric.slice(0, order).map(value => Math.abs(value / numeric[order])));
+        return new NumericSolver({ samples: 1000 }).roots(f, -bound, bound).map(({ value }) => literal(value));
+    }
+    throw new Error(`Cannot isolate ${name} in a polynomial of degree ${order} with symbolic coefficients`);
+}
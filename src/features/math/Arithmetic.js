@@ -0,0 +1,134 @@
+// Arithmetic.js
+
+import { Term } from '../../core/Term.js';
+
+const FUNCTIONS = {
+    '+/1': (x) => x,
+    '-/1': (x) => -x,
+    '+/2': (x, y) => x + y,
+    '-/2': (x, y) => x - y,
+    '*/2': (x, y) => x * y,
+    '//2': (x, y) => x / y,
+    '///2': (x, y) => Math.trunc(x / y),
+    '**/2': Math.pow,
+    '^/2': Math.pow,
+    'mod/2': (x, y) => x - y * Math.floor(x / y),
+    'rem/2': (x, y) => x % y,
+    '/\\/2': (x, y) => x & y,
+    '\\//2': (x, y) => x | y,
+    'xor/2': (x, y) => x ^ y,
+    '<</2': (x, y) => x << y,
+    '>>/2': (x, y) => x >> y,
+    '\\/1': (x) => ~x,
+    'min/2': Math.min,
+    'max/2': Math.max,
+    'abs/1': Math.abs,
+    'sign/1': Math.sign,
+    'sqrt/1': Math.sqrt,
+    'exp/1': Math.exp,
+    'log/1': Math.log,
+    'log/2': (base, x) => Math.log(x) / Math.log(base),
+    'sin/1': Math.sin,
+    'cos/1': Math.cos,
+    'tan/1': Math.tan,
+    'asin/1': Math.asin,
+    'acos/1': Math.acos,
+    'atan/1': Math.atan,
+    'atan2/2': Math.atan2,
+    'floor/1': Math.floor,
+    'ceiling/1': Math.ceil,
+    'round/1': Math.round,
+    'truncate/1': Math.trunc
+};
+
+const CONSTANTS = { pi: Math.PI, e: Math.E, inf: Infinity, nan: NaN };
+
+/**
+ * Numeric value of an arithmetic term such as X ^ 2 + sin(Y).
+ * valueOf maps a variable ('$X') to its value; unbound variables and
+ * unknown functors raise errors in the same wording as the resolver's.
+ */
+export function evaluate(term, valueOf = () => undefined) {
+    if (typeof term === 'number') return term;
+    if (term instanceof Term) {
+        if (!term.isCompound()) return evaluate(term.value, valueOf);
+        const fn = FUNCTIONS[term.indicator];
+        if (!fn) throw new Error(`Type error: ${term.indicator} is not an arithmetic function`);
+        return fn(...term.args.map(arg => evaluate(arg, valueOf)));
+    }
+    if (typeof term === 'string' && term.startsWith('$')) {
+        const value = valueOf(term);
+        if (value === undefined || value === term) {
+            throw new Error(`Instantiation error: ${term.slice(1)} is unbound`);
+        }
+        return evaluate(value, valueOf);
+    }
+    if (typeof term === 'string' && term in CONSTANTS) return CONSTANTS[term];
+    throw new Error(`Type error: ${String(term)} is not a number`);
+}
+
+// Names of the variables in a term, in order of first occurrence
+export function variablesOf(term, names = []) {
+    if (typeof term === 'string' && term.startsWith('$')) {
+        if (!names.includes(term)) names.push(term);
+    } else if (term instanceof Term) {
+        if (term.isVariable()) variablesOf(term.value, names);
+        if (term.isCompound()) term.args.forEach(arg => variablesOf(arg, names));
+    } else if (Array.isArray(term)) {
+        term.forEach(item => variablesOf(item, names));
+    }
+    return names;
+}
+
+// Results of solving a relation besides a value: no value satisfies it, or
+// more than one does
+export const NONE = Symbol('none');
+export const ANY = Symbol('any');
+
+const quotient = (x, y) => y !== 0 ? x / y : NONE;
+
+// Only the zero multiplier leaves the other factor open
+const factor = (other, product) => other !== 0 ? product / other : product === 0 ? ANY : NONE;
+
+function root(power, exponent) {
+    if (exponent === 0) return power === 1 ? ANY : NONE;
+    if (!Number.isInteger(exponent)) return power >= 0 ? power ** (1 / exponent) : NONE;
+    if (exponent % 2 === 0) return power === 0 ? 0 : power > 0 ? ANY : NONE;
+    return Math.sign(power) * Math.abs(power) ** (1 / exponent);
+}
+
+function logarithm(base, power) {
+    if (base === 1) return power === 1 ? ANY : NONE;
+    if (base <= 0 || power <= 0) return NONE;
+    return Math.log(power) / Math.log(base);
+}
+
+/**
+ * Mode-aware arithmetic relations. Entry i computes argument i from the
+ * others, in order, so the last entry is the forward function and the rest
+ * solve for a missing operand.
+ */
+export const RELATIONS = {
+    add: [(y, z) => z - y, (x, z) => z - x, (x, y) => x + y],
+    subtract: [(y, z) => z + y, (x, z) => x - z, (x, y) => x - y],
+    multiply: [(y, z) => factor(y, z), (x, z) => factor(x, z), (x, y) => x * y],
+    // X / Y = Z gives Y = X / Z for nonzero X and Z; 0 / Y = 0 holds for every Y
+    divide: [(y, z) => y !== 0 ? z * y : NONE, (x, z) => z !== 0 ? (x !== 0 ? x / z : NONE) : x === 0 ? ANY : NONE, quotient],
+    mod: [() => ANY, () => ANY, (x, y) => y !== 0 ? x % y : NONE],
+    power: [(y, z) => root(z, y), (x, z) => logarithm(x, z), (x, y) => x ** y],
+    square: [(y) => y === 0 ? 0 : y > 0 ? ANY : NONE, (x) => x * x],
+    sqrt: [(y) => y >= 0 ? y * y : NONE, (x) => x >= 0 ? Math.sqrt(x) : NONE]
+};
+
+// values holds a number per argument, null where unbound. Returns the completed
+// values, NONE, ANY, or null when more than one argument is unbound.
+export function solveRelation(relation, values) {
+    const missing = values.filter(value => value === null).length;
+    if (missing > 1) return null;
+
+    const index = missing === 0 ? values.length - 1 : values.indexOf(null);
+    const value = relation[index](...values.filter((_, i) => i !== index));
+    if (typeof value === 'symbol') return value;
+    if (missing === 0) return value === values[index] ? values : NONE;
+    return values.map((known, i) => i === index ? value : known);
+}
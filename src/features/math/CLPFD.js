@@ -0,0 +1,696 @@
+// CLPFD.js
+
+import { Term } from '../../core/Term.js';
+import { registerAttributeHook } from '../../core/UnificationContext.js';
+import { FiniteDomain } from './FiniteDomain.js';
+
+/**
+ * Constraint logic programming over finite integer domains.
+ * Each constrained variable carries a 'clpfd' attribute { domain, propagators }.
+ * Narrowing a domain re-runs the propagators of that variable until nothing
+ * changes; labeling then searches the remaining values.
+ */
+
+const MODULE = 'clpfd';
+
+const RELATIONS = { '#=': '=', '#\\=': '\\=', '#<': '<', '#>': '>', '#=<': '=<', '#>=': '>=' };
+
+// Connectives over reified constraints, whose truth is a 0..1 variable
+const CONNECTIVES = new Set(['#<==>/2', '#==>/2', '#<==/2', '#\\//2', '#/\\/2', '#\\/1']);
+
+const BOOLEAN = FiniteDomain.range(0, 1);
+
+const CONSTRAINTS = new Set([
+    ...CONNECTIVES,
+    'in/2', 'ins/2', '#=/2', '#\\=/2', '#</2', '#>/2', '#=</2', '#>=/2',
+    'all_different/1', 'all_distinct/1', 'sum/3', 'label/1', 'labeling/2',
+    'fd_dom/2', 'fd_inf/2', 'fd_sup/2', 'fd_size/2'
+]);
+
+export function isConstraintGoal(goal) {
+    return goal instanceof Term && CONSTRAINTS.has(goal.indicator);
+}
+
+// Alternatives for a constraint goal: posting is deterministic, labeling enumerates
+export function* solveConstraint(goal, context) {
+    const [first, second, third] = goal.args;
+    switch (goal.functor) {
+        case 'in':
+            if (narrow(context, first, parseDomain(context, second))) yield [];
+            return;
+        case 'ins': {
+            const domain = parseDomain(context, second);
+            if (listOf(context, first).every(variable => narrow(context, variable, domain))) yield [];
+            return;
+        }
+        case 'all_different':
+        case 'all_distinct':
+            if (post(context, allDifferent(listOf(context, first)))) yield [];
+            return;
+        case 'sum': {
+            const total = listOf(context, first).reduce((sum, term) => Term.compound('+', [sum, term]), 0);
+            const relation = RELATIONS[context.deref(second)];
+            if (!relation) throw new Error(`Domain error: ${context.deref(second)} is not a comparison`);
+            if (postRelation(context, total, relation, third)) yield [];
+            return;
+        }
+        case 'label':
+            yield* labeling(context, listOf(context, first), parseOptions([]));
+            return;
+        case 'labeling':
+            yield* labeling(context, listOf(context, second), parseOptions(listOf(context, first)));
+            return;
+        case 'fd_dom':
+            if (context.unify(second, domainTerm(domainOf(context, first)))) yield [];
+            return;
+        case 'fd_inf':
+            if (context.unify(second, bound(domainOf(context, first).min))) yield [];
+            return;
+        case 'fd_sup':
+            if (context.unify(second, bound(domainOf(context, first).max))) yield [];
+            return;
+        case 'fd_size':
+            if (context.unify(second, bound(domainOf(context, first).size))) yield [];
+            return;
+        case '#<==>':
+        case '#==>':
+        case '#<==':
+        case '#\\/':
+        case '#/\\':
+        case '#\\': {
+            const truth = reify(context, goal);
+            if (truth !== null && context.unify(truth, 1)) yield [];
+            return;
+        }
+        default:
+            if (postRelation(context, first, RELATIONS[goal.functor], second)) yield [];
+    }
+}
+
+// Binding a constrained variable checks its domain and wakes its propagators
+registerAttributeHook(MODULE, (context, variable, attribute, value) => {
+    if (context.isVariable(value)) {
+        // Aliasing two variables merges their domains and constraints
+        const other = attributeOf(context, value);
+        const domain = other.domain.intersect(attribute.domain);
+        if (domain.isEmpty) return false;
+        const propagators = [...other.propagators, ...attribute.propagators];
+        context.setAttribute(value, MODULE, { domain, propagators });
+        if (domain.isSingleton) return context.unify(value, domain.min);
+        return schedule(context, propagators);
+    }
+    return attribute.domain.contains(value) && schedule(context, attribute.propagators);
+});
+
+function attributeOf(context, variable) {
+    return context.getAttribute(variable, MODULE) || { domain: FiniteDomain.ALL, propagators: [] };
+}
+
+function domainOf(context, term) {
+    const value = context.deref(term);
+    if (context.isVariable(value)) return attributeOf(context, value).domain;
+    if (Number.isInteger(value)) return FiniteDomain.range(value, value);
+    throw new Error(`Type error: ${value} is not an integer`);
+}
+
+// Intersect the domain of a variable or integer with the given domain
+function narrow(context, term, domain) {
+    const value = context.deref(term);
+    if (!context.isVariable(value)) return !domainOf(context, value).intersect(domain).isEmpty;
+
+    const attribute = attributeOf(context, value);
+    const next = attribute.domain.intersect(domain);
+    if (next.isEmpty) return false;
+    if (next.equals(attribute.domain)) return true;
+    if (next.isSingleton) return context.unify(value, next.min);
+    context.setAttribute(value, MODULE, { ...attribute, domain: next });
+    return schedule(context, attribute.propagators);
+}
+
+// Propagation runs to a fixpoint; propagators woken meanwhile join the queue
+const queues = new WeakMap();
+
+function schedule(context, propagators) {
+    if (!queues.has(context)) queues.set(context, { pending: new Set(), running: false });
+    const queue = queues.get(context);
+    propagators.forEach(propagator => queue.pending.add(propagator));
+    if (queue.running) return true;
+
+    queue.running = true;
+    try {
+        while (queue.pending.size > 0) {
+            const [propagator] = queue.pending;
+            queue.pending.delete(propagator);
+            context.countInference();
+            if (!propagator.propagate(context)) return false;
+        }
+        return true;
+    } finally {
+        queue.running = false;
+        queue.pending.clear();
+    }
+}
+
+// Attach a propagator to its variables and run it once
+function post(context, propagator) {
+    for (const variable of propagator.variables) {
+        const value = context.deref(variable);
+        if (!context.isVariable(value)) continue;
+        const attribute = attributeOf(context, value);
+        context.setAttribute(value, MODULE, { ...attribute, propagators: [...attribute.propagators, propagator] });
+    }
+    return schedule(context, [propagator]);
+}
+
+// Arithmetic constraints
+
+function postRelation(context, left, relation, right) {
+    const { form, comparison } = relationForm(context, left, relation, right);
+    return post(context, linear(form, comparison));
+}
+
+// left - right as a linear form compared with 0 by =, \= or =<.
+// Strict comparisons over integers become non-strict ones.
+function relationForm(context, left, relation, right) {
+    const form = { terms: new Map(), constant: 0 };
+    linearize(context, left, 1, form);
+    linearize(context, right, -1, form);
+    switch (relation) {
+        case '=':
+        case '\\=':
+        case '=<':
+            return { form, comparison: relation };
+        case '<':
+            form.constant += 1;
+            return { form, comparison: '=<' };
+        case '>=':
+            return { form: negate(form), comparison: '=<' };
+        case '>': {
+            const negated = negate(form);
+            negated.constant += 1;
+            return { form: negated, comparison: '=<' };
+        }
+    }
+    throw new Error(`Unknown relation ${relation}`);
+}
+
+function negate(form) {
+    const terms = new Map();
+    form.terms.forEach((coefficient, variable) => terms.set(variable, -coefficient));
+    return { terms, constant: -form.constant, failed: form.failed };
+}
+
+// Add scale * expression to a linear form sum(coefficient * variable) + constant
+function linearize(context, expression, scale, form) {
+    const value = context.deref(expression);
+    if (context.isVariable(value)) {
+        form.terms.set(value, (form.terms.get(value) || 0) + scale);
+        return;
+    }
+    if (Number.isInteger(value)) {
+        form.constant += scale * value;
+        return;
+    }
+    if (value instanceof Term && !value.isCompound()) {
+        linearize(context, value.value, scale, form);
+        return;
+    }
+    if (value instanceof Term && value.isCompound()) {
+        const [a, b] = value.args;
+        switch (value.indicator) {
+            case '+/2':
+                linearize(context, a, scale, form);
+                linearize(context, b, scale, form);
+                return;
+            case '-/2':
+                linearize(context, a, scale, form);
+                linearize(context, b, -scale, form);
+                return;
+            case '-/1':
+                linearize(context, a, -scale, form);
+                return;
+            case '+/1':
+                linearize(context, a, scale, form);
+                return;
+            case '*/2':
+                linearizeProduct(context, a, b, scale, form);
+                return;
+            case 'abs/1':
+            case 'min/2':
+            case 'max/2':
+            case 'mod/2':
+                linearizeFunction(context, value, scale, form);
+                return;
+        }
+    }
+    throw new Error(`Type error: ${value} is not a CLP(FD) expression`);
+}
+
+function linearizeProduct(context, a, b, scale, form) {
+    const left = { terms: new Map(), constant: 0 };
+    const right = { terms: new Map(), constant: 0 };
+    linearize(context, a, 1, left);
+    linearize(context, b, 1, right);
+    if (left.terms.size === 0) {
+        linearize(context, b, scale * left.constant, form);
+    } else if (right.terms.size === 0) {
+        linearize(context, a, scale * right.constant, form);
+    } else {
+        // A product of two variables gets an auxiliary variable for its value
+        const product = context.freshVariable('FD');
+        const x = asVariable(context, left);
+        const y = asVariable(context, right);
+        if (x === null || y === null || !post(context, times(x, y, product))) {
+            form.failed = true;
+        }
+        form.terms.set(product, scale);
+    }
+}
+
+// abs, min, max and mod get an auxiliary variable for their value, like products
+function linearizeFunction(context, expression, scale, form) {
+    const operands = expression.args.map(arg => {
+        const operand = { terms: new Map(), constant: 0 };
+        linearize(context, arg, 1, operand);
+        return asVariable(context, operand);
+    });
+    const result = context.freshVariable('FD');
+    if (operands.includes(null) || !post(context, FUNCTIONS[expression.functor](...operands, result))) {
+        form.failed = true;
+    }
+    form.terms.set(result, scale);
+}
+
+// A single variable for a linear form, introducing one when needed; null on failure
+function asVariable(context, form) {
+    if (form.constant === 0 && form.terms.size === 1) {
+        const [[variable, coefficient]] = form.terms;
+        if (coefficient === 1) return variable;
+    }
+    const variable = context.freshVariable('FD');
+    const equation = { terms: new Map(form.terms), constant: form.constant };
+    equation.terms.set(variable, -1);
+    return post(context, linear(equation, '=')) ? variable : null;
+}
+
+// Smallest and largest values of sum(coefficient * variable) + constant,
+// and of the same sum without each term
+function sumBounds(context, terms, constant) {
+    const ranges = terms.map(([variable, coefficient]) => {
+        const domain = domainOf(context, variable);
+        return coefficient > 0 ?
+            [coefficient * domain.min, coefficient * domain.max] :
+            [coefficient * domain.max, coefficient * domain.min];
+    });
+    let minimum = constant;
+    let maximum = constant;
+    let lowInfinite = 0;
+    let highInfinite = 0;
+    for (const [lo, hi] of ranges) {
+        if (lo === -Infinity) lowInfinite++; else minimum += lo;
+        if (hi === Infinity) highInfinite++; else maximum += hi;
+    }
+    const without = (i) => {
+        const [lo, hi] = ranges[i];
+        const low = lowInfinite - (lo === -Infinity ? 1 : 0) > 0 ? -Infinity : minimum - (lo === -Infinity ? 0 : lo);
+        const high = highInfinite - (hi === Infinity ? 1 : 0) > 0 ? Infinity : maximum - (hi === Infinity ? 0 : hi);
+        return [low, high];
+    };
+    return {
+        min: lowInfinite > 0 ? -Infinity : minimum,
+        max: highInfinite > 0 ? Infinity : maximum,
+        ranges,
+        without
+    };
+}
+
+// sum(coefficient * variable) + constant  =, \= or =<  0
+function linear(form, relation) {
+    const terms = [...form.terms].filter(([, coefficient]) => coefficient !== 0);
+    const { constant } = form;
+    const failed = form.failed === true;
+
+    return {
+        variables: terms.map(([variable]) => variable),
+        propagate(context) {
+            if (failed) return false;
+            const bounds = sumBounds(context, terms, constant);
+
+            if (relation === '\\=') {
+                const open = terms.filter(([variable]) => !domainOf(context, variable).isSingleton);
+                if (open.length === 0) return bounds.min !== 0;
+                if (open.length > 1) return true;
+                const index = terms.indexOf(open[0]);
+                const [rest] = bounds.without(index);
+                const [variable, coefficient] = open[0];
+                const excluded = -rest / coefficient;
+                return !Number.isInteger(excluded) || narrow(context, variable, FiniteDomain.ALL.remove(excluded));
+            }
+
+            if (bounds.min > 0 || (relation === '=' && bounds.max < 0)) return false;
+            return terms.every(([variable, coefficient], i) => {
+                const [restMin, restMax] = bounds.without(i);
+                // coefficient * variable lies within [-restMax, -restMin] (or below -restMin for =<)
+                const low = relation === '=' ? -restMax : -Infinity;
+                const high = -restMin;
+                return coefficient > 0 ?
+                    narrow(context, variable, FiniteDomain.range(low / coefficient, high / coefficient)) :
+                    narrow(context, variable, FiniteDomain.range(high / coefficient, low / coefficient));
+            });
+        }
+    };
+}
+
+const multiply = (a, b) => a === 0 || b === 0 ? 0 : a * b;
+
+// Bounds of a / b over the corners of two intervals, where b excludes 0
+function quotientRange(a, b) {
+    if (!a.isFinite && !b.isFinite) return FiniteDomain.ALL;
+    const divide = (x, y) => Number.isFinite(y) ? x / y : (Number.isFinite(x) ? 0 : NaN);
+    const corners = [divide(a.min, b.min), divide(a.min, b.max), divide(a.max, b.min), divide(a.max, b.max)];
+    if (corners.some(Number.isNaN)) return FiniteDomain.ALL;
+    return FiniteDomain.range(Math.min(...corners), Math.max(...corners));
+}
+
+// x * y = z, bounds consistent
+function times(x, y, z) {
+    return {
+        variables: [x, y, z],
+        propagate(context) {
+            const [dx, dy] = [domainOf(context, x), domainOf(context, y)];
+            const products = [multiply(dx.min, dy.min), multiply(dx.min, dy.max), multiply(dx.max, dy.min), multiply(dx.max, dy.max)];
+            if (!narrow(context, z, FiniteDomain.range(Math.min(...products), Math.max(...products)))) return false;
+
+            const dz = domainOf(context, z);
+            const excludesZero = (domain) => domain.min > 0 || domain.max < 0;
+            if (excludesZero(dy) && !narrow(context, x, quotientRange(dz, dy))) return false;
+            const ex = domainOf(context, x);
+            if (excludesZero(ex) && !narrow(context, y, quotientRange(dz, ex))) return false;
+            return true;
+        }
+    };
+}
+
+// abs(x) = z, domain consistent
+function absolute(x, z) {
+    return {
+        variables: [x, z],
+        propagate(context) {
+            const dx = domainOf(context, x);
+            const magnitudes = dx.restrict(0, Infinity).union(dx.restrict(-Infinity, 0).negate());
+            if (!narrow(context, z, magnitudes)) return false;
+            const dz = domainOf(context, z);
+            return narrow(context, x, dz.union(dz.negate()));
+        }
+    };
+}
+
+// min(x, y) = z, or max(x, y) = z when largest; max works on negated
+// domains, as max(x, y) = -min(-x, -y)
+function extremum(x, y, z, largest) {
+    return {
+        variables: [x, y, z],
+        propagate(context) {
+            const view = (domain) => largest ? domain.negate() : domain;
+            const domain = (term) => view(domainOf(context, term));
+            const restrict = (term, allowed) => narrow(context, term, view(allowed));
+
+            const [dx, dy] = [domain(x), domain(y)];
+            if (!restrict(z, FiniteDomain.range(Math.min(dx.min, dy.min), Math.min(dx.max, dy.max)))) return false;
+            const above = FiniteDomain.range(domain(z).min, Infinity);
+            if (!restrict(x, above) || !restrict(y, above)) return false;
+            // Once one operand is certainly the smaller, z equals it
+            const [ex, ey] = [domain(x), domain(y)];
+            if (ex.max <= ey.min) return restrict(z, ex) && restrict(x, domain(z));
+            if (ey.max <= ex.min) return restrict(z, ey) && restrict(y, domain(z));
+            return true;
+        }
+    };
+}
+
+// x mod y = z, where the result takes the sign of y
+function modulo(x, y, z) {
+    return {
+        variables: [x, y, z],
+        propagate(context) {
+            if (!narrow(context, y, FiniteDomain.ALL.remove(0))) return false;
+            const [dx, dy] = [domainOf(context, x), domainOf(context, y)];
+            if (dx.isSingleton && dy.isSingleton) {
+                const remainder = ((dx.min % dy.min) + dy.min) % dy.min;
+                return narrow(context, z, FiniteDomain.range(remainder, remainder));
+            }
+            if (dx.min >= 0 && dx.max < dy.min) {
+                return narrow(context, z, dx) && narrow(context, x, domainOf(context, z));
+            }
+            const limit = Math.max(Math.abs(dy.min), Math.abs(dy.max)) - 1;
+            return narrow(context, z, FiniteDomain.range(dy.min > 0 ? 0 : -limit, dy.max < 0 ? 0 : limit));
+        }
+    };
+}
+
+const FUNCTIONS = {
+    abs: absolute,
+    min: (x, y, z) => extremum(x, y, z, false),
+    max: (x, y, z) => extremum(x, y, z, true),
+    mod: modulo
+};
+
+// Fixed values are removed from the other variables' domains
+function allDifferent(variables) {
+    return {
+        variables,
+        propagate(context) {
+            const fixed = new Set();
+            for (const variable of variables) {
+                const domain = domainOf(context, variable);
+                if (!domain.isSingleton) continue;
+                if (fixed.has(domain.min)) return false;
+                fixed.add(domain.min);
+            }
+            let allowed = FiniteDomain.ALL;
+            fixed.forEach(value => { allowed = allowed.remove(value); });
+
+            let union = FiniteDomain.EMPTY;
+            for (const variable of variables) {
+                const domain = domainOf(context, variable);
+                if (!domain.isSingleton && !narrow(context, variable, allowed)) return false;
+                union = union.union(domainOf(context, variable));
+            }
+            // More variables than values left for them
+            return !union.isFinite || union.size >= variables.length;
+        }
+    };
+}
+
+// Reification
+
+// The truth of a constraint or connective as a 0..1 variable or integer; null on failure
+function reify(context, term) {
+    const value = context.deref(term);
+    if (context.isVariable(value) || Number.isInteger(value)) {
+        return narrow(context, value, BOOLEAN) ? value : null;
+    }
+    if (!(value instanceof Term && value.isCompound())) {
+        throw new Error(`Type error: ${value} is not a reifiable constraint`);
+    }
+    const truth = context.freshVariable('FD');
+    if (!narrow(context, truth, BOOLEAN)) return null;
+    if (value.arity === 2 && RELATIONS[value.functor]) {
+        const { form, comparison } = relationForm(context, value.args[0], RELATIONS[value.functor], value.args[1]);
+        return post(context, reified(form, comparison, truth)) ? truth : null;
+    }
+    if (!CONNECTIVES.has(value.indicator)) {
+        throw new Error(`Type error: ${value} is not a reifiable constraint`);
+    }
+    const operands = value.args.map(arg => reify(context, arg));
+    if (operands.includes(null)) return null;
+    const [p, q] = operands;
+    // Linear inequalities that hold exactly for the 0..1 values of the connective
+    const holds = {
+        '#\\': [[-1, [[1, truth], [1, p]]], [1, [[-1, truth], [-1, p]]]],
+        '#/\\': [[0, [[1, truth], [-1, p]]], [0, [[1, truth], [-1, q]]], [-1, [[1, p], [1, q], [-1, truth]]]],
+        '#\\/': [[0, [[1, p], [-1, truth]]], [0, [[1, q], [-1, truth]]], [0, [[1, truth], [-1, p], [-1, q]]]],
+        '#==>': [[1, [[-1, p], [-1, truth]]], [0, [[1, q], [-1, truth]]], [-1, [[1, truth], [1, p], [-1, q]]]],
+        '#<==': [[1, [[-1, q], [-1, truth]]], [0, [[1, p], [-1, truth]]], [-1, [[1, truth], [1, q], [-1, p]]]],
+        '#<==>': [
+            [-1, [[1, p], [1, q], [-1, truth]]], [1, [[-1, p], [-1, q], [-1, truth]]],
+            [-1, [[1, truth], [1, p], [-1, q]]], [-1, [[1, truth], [-1, p], [1, q]]]
+        ]
+    }[value.functor];
+    return holds.every(([constant, terms]) => post(context, linear(sumOf(terms, constant), '=<'))) ? truth : null;
+}
+
+// sum(coefficient * term) + constant as a linear form; terms may be integers
+function sumOf(terms, constant) {
+    const form = { terms: new Map(), constant };
+    for (const [coefficient, term] of terms) {
+        form.terms.set(term, (form.terms.get(term) || 0) + coefficient);
+    }
+    return form;
+}
+
+// truth is 1 exactly when the linear constraint holds. Once truth is known
+// the constraint or its negation propagates; until then truth is fixed as
+// soon as the bounds entail or rule out the constraint.
+function reified(form, comparison, truth) {
+    const terms = [...form.terms].filter(([, coefficient]) => coefficient !== 0);
+    const opposite = comparison === '=<' ?
+        { ...negate(form), constant: -form.constant + 1 } :
+        form;
+    const holds = linear(form, comparison);
+    const fails = linear(opposite, { '=': '\\=', '\\=': '=', '=<': '=<' }[comparison]);
+    return {
+        variables: [...terms.map(([variable]) => variable), truth],
+        propagate(context) {
+            if (form.failed) return false;
+            const known = domainOf(context, truth);
+            if (known.isSingleton) return (known.min === 1 ? holds : fails).propagate(context);
+            const { min, max } = sumBounds(context, terms, form.constant);
+            const entailed = { '=': min === 0 && max === 0, '\\=': min > 0 || max < 0, '=<': max <= 0 }[comparison];
+            const refuted = { '=': min > 0 || max < 0, '\\=': min === 0 && max === 0, '=<': min > 0 }[comparison];
+            if (entailed) return context.unify(truth, 1);
+            if (refuted) return context.unify(truth, 0);
+            return true;
+        }
+    };
+}
+
+// Labeling
+
+function parseOptions(options) {
+    const parsed = { selection: 'leftmost', descending: false, objectives: [] };
+    for (const option of options) {
+        if (option instanceof Term && ['min/1', 'max/1'].includes(option.indicator)) {
+            parsed.objectives.push({ expression: option.args[0], descending: option.functor === 'max' });
+        } else if (['leftmost', 'ff', 'ffc', 'min', 'max'].includes(option)) {
+            parsed.selection = option;
+        } else if (option === 'up' || option === 'down') {
+            parsed.descending = option === 'down';
+        } else if (!['step', 'enum', 'bisect'].includes(option)) {
+            throw new Error(`Domain error: unknown labeling option ${option}`);
+        }
+    }
+    return parsed;
+}
+
+// Lexicographic comparison of selection keys
+function precedes(key, other) {
+    for (let i = 0; i < key.length; i++) {
+        if (key[i] !== other[i]) return key[i] < other[i];
+    }
+    return false;
+}
+
+function selectVariable(context, variables, selection) {
+    let best;
+    let bestKey;
+    for (const term of variables) {
+        const variable = context.deref(term);
+        if (!context.isVariable(variable)) continue;
+        const { domain, propagators } = attributeOf(context, variable);
+        if (!domain.isFinite) {
+            throw new Error('Instantiation error: labeling needs variables with finite domains');
+        }
+        if (selection === 'leftmost') return variable;
+        const key = {
+            ff: [domain.size],
+            ffc: [domain.size, -propagators.length],
+            min: [domain.min],
+            max: [-domain.max]
+        }[selection];
+        if (best === undefined || precedes(key, bestKey)) {
+            best = variable;
+            bestKey = key;
+        }
+    }
+    return best;
+}
+
+// Enumerates assignments depth first. The resolver undoes every binding made
+// since the choice point when it resumes, so the chosen values are replayed.
+// Each min(Expr) or max(Expr) option gets a variable equal to Expr that is
+// labeled first, best value first; it is posted again on every replay.
+function* labeling(context, variables, options) {
+    for (const term of variables) {
+        const value = context.deref(term);
+        if (!context.isVariable(value) && !Number.isInteger(value)) {
+            throw new Error(`Type error: ${value} is not an integer`);
+        }
+    }
+    const objectives = options.objectives.map(objective => ({ ...objective, variable: context.freshVariable('FD') }));
+    const prepare = () => objectives.every(({ variable, expression }) => postRelation(context, variable, '=', expression));
+    const start = context.mark();
+    const path = [];
+    let replay = false;
+    if (!prepare()) return;
+
+    function* search(depth) {
+        const objective = objectives[depth];
+        const variable = objective ? objective.variable : selectVariable(context, variables, options.selection);
+        if (variable === undefined) {
+            yield [];
+            replay = true;
+            return;
+        }
+        const domain = domainOf(context, variable);
+        if (!domain.isFinite) {
+            throw new Error('Instantiation error: labeling needs variables with finite domains');
+        }
+        let mark = context.mark();
+        for (const value of domain.values(objective ? objective.descending : options.descending)) {
+            if (replay) {
+                context.undo(start);
+                if (!prepare()) return;
+                for (let i = 0; i < depth; i++) {
+                    if (!context.unify(path[i].variable, path[i].value)) return;
+                }
+                replay = false;
+                mark = context.mark();
+            } else {
+                context.undo(mark);
+            }
+            path[depth] = { variable, value };
+            if (context.unify(variable, value)) {
+                yield* search(depth + 1);
+            }
+        }
+    }
+
+    yield* search(0);
+}
+
+// Domain terms such as 1..9, 1..3\/5..7, inf..0 or a single integer
+
+function parseDomain(context, term) {
+    const value = context.deref(term);
+    if (Number.isInteger(value)) return FiniteDomain.range(value, value);
+    if (value instanceof Term && value.indicator === '../2') {
+        const [lo, hi] = value.args.map(arg => context.deref(arg));
+        return FiniteDomain.range(lo === 'inf' ? -Infinity : lo, hi === 'sup' ? Infinity : hi);
+    }
+    if (value instanceof Term && value.indicator === '\\//2') {
+        return parseDomain(context, value.args[0]).union(parseDomain(context, value.args[1]));
+    }
+    if (context.isVariable(value)) {
+        throw new Error('Instantiation error: domain is an unbound variable');
+    }
+    throw new Error(`Type error: ${value} is not a domain`);
+}
+
+function bound(value) {
+    if (value === -Infinity) return 'inf';
+    if (value === Infinity) return 'sup';
+    return value;
+}
+
+function domainTerm(domain) {
+    const parts = domain.intervals.map(([lo, hi]) => lo === hi ? lo : Term.compound('..', [bound(lo), bound(hi)]));
+    if (parts.length === 0) return Term.compound('..', [1, 0]);
+    return parts.reduce((union, part) => Term.compound('\\/', [union, part]));
+}
+
+function listOf(context, term) {
+    const list = context.resolve(term);
+    if (!Array.isArray(list)) throw new Error(`Type error: ${list} is not a list`);
+    return list;
+}
@@ -0,0 +1,123 @@
+// FiniteDomain.js
+
+/**
+ * Immutable set of integers stored as sorted, disjoint [min, max] intervals.
+ * Bounds may be -Infinity / Infinity for domains that are not yet finite.
+ */
+export class FiniteDomain {
+    static EMPTY = new FiniteDomain([]);
+    static ALL = new FiniteDomain([[-Infinity, Infinity]]);
+
+    constructor(intervals = []) {
+        this.intervals = intervals;
+    }
+
+    static range(min, max) {
+        const lo = Math.ceil(min);
+        const hi = Math.floor(max);
+        return new FiniteDomain(lo <= hi ? [[lo, hi]] : []);
+    }
+
+    static of(...values) {
+        return values.reduce((domain, value) => domain.union(FiniteDomain.range(value, value)), FiniteDomain.EMPTY);
+    }
+
+    get isEmpty() {
+        return this.intervals.length === 0;
+    }
+
+    get min() {
+        return this.isEmpty ? Infinity : this.intervals[0][0];
+    }
+
+    get max() {
+        return this.isEmpty ? -Infinity : this.intervals[this.intervals.length - 1][1];
+    }
+
+    get size() {
+        return this.intervals.reduce((size, [lo, hi]) => size + hi - lo + 1, 0);
+    }
+
+    get isFinite() {
+        return Number.isFinite(this.min) && Number.isFinite(this.max);
+    }
+
+    get isSingleton() {
+        return this.intervals.length === 1 && this.min === this.max;
+    }
+
+    contains(value) {
+        return Number.isInteger(value) && this.intervals.some(([lo, hi]) => lo <= value && value <= hi);
+    }
+
+    intersect(other) {
+        const result = [];
+        let i = 0;
+        let j = 0;
+        while (i < this.intervals.length && j < other.intervals.length) {
+            const [lo1, hi1] = this.intervals[i];
+            const [lo2, hi2] = other.intervals[j];
+            const lo = Math.max(lo1, lo2);
+            const hi = Math.min(hi1, hi2);
+            if (lo <= hi) result.push([lo, hi]);
+            if (hi1 < hi2) i++; else j++;
+        }
+        return new FiniteDomain(result);
+    }
+
+    union(other) {
+        const sorted = [...this.intervals, ...other.intervals].sort((a, b) => a[0] - b[0]);
+        const result = [];
+        for (const [lo, hi] of sorted) {
+            const last = result[result.length - 1];
+            if (last && lo <= last[1] + 1) {
+                last[1] = Math.max(last[1], hi);
+            } else {
+                result.push([lo, hi]);
+            }
+        }
+        return new FiniteDomain(result);
+    }
+
+    // Intersection with min..max
+    restrict(min, max) {
+        return this.intersect(FiniteDomain.range(min, max));
+    }
+
+    remove(value) {
+        if (!this.contains(value)) return this;
+        return this.intersect(new FiniteDomain([[-Infinity, value - 1], [value + 1, Infinity]]));
+    }
+
+    // The domain of -X for X in this domain
+    negate() {
+        const negative = (value) => value === 0 ? 0 : -value;
+        return new FiniteDomain(this.intervals.map(([lo, hi]) => [negative(hi), negative(lo)]).reverse());
+    }
+
+    equals(other) {
+        return this.intervals.length === other.intervals.length &&
+            this.intervals.every(([lo, hi], i) => lo === other.intervals[i][0] && hi === other.intervals[i][1]);
+    }
+
+    // Values in ascending order, or descending when asked; bounds must be finite
+    *values(descending = false) {
+        const intervals = descending ? [...this.intervals].reverse() : this.intervals;
+        for (const [lo, hi] of intervals) {
+            if (descending) {
+                for (let value = hi; value >= lo; value--) yield value;
+            } else {
+                for (let value = lo; value <= hi; value++) yield value;
+            }
+        }
+    }
+
+    // Prolog notation such as 1..3\/5
+    toString() {
+        if (this.isEmpty) return '1..0';
+        const bound = (value) => value === -Infinity ? 'inf' : value === Infinity ? 'sup' : String(value);
+        return this.intervals
+            .map(([lo, hi]) => lo === hi ? bound(lo) : `${bound(lo)}..${bound(hi)}`)
+            .join('\\/');
+    }
+}
@@ -0,0 +1,298 @@
+// NumericSolver.js
+
+const DEFAULTS = {
+    tolerance: 1e-9,          // Bound on the error of each reported value
+    residualTolerance: 1e-6,  // Largest |f| still accepted as a root
+    maxIterations: 100,
+    samples: 200,             // Grid used to bracket the roots of a single equation
+    refinements: 12,          // Times a grid interval may be halved to find roots close together
+    starts: 20                // Starting points tried for systems
+};
+
+/**
+ * One solution: variable name → value, the same shape as a query() answer,
+ * plus how closely the equations hold there.
+ */
+export class NumericSolution extends Map {
+    constructor(entries, { residual, tolerance, iterations, method }) {
+        super(entries);
+        this.residual = residual;      // Largest |f| at the solution
+        this.tolerance = tolerance;    // Estimated error of each value
+        this.iterations = iterations;
+        this.method = method;          // 'sample', 'brent', 'newton' or 'levenberg-marquardt'
+    }
+}
+
+// Deterministic starting points, so repeated solves give the same answers
+function seededRandom(seed) {
+    return () => {
+        seed = (seed * 1664525 + 1013904223) % 4294967296;
+        return seed / 4294967296;
+    };
+}
+
+function derivative(f, x) {
+    const h = Math.cbrt(Number.EPSILON) * Math.max(1, Math.abs(x));
+    return (f(x + h) - f(x - h)) / (2 * h);
+}
+
+function jacobian(f, x, fx) {
+    return x.map((xi, j) => {
+        const h = Math.sqrt(Number.EPSILON) * Math.max(1, Math.abs(xi));
+        const shifted = [...x];
+        shifted[j] += h;
+        return f(shifted).map((value, i) => (value - fx[i]) / h);
+    });  // Column-major: result[j][i] = ∂f_i/∂x_j
+}
+
+// Gaussian elimination with partial pivoting; null for singular systems
+function solveLinear(matrix, vector) {
+    const n = vector.length;
+    const rows = matrix.map((row, i) => [...row, vector[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+        }
+        if (!(Math.abs(rows[pivot][col]) > 0)) return null;
+        [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+        for (let row = col + 1; row < n; row++) {
+            const factor = rows[row][col] / rows[col][col];
+            for (let k = col; k <= n; k++) rows[row][k] -= factor * rows[col][k];
+        }
+    }
+    const x = new Array(n);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = rows[row][n];
+        for (let k = row + 1; k < n; k++) sum -= rows[row][k] * x[k];
+        x[row] = sum / rows[row][row];
+    }
+    return x;
+}
+
+const sumOfSquares = (values) => values.reduce((sum, value) => sum + value * value, 0);
+const largest = (values) => values.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+
+/**
+ * Real root finding over bounded ranges. A single equation is bracketed on a
+ * sample grid, refined where roots may lie close together, and each bracket
+ * refined with Brent's method; roots that touch
+ * zero without crossing it are found by Newton steps from local minima of |f|.
+ * Systems are solved by Levenberg-Marquardt from several starting points.
+ */
+export class NumericSolver {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+    }
+
+    // equations are functions of a value array; ranges holds { min, max } per variable
+    solve(equations, names, ranges) {
+        for (const { min, max } of ranges) {
+            if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+                throw new Error(`Numeric solving needs finite bounds, got ${min}..${max}`);
+            }
+        }
+        if (equations.length < names.length) {
+            throw new Error(`Domain error: ${equations.length} equation${equations.length === 1 ? '' : 's'} in ` +
+                `${names.length} variables have a continuum of solutions, not isolated ones`);
+        }
+        if (equations.length === 1 && names.length === 1) {
+            const [{ min, max }] = ranges;
+            return this.roots(x => equations[0]([x]), min, max)
+                .map(({ value, ...details }) => new NumericSolution([[names[0], value]], details));
+        }
+        return this.system(values => equations.map(equation => equation(values)), ranges)
+            .map(({ values, ...details }) => new NumericSolution(names.map((name, i) => [name, values[i]]), details));
+    }
+
+    // Points of f over [min, max]: the grid, and the midpoint of every grid
+    // interval. An interval is halved again while its midpoint strays further
+    // from the chord than its ends are from zero, as f may cross zero and
+    // come back between them.
+    sample(f, min, max) {
+        const { samples, refinements } = this.options;
+        const xs = [min];
+        const ys = [f(min)];
+        const refine = (x0, y0, x1, y1, depth) => {
+            const x = (x0 + x1) / 2;
+            const y = f(x);
+            const halve = depth < refinements && Math.abs(y - (y0 + y1) / 2) > Math.min(Math.abs(y0), Math.abs(y1));
+            if (halve) refine(x0, y0, x, y, depth + 1);
+            xs.push(x);
+            ys.push(y);
+            if (halve) refine(x, y, x1, y1, depth + 1);
+        };
+        for (let i = 1; i <= samples; i++) {
+            const x = min + (max - min) * i / samples;
+            const y = f(x);
+            refine(xs.at(-1), ys.at(-1), x, y, 0);
+            xs.push(x);
+            ys.push(y);
+        }
+        return { xs, ys };
+    }
+
+    // Every root of f in [min, max], ascending
+    roots(f, min, max) {
+        const { xs, ys } = this.sample(f, min, max);
+        const samples = xs.length - 1;
+
+        const candidates = [];
+        for (let i = 0; i <= samples; i++) {
+            if (ys[i] === 0) {
+                candidates.push({ value: xs[i], tolerance: 0, iterations: 0, method: 'sample' });
+            } else if (i < samples && Math.sign(ys[i]) * Math.sign(ys[i + 1]) < 0) {
+                candidates.push(this.brent(f, xs[i], xs[i + 1], ys[i], ys[i + 1]));
+            } else if (i > 0 && i < samples &&
+                Math.sign(ys[i - 1]) === Math.sign(ys[i]) && Math.sign(ys[i]) === Math.sign(ys[i + 1]) &&
+                Math.abs(ys[i]) <= Math.abs(ys[i - 1]) && Math.abs(ys[i]) <= Math.abs(ys[i + 1])) {
+                candidates.push(this.newton(f, xs[i], xs[i - 1], xs[i + 1]));
+            }
+        }
+
+        const roots = [];
+        for (const candidate of candidates) {
+            if (!candidate) continue;
+            const residual = Math.abs(f(candidate.value));
+            if (!(residual <= this.options.residualTolerance)) continue;  // Poles also change sign
+            if (roots.some(root => this._near([root.value], [candidate.value]))) continue;
+            roots.push({ ...candidate, residual });
+        }
+        return roots.sort((a, b) => a.value - b.value);
+    }
+
+    // Brent's method on a bracket where fa and fb differ in sign
+    brent(f, a, b, fa, fb) {
+        const { tolerance, maxIterations } = this.options;
+        let c = b;
+        let fc = fb;
+        let d = b - a;
+        let e = d;
+        let m = (c - b) / 2;
+        for (let iteration = 1; iteration <= maxIterations; iteration++) {
+            if ((fb > 0 && fc > 0) || (fb < 0 && fc < 0)) {
+                c = a;
+                fc = fa;
+                d = e = b - a;
+            }
+            if (Math.abs(fc) < Math.abs(fb)) {
+                [a, b, c] = [b, c, b];
+                [fa, fb, fc] = [fb, fc, fb];
+            }
+            const tol = 2 * Number.EPSILON * Math.abs(b) + tolerance / 2;
+            m = (c - b) / 2;
+            if (Math.abs(m) <= tol || fb === 0) {
+                return { value: b, tolerance: fb === 0 ? 0 : Math.abs(m), iterations: iteration, method: 'brent' };
+            }
+            if (Math.abs(e) >= tol && Math.abs(fa) > Math.abs(fb)) {
+                // Inverse quadratic interpolation, or secant when only two points differ
+                const s = fb / fa;
+                let p;
+                let q;
+                if (a === c) {
+                    p = 2 * m * s;
+                    q = 1 - s;
+                } else {
+                    const r = fb / fc;
+                    q = fa / fc;
+                    p = s * (2 * m * q * (q - r) - (b - a) * (r - 1));
+                    q = (q - 1) * (r - 1) * (s - 1);
+                }
+                if (p > 0) q = -q; else p = -p;
+                if (2 * p < Math.min(3 * m * q - Math.abs(tol * q), Math.abs(e * q))) {
+                    e = d;
+                    d = p / q;
+                } else {
+                    d = e = m;
+                }
+            } else {
+                d = e = m;  // Bisection
+            }
+            a = b;
+            fa = fb;
+            b += Math.abs(d) > tol ? d : (m > 0 ? tol : -tol);
+            fb = f(b);
+        }
+        return { value: b, tolerance: Math.abs(m), iterations: maxIterations, method: 'brent' };
+    }
+
+    // Newton's method kept inside [min, max]; null when it leaves or stalls
+    newton(f, x, min, max) {
+        const { tolerance, maxIterations } = this.options;
+        for (let iteration = 1; iteration <= maxIterations; iteration++) {
+            const fx = f(x);
+            if (fx === 0) return { value: x, tolerance: 0, iterations: iteration, method: 'newton' };
+            const slope = derivative(f, x);
+            if (!Number.isFinite(slope) || slope === 0) return null;
+            const step = fx / slope;
+            x -= step;
+            if (!(x >= min && x <= max)) return null;
+            if (Math.abs(step) <= tolerance * Math.max(1, Math.abs(x))) {
+                return { value: x, tolerance: Math.abs(step), iterations: iteration, method: 'newton' };
+            }
+        }
+        return null;
+    }
+
+    // Distinct solutions of f(x) = 0 for a vector function, one per converged start
+    system(f, ranges) {
+        const random = seededRandom(1);
+        const solutions = [];
+        for (let start = 0; start < this.options.starts; start++) {
+            const x0 = ranges.map(({ min, max }) => start === 0 ? (min + max) / 2 : min + (max - min) * random());
+            const solution = this.levenbergMarquardt(f, x0, ranges);
+            if (solution && !solutions.some(other => this._near(other.values, solution.values))) {
+                solutions.push(solution);
+            }
+        }
+        const order = (a, b) => {
+            const i = a.values.findIndex((value, j) => value !== b.values[j]);
+            return i === -1 ? 0 : a.values[i] - b.values[i];
+        };
+        return solutions.sort(order);
+    }
+
+    levenbergMarquardt(f, x, ranges) {
+        const { tolerance, residualTolerance, maxIterations } = this.options;
+        const clamp = (values) => values.map((value, i) => Math.min(ranges[i].max, Math.max(ranges[i].min, value)));
+        let fx = f(x);
+        let cost = sumOfSquares(fx);
+        let damping = 1e-3;
+        let stepSize = Infinity;
+        let iteration = 0;
+
+        while (iteration < maxIterations && cost > 0) {
+            iteration++;
+            const columns = jacobian(f, x, fx);
+            const normal = columns.map(a => columns.map(b => a.reduce((sum, value, i) => sum + value * b[i], 0)));
+            const gradient = columns.map(column => column.reduce((sum, value, i) => sum + value * fx[i], 0));
+
+            let accepted = false;
+            while (!accepted && damping < 1e12) {
+                const damped = normal.map((row, i) => row.map((value, j) => i === j ? value + damping * (1 + value) : value));
+                const step = solveLinear(damped, gradient.map(value => -value));
+                const next = step && clamp(x.map((value, i) => value + step[i]));
+                const fNext = next && f(next);
+                const nextCost = next ? sumOfSquares(fNext) : NaN;
+                if (nextCost < cost) {
+                    stepSize = largest(next.map((value, i) => value - x[i]));
+                    [x, fx, cost] = [next, fNext, nextCost];
+                    damping = Math.max(damping / 10, 1e-12);
+                    accepted = true;
+                } else {
+                    damping *= 10;
+                }
+            }
+            if (!accepted || stepSize <= tolerance * Math.max(1, largest(x))) break;
+        }
+
+        const residual = largest(fx);
+        if (!(residual <= residualTolerance)) return null;
+        return { values: x, residual, tolerance: cost === 0 ? 0 : stepSize, iterations: iteration, method: 'levenberg-marquardt' };
+    }
+
+    _near(a, b) {
+        const scale = 1000 * this.options.tolerance;
+        return a.every((value, i) => Math.abs(value - b[i]) <= scale * Math.max(1, Math.abs(value), Math.abs(b[i])));
+    }
+}
@@ -0,0 +1,139 @@
+// SemanticNetwork.js
+
+// Weights used when a relation is added without one
+const DEFAULT_WEIGHTS = { synonym: 1, hypernym: 0.8, hyponym: 0.8, 'part-of': 0.6, 'has-part': 0.6, antonym: 1 };
+
+// Directed types are stored with their inverse on the other term; the rest are symmetric
+const INVERSES = { hypernym: 'hyponym', hyponym: 'hypernym', 'part-of': 'has-part', 'has-part': 'part-of' };
+
+// Relations that never make two terms similar
+const OPPOSING = new Set(['antonym']);
+
+/**
+ * Typed, weighted relations between terms. Similarity follows chains of
+ * relations: a chain scores the product of its weights, times decay for
+ * every hop after the first, and terms are similar when their best chain
+ * scores at least the threshold.
+ */
+export class SemanticNetwork {
+    // A network with a parent sees the parent's relations, and its options
+    // where none is set here; relations added here override the parent's
+    // for the same term and type
+    constructor(options = {}, parent = null) {
+        this.parent = parent;
+        this.options = Object.assign(parent ? Object.create(parent.options) : { decay: 0.8, threshold: 0.5 }, options);
+        this.edges = new Map();  // term -> [{ term, type, weight }]
+    }
+
+    // add('dog', 'animal', { type: 'hypernym' }) reads "animal is a hypernym of dog"
+    add(term1, term2, { type = 'synonym', weight = DEFAULT_WEIGHTS[type] ?? 1 } = {}) {
+        if (typeof weight !== 'number' || !(weight > 0 && weight <= 1)) {
+            throw new Error(`Domain error: weight ${weight} is not in (0, 1]`);
+        }
+        this._set(term1, { term: term2, type, weight });
+        this._set(term2, { term: term1, type: INVERSES[type] ?? type, weight });
+    }
+
+    // Relations leaving a term, optionally of the given types
+    relations(term, types = null) {
+        const own = this.edges.get(term) || [];
+        const inherited = this.parent ? this.parent.relations(term, types)
+            .filter(edge => !own.some(other => other.term === edge.term && other.type === edge.type)) : [];
+        return [...inherited, ...(types ? own.filter(edge => types.includes(edge.type)) : own)];
+    }
+
+    // Every term with at least one relation
+    terms() {
+        return new Set([...(this.parent ? this.parent.terms() : []), ...this.edges.keys()]);
+    }
+
+    // The best chain from term1 to term2 as { score, path, types }, or null
+    // when there is none scoring at least the threshold
+    match(term1, term2, options = {}) {
+        if (term1 === term2) return { score: 1, path: [term1], types: [] };
+        return this.related(term1, options).find(match => match.term === term2) || null;
+    }
+
+    similarity(term1, term2, options = {}) {
+        const match = this.match(term1, term2, { ...options, threshold: 0 });
+        return match ? match.score : 0;
+    }
+
+    // Every term reachable from term with a score at or above the threshold,
+    // best first. Options: decay, threshold, and types to follow.
+    related(term, options = {}) {
+        const { decay = this.options.decay, threshold = this.options.threshold, types = null } = options;
+        const best = new Map([[term, { score: 1, previous: null, type: null, hops: 0 }]]);
+        const done = new Set();
+
+        // Dijkstra on products: extending a chain never raises its score
+        while (true) {
+            let current = null;
+            for (const [candidate, entry] of best) {
+                if (!done.has(candidate) && (current === null || entry.score > best.get(current).score)) {
+                    current = candidate;
+                }
+            }
+            if (current === null) break;
+            done.add(current);
+
+            const { score, hops } = best.get(current);
+            for (const edge of this.relations(current, types)) {
+                if (OPPOSING.has(edge.type) || done.has(edge.term)) continue;
+                const next = score * edge.weight * (hops > 0 ? decay : 1);
+                if (!best.has(edge.term) || next > best.get(edge.term).score) {
+                    best.set(edge.term, { score: next, previous: current, type: edge.type, hops: hops + 1 });
+                }
+            }
+        }
+
+        const matches = [];
+        for (const [other, entry] of best) {
+            if (other === term || entry.score < threshold) continue;
+            const path = [];
+            const chainTypes = [];
+            for (let step = other; step !== null; step = best.get(step).previous) {
+                path.unshift(step);
+                if (best.get(step).type) chainTypes.unshift(best.get(step).type);
+            }
+            matches.push({ term: other, score: entry.score, path, types: chainTypes });
+        }
+        return matches.sort((a, b) => b.score - a.score);
+    }
+
+    // No relations or options of its own: a network with a parent shows the parent's
+    isEmpty() {
+        return this.edges.size === 0 && Object.keys(this.options).length === 0;
+    }
+
+    clone() {
+        const copy = new SemanticNetwork({ ...this.options }, this.parent);
+        for (const [term, edges] of this.edges) {
+            copy.edges.set(term, edges.map(edge => ({ ...edge })));
+        }
+        return copy;
+    }
+
+    // The parent is saved separately; options only where set here
+    toJSON() {
+        return {
+            options: { ...this.options },
+            edges: [...this.edges].map(([term, edges]) => [term, edges.map(edge => ({ ...edge }))])
+        };
+    }
+
+    static fromJSON(json, parent = null) {
+        const network = new SemanticNetwork(json.options ?? {}, parent);
+        network.edges = new Map(json.edges);
+        return network;
+    }
+
+    // Adding a relation again replaces its weight
+    _set(term, edge) {
+        if (!this.edges.has(term)) this.edges.set(term, []);
+        const edges = this.edges.get(term);
+        const index = edges.findIndex(other => other.term === edge.term && other.type === edge.type);
+        if (index === -1) edges.push(edge);
+        else edges[index] = edge;
+    }
+}
@@ -1,6 +1,7 @@
 // StochasticRule.js
 
 import { ProbabilityDistribution } from '../math/ProbabilityDistribution.js';
+import { encode, decode } from '../../core/Snapshot.js';
 
 export class StochasticRule {
     constructor(name, distribution, effectFn) {
@@ -124,16 +125,32 @@ export class StochasticRule {
         return {
             name: this.name,
             distribution: this.distribution.toJSON(),
-            samples: Array.from(this.samples.entries())
+            effectFn: encode(this.effectFn),
+            samples: encode(Array.from(this.samples.entries())),
+            cache: encode(Array.from(this.cache.entries())),
+            cacheSize: this.cacheSize
         };
     }
 
-    // Create a copy of this rule
-    clone() {
-        return new StochasticRule(
+    static fromJSON(json) {
+        const rule = new StochasticRule(json.name, json.distribution, decode(json.effectFn));
+        rule.samples = new Map(decode(json.samples));
+        rule.cache = new Map(decode(json.cache));
+        rule.cacheSize = json.cacheSize;
+        return rule;
+    }
+
+    // Create a copy of this rule, keeping the samples drawn up to a time if given
+    clone(until = null) {
+        const copy = new StochasticRule(
             this.name,
             this.distribution.clone(),
             this.effectFn
         );
+        if (until !== null) {
+            copy.samples = new Map([...this.samples].filter(([time]) => time <= until));
+            copy.cache = new Map([...this.cache].filter(([time]) => time <= until));
+        }
+        return copy;
     }
 }
\ No newline at end of file
@@ -1,5 +1,7 @@
 // TemporalRule.js
 
+import { encode, decode } from '../../core/Snapshot.js';
+
 export class TemporalRule {
     constructor(name, timeFn, effectFn) {
         this.name = name;
@@ -53,6 +55,15 @@ export class TemporalRule {
         return this.history.get(nearest);
     }
 
+    // Copy whose history stops at the given time
+    clone(until = Infinity) {
+        const copy = new TemporalRule(this.name, this.timeFn, this.effectFn);
+        copy.history = new Map([...this.history].filter(([time]) => time <= until));
+        copy.lastEvaluation = copy.history.size > 0 ? Math.max(...copy.history.keys()) : null;
+        copy.evaluationFrequency = this.evaluationFrequency;
+        return copy;
+    }
+
     // Set evaluation frequency
     setEvaluationFrequency(frequency) {
         if (frequency <= 0) {
@@ -152,8 +163,19 @@ export class TemporalRule {
     toJSON() {
         return {
             name: this.name,
+            timeFn: encode(this.timeFn),
+            effectFn: encode(this.effectFn),
             evaluationFrequency: this.evaluationFrequency,
-            history: Array.from(this.history.entries())
+            lastEvaluation: this.lastEvaluation,
+            history: encode(Array.from(this.history.entries()))
         };
     }
+
+    static fromJSON(json) {
+        const rule = new TemporalRule(json.name, decode(json.timeFn), decode(json.effectFn));
+        rule.evaluationFrequency = json.evaluationFrequency;
+        rule.lastEvaluation = json.lastEvaluation;
+        rule.history = new Map(decode(json.history));
+        return rule;
+    }
 }
\ No newline at end of file
@@ -1,5 +1,9 @@
-import { PrologScript } from "../src/core/PrologScript.js";
+import { PrologScript, QueryLimitError } from "../src/core/PrologScript.js";
 import { Term } from "../src/core/Term.js";
+import { PrologSyntaxError } from "../src/core/Parser.js";
+import { formatTraceEvent } from "../src/core/Tracer.js";
+import { UnificationContext } from "../src/core/UnificationContext.js";
+import { Variable } from "../src/core/Variable.js";
 
 describe("PrologScript Tests", () => {
     let ps;
@@ -23,6 +27,32 @@ describe("PrologScript Tests", () => {
         
             expect(ast).toEqual(expectedAST);
         });
+
+        test("chained arithmetic records one expression", () => {
+            ps.createReality("Logic4");
+            const product = ps.query("multiply", "$X", 2, "$T").get("T");
+            const result = ps.query("subtract", product, 1, "$R");
+
+            expect(String(result.get("R"))).toBe("X * 2 - 1");
+            expect(String(ps.ast(() => result.get("X") * 2 - 1))).toBe("X * 2 - 1");
+            expect([...result.keys()]).toEqual(["R"]);
+            expect(ps.query("add", "$A", "$B", 4)).toBe(true);
+            expect(ps.isolate([result.get("R"), 9], "X")).toEqual([5]);
+        });
+
+        test("converts pure JavaScript expressions", () => {
+            const convert = (fn) => ps._parseLambdaToAST(fn.toString());
+            expect(convert(() => -x + Math.sqrt(y))).toEqual({
+                type: "BinaryExpression", operator: "+",
+                left: { type: "UnaryExpression", operator: "-", argument: { type: "Variable", name: "x" } },
+                right: { type: "CallExpression", callee: "sqrt", arguments: [{ type: "Variable", name: "y" }] }
+            });
+            expect(convert(() => a ? b && c : obj.d[k]).type).toBe("ConditionalExpression");
+            expect(convert(() => { return xs.map(v => v * 2); }).arguments[1].type).toBe("ArrowFunctionExpression");
+            expect(() => convert(() => x = 1)).toThrow("Unsupported AST node type: AssignmentExpression");
+            expect(() => convert(() => x++)).toThrow("Unsupported AST node type: UpdateExpression");
+            expect(convert(() => console.log(x)).callee).toBe("log");
+        });
     });
 
     // Direct Computation Tests
@@ -104,6 +134,1316 @@ describe("PrologScript Tests", () => {
         });
     });
 
+    // Resolution Tests
+    describe("Resolution", () => {
+        beforeEach(() => {
+            ps.createReality("Family");
+            ps.addRule('parent:tom:bob');
+            ps.addRule('parent:bob:ann');
+            ps.addRule('parent:bob:pat');
+            ps.addRule('parent:pat:jim');
+            ps.addRule('ancestor:$X:$Y', 'parent:$X:$Y');
+            ps.addRule('ancestor:$X:$Z', 'parent:$X:$Y', 'ancestor:$Y:$Z');
+        });
+
+        test("enumerates every solution of a recursive rule", () => {
+            const result = ps.query('ancestor', '$A', 'jim');
+            expect(result.map(solution => solution.get('A'))).toEqual(['pat', 'tom', 'bob']);
+        });
+
+        test("keeps one of each solution up to variable renaming", () => {
+            const values = ps.query('member(X, [a, f(b), a, f(b), "$a", "$b", "$a", 1, "1"])');
+            expect(values.map(solution => String(solution.get('X')))).toEqual(['a', 'f(b)', '$a', '$b', '1', '1']);
+            expect(ps.query('member(X, [f(_), f(_), g(Y, Y), g(_, _)])')).toHaveLength(3);
+            expect(ps.query('between(1, 3000, _), X = 1').get('X')).toBe(1);
+        });
+
+        test("proves and refutes ground goals", () => {
+            expect(ps.query('ancestor', 'tom', 'jim')).toBe(true);
+            expect(ps.query('ancestor', 'jim', 'tom')).toBe(false);
+        });
+
+        test("resolves isA and hasA facts in rule bodies", () => {
+            ps.isA('alice', 'person');
+            ps.hasA('alice', 'parent', 'bob');
+            ps.hasA('bob', 'parent', 'carol');
+            ps.addRule('ancestorOf:$X:$Y', 'hasA:$Y:parent:$X');
+            ps.addRule('ancestorOf:$X:$Z', 'hasA:$Z:parent:$Y', 'ancestorOf:$X:$Y');
+            ps.addRule('personWithAncestor:$P:$A', 'isA:$P:person', 'ancestorOf:$A:$P');
+
+            const result = ps.query('personWithAncestor', 'alice', '$A');
+            expect(result.map(solution => solution.get('A'))).toEqual(['bob', 'carol']);
+        });
+    });
+
+    // Compound Term Tests
+    describe("Compound Terms", () => {
+        const car = (color, year) => Term.compound('car', [color, year]);
+
+        beforeEach(() => {
+            ps.createReality("Garage");
+            ps.addRule(Term.compound('owns', ['alice', car('red', 2019)]));
+            ps.addRule(Term.compound('owns', ['bob', car('blue', Term.compound('year', [2020]))]));
+        });
+
+        test("exposes functor and arity", () => {
+            const term = car('red', 2019);
+            expect(term.functor).toBe('car');
+            expect(term.arity).toBe(2);
+            expect(term.toString()).toBe('car(red, 2019)');
+        });
+
+        test("queries nested arguments", () => {
+            const result = ps.query('owns', '$Who', car('$Color', 2019));
+            expect(result.get('Who')).toBe('alice');
+            expect(result.get('Color')).toBe('red');
+            expect(ps.query('owns', 'alice', car('red', 2018))).toBe(false);
+        });
+
+        test("binds variables to compound values at any depth", () => {
+            const result = ps.query('owns', 'bob', '$Car');
+            expect(result.get('Car').toString()).toBe('car(blue, year(2020))');
+            expect(ps.query('owns', 'bob', car('$C', Term.compound('year', ['$Y']))).get('Y')).toBe(2020);
+        });
+
+        test("unifies compound terms structurally", () => {
+            expect(ps.unify(Term.compound('f', ['$X', 'b']), Term.compound('f', ['a', '$Y']))).toBe(true);
+            expect(ps.context.bindings.get('X').value).toBe('a');
+            expect(ps.unify(Term.compound('f', ['a']), Term.compound('g', ['a']))).toBe(false);
+        });
+
+        test("a variable does not unify with a term containing it", () => {
+            expect(ps.query('X = f(X)')).toBe(false);
+            expect(ps.query('X = f(Y), Y = g(X)')).toBe(false);
+            expect(ps.query('X = [a|X]')).toBe(false);
+            expect(ps.query('X = f(Y), Y = a').get('X').toString()).toBe('f(a)');
+        });
+    });
+
+    // Consult Tests
+    describe("Consult", () => {
+        const source = `
+            % Family tree
+            parent(tom, bob).
+            parent(bob, 'Ann Lee').   /* quoted atom */
+            ancestor(X, Y) :- parent(X, Y).
+            ancestor(X, Z) :- parent(X, Y), ancestor(Y, Z).
+
+            isA(socrates, human).
+            hasA(human, mortality, true).
+            mortal(X) :- isA(X, human), hasA(human, mortality, true).
+
+            first([H|_], H).
+            total(1 + 2 * -3).
+        `;
+
+        beforeEach(() => {
+            ps.createReality("Source");
+            ps.consult(source);
+        });
+
+        test("loads facts and rules into the engine", () => {
+            const result = ps.query('ancestor', 'tom', '$Who');
+            expect(result.map(solution => solution.get('Who'))).toEqual(['bob', 'Ann Lee']);
+            expect(ps.infer('mortal', 'socrates')).toBe(true);
+        });
+
+        test("accepts queries in Prolog syntax", () => {
+            expect(ps.query('first([a, b, c], F)').get('F')).toBe('a');
+            expect(ps.query('ancestor(tom, bob)')).toBe(true);
+        });
+
+        test("anonymous variables are fresh and left out of answers", () => {
+            expect(ps.query('_G1 = 1, _ = 2').get('_G1')).toBe(1);
+            const answer = ps.query('first([a, b], _), X = _');
+            expect([...answer.keys()]).toEqual(['X']);
+        });
+
+        test("parses operators by priority", () => {
+            expect(ps.query('total(X)').get('X').toString()).toBe('+(1, *(2, -3))');
+        });
+
+        test("consulted predicates may share a name with a session method", () => {
+            ps.consult('trace(verbose). lineage(a, b). save(game1).');
+            expect(ps.query('trace(T)').get('T')).toBe('verbose');
+            expect(ps.query('lineage(a, X)').get('X')).toBe('b');
+            expect(ps.query('save', '$S').get('S')).toBe('game1');
+            expect(ps.query('ancestor(tom, bob)')).toBe(true);
+        });
+
+        test("runs directives and throws when one fails", () => {
+            ps.consult(':- assertz(loaded(yes)).');
+            expect(ps.query('loaded(X)').get('X')).toBe('yes');
+            expect(() => ps.consult(':- parent(bob, tom).')).toThrow('Directive failed: parent(bob, tom)');
+        });
+
+        test("reports syntax errors with line and column", () => {
+            expect(() => ps.consult('ok.\nbroken(a :- b.')).toThrow(PrologSyntaxError);
+            try {
+                ps.consult('ok.\nbroken(a :- b.');
+            } catch (error) {
+                expect(error.line).toBe(2);
+                expect(error.column).toBe(10);
+            }
+        });
+    });
+
+    // Clause Database Tests
+    describe("Clause Database", () => {
+        beforeEach(() => {
+            ps.createReality("Database");
+            ps.consult(`
+                item(b).
+                item(c).
+                move(X) :- retract(item(X)), assertz(moved(X)).
+            `);
+        });
+
+        const items = () => [].concat(ps.query('item(X)') || []).map(solution => solution.get('X'));
+
+        test("keeps clauses in order with asserta and assertz", () => {
+            ps.asserta('item(a)');
+            ps.assertz('item(d)');
+            expect(items()).toEqual(['a', 'b', 'c', 'd']);
+        });
+
+        test("keeps rules that share a head", () => {
+            ps.addRule('p:$X', 'item:$X');
+            ps.addRule('p:$X', 'moved:$X');
+            expect(ps.rules.clauses('p', 1).length).toBe(2);
+        });
+
+        test("retracts the first matching clause", () => {
+            expect(ps.retract('item(X)')).toBe(true);
+            expect(items()).toEqual(['c']);
+            expect(ps.retract('item(z)')).toBe(false);
+        });
+
+        test("retracts rules by head and body", () => {
+            expect(ps.retract('move(X) :- retract(item(X)), assertz(moved(X))')).toBe(true);
+            expect(ps.rules.clauses('move', 1)).toEqual([]);
+        });
+
+        test("abolishes a predicate", () => {
+            ps.abolish('item/1');
+            expect(ps.query('item(X)')).toBe(false);
+        });
+
+        test("modifies the database from rule bodies", () => {
+            expect(ps.query('move(b)')).toBe(true);
+            expect(items()).toEqual(['c']);
+            expect(ps.query('moved(X)').get('X')).toBe('b');
+        });
+    });
+
+    // Control Construct Tests
+    describe("Control Constructs", () => {
+        beforeEach(() => {
+            ps.createReality("Control");
+            ps.consult(`
+                bird(tweety).
+                bird(pingu).
+                penguin(pingu).
+                flies(X) :- bird(X), \\+ penguin(X).
+
+                num(1).
+                num(2).
+                num(3).
+                first(X) :- num(X), !.
+                either(X) :- ( num(X) ; X = none ).
+                size(X, S) :- ( X = 1 -> S = small ; S = large ).
+                localCut(X) :- ( num(X), ! ; X = none ).
+            `);
+        });
+
+        const values = (result, name) => [].concat(result || []).map(solution => solution.get(name));
+
+        test("negation as failure expresses exceptions", () => {
+            expect(values(ps.query('flies(X)'), 'X')).toEqual(['tweety']);
+            expect(ps.query('\\+ penguin(tweety)')).toBe(true);
+        });
+
+        test("cut commits to the first solution", () => {
+            expect(values(ps.query('first(X)'), 'X')).toEqual([1]);
+            expect(values(ps.query('localCut(X)'), 'X')).toEqual([1]);
+        });
+
+        test("disjunction backtracks into both branches", () => {
+            expect(values(ps.query('either(X)'), 'X')).toEqual([1, 2, 3, 'none']);
+        });
+
+        test("if-then-else commits to the condition", () => {
+            expect(ps.query('size(1, S)').get('S')).toBe('small');
+            expect(ps.query('size(2, S)').get('S')).toBe('large');
+        });
+
+        test("control constructs mix with colon-style rules", () => {
+            ps.isA('socrates', 'human');
+            ps.isA('zeus', 'human');
+            ps.isA('zeus', 'god');
+            ps.addRule('mortal:$X', 'isA:$X:human', '\\+ isA($X, god)');
+            expect(values(ps.query('mortal', '$Who'), 'Who')).toEqual(['socrates']);
+        });
+    });
+
+    describe("Tabling", () => {
+        beforeEach(() => {
+            ps.createReality("Tabling");
+            ps.consult(`
+                :- table ancestor/2.
+                parent(a, b).
+                parent(b, c).
+                parent(c, d).
+                ancestor(X, Z) :- ancestor(X, Y), parent(Y, Z).
+                ancestor(X, Y) :- parent(X, Y).
+
+                edge(1, 2).
+                edge(2, 3).
+                edge(3, 1).
+                path(X, Y) :- edge(X, Y).
+                path(X, Y) :- path(X, Z), edge(Z, Y).
+            `);
+        });
+
+        const values = (result, name) => [].concat(result || []).map(solution => solution.get(name)).sort();
+
+        test("left-recursive tabled predicates terminate with every answer", () => {
+            expect(values(ps.query('ancestor(a, X)'), 'X')).toEqual(['b', 'c', 'd']);
+            expect(values(ps.query('ancestor(X, d)'), 'X')).toEqual(['a', 'b', 'c']);
+        });
+
+        test("cyclic data terminates once tabled", () => {
+            expect(() => ps.query('path(1, X)')).toThrow('Maximum recursion depth exceeded');
+            ps.table('path/2');
+            expect(values(ps.query('path(1, X)'), 'X')).toEqual([1, 2, 3]);
+            expect(ps.query('path(3, 3)')).toBe(true);
+        });
+
+        test("mutually recursive tabled predicates share a fixpoint", () => {
+            ps.consult(`
+                :- table even/1, odd/1.
+                even(X) :- odd(X).
+                even(1).
+                odd(X) :- even(X).
+                odd(2).
+            `);
+            expect(values(ps.query('even(X)'), 'X')).toEqual([1, 2]);
+            expect(values(ps.query('odd(X)'), 'X')).toEqual([1, 2]);
+        });
+
+        test("tables are rebuilt after the database changes", () => {
+            expect(values(ps.query('ancestor(a, X)'), 'X')).toEqual(['b', 'c', 'd']);
+            ps.assertz('parent(d, e)');
+            expect(values(ps.query('ancestor(a, X)'), 'X')).toEqual(['b', 'c', 'd', 'e']);
+        });
+
+        test("arithmetic builtins bind within tabled calls", () => {
+            ps.consult(`
+                :- table dist/2.
+                step(1, 2).
+                step(2, 3).
+                dist(3, 0).
+                dist(X, D) :- step(X, Y), dist(Y, E), add(E, 1, D).
+                :- table scaled/2.
+                scaled(X, Y) :- multiply(X, 2, Z), add(Z, 1, Y).
+            `);
+            expect(ps.query('dist(1, D)').get('D').value).toBe(2);
+            expect(ps.query('scaled(3, Y)').get('Y').value).toBe(7);
+        });
+    });
+
+    describe("Indexed Facts", () => {
+        beforeEach(() => {
+            ps.createReality("Indexed");
+        });
+
+        const values = (result, name) => [].concat(result || []).map(solution => solution.get(name));
+
+        test("first-argument lookups keep clause order with variable heads", () => {
+            ps.consult(`
+                color(sky, blue).
+                color(X, grey) :- X = fog.
+                color(grass, green).
+                color(sky, black).
+            `);
+            expect(values(ps.query('color(sky, C)'), 'C')).toEqual(['blue', 'black']);
+            expect(values(ps.query('color(fog, C)'), 'C')).toEqual(['grey']);
+            ps.asserta('color(sky, white)');
+            ps.retract('color(sky, blue)');
+            expect(values(ps.query('color(sky, C)'), 'C')).toEqual(['white', 'black']);
+        });
+
+        test("isA and hasA facts are found by any bound argument", () => {
+            for (let i = 0; i < 5000; i++) {
+                ps.isA(`item${i}`, `kind${i % 100}`);
+                ps.hasA(`item${i}`, 'weight', i);
+            }
+            expect(ps.query('isA(item42, K)').get('K')).toBe('kind42');
+            expect(values(ps.query('isA(X, kind3)'), 'X')).toHaveLength(50);
+            expect(ps.query('hasA', 'item7', 'weight')).toBe(7);
+        });
+
+        test("hasA replaces the previous value of a property", () => {
+            ps.hasA('lamp', 'state', 'off');
+            ps.hasA('lamp', 'state', 'on');
+            expect(values(ps.query('hasA(lamp, state, S)'), 'S')).toEqual(['on']);
+        });
+    });
+
+    describe("Tracing", () => {
+        beforeEach(() => {
+            ps.createReality("Tracing");
+            ps.consult(`
+                parent(tom, bob).
+                parent(bob, ann).
+                grandparent(X, Z) :- parent(X, Y), parent(Y, Z).
+            `);
+        });
+
+        const ports = (events) => events.map(event => `${event.port} ${event.goal}`);
+
+        test("is silent by default", () => {
+            const log = console.log;
+            const lines = [];
+            console.log = (...args) => lines.push(args);
+            try {
+                ps.query('grandparent(tom, Who)');
+                ps.causes('rain', 'wetGrass', rain => rain ? 'wet' : 'dry');
+                ps.intervene('rain', true);
+            } finally {
+                console.log = log;
+            }
+            expect(lines).toEqual([]);
+        });
+
+        test("reports call, exit, redo and fail ports", () => {
+            const events = [];
+            ps.trace(event => events.push(event));
+            ps.query('parent(P, C)');
+            expect(ports(events)).toEqual([
+                'call parent($P, $C)',
+                'exit parent(tom, bob)',
+                'redo parent($P, $C)',
+                'exit parent(bob, ann)',
+                'fail parent($P, $C)'
+            ]);
+            expect(events[1].bindings).toEqual(new Map([['P', 'tom'], ['C', 'bob']]));
+            expect(events[1].depth).toBe(0);
+        });
+
+        test("spy points limit tracing to the given predicates", () => {
+            const events = [];
+            ps.trace(event => events.push(event));
+            ps.spy('grandparent/2');
+            ps.query('grandparent(tom, Who)');
+            expect(ports(events)).toEqual([
+                'call grandparent(tom, $Who)',
+                'exit grandparent(tom, ann)',
+                'fail grandparent(tom, $Who)'
+            ]);
+            ps.nospy('grandparent/2');
+            ps.query('grandparent(tom, Who)');
+            expect(events).toHaveLength(3);
+        });
+
+        test("formats events for interactive debugging", () => {
+            const events = [];
+            ps.trace(event => events.push(event));
+            ps.query('grandparent(tom, ann)');
+            expect(formatTraceEvent(events[0])).toBe('Call: (0) grandparent(tom, ann)');
+            expect(formatTraceEvent(events[2])).toBe(' Exit: (1) parent(tom, bob)');
+        });
+    });
+
+    describe("Explanations", () => {
+        beforeEach(() => {
+            ps.createReality("Explain");
+            ps.isA('socrates', 'human');
+            ps.hasA('human', 'mortality', true);
+            ps.addRule('mortal:$X', 'isA:$X:human', 'hasA:human:mortality:true');
+        });
+
+        test("proof tree lists the rule and facts used", () => {
+            const proof = ps.explain('mortal', 'socrates');
+            expect(JSON.parse(JSON.stringify(proof))).toEqual({
+                goal: 'mortal(socrates)',
+                type: 'rule',
+                rule: 'mortal($X) :- isA($X, human), hasA(human, mortality, true)',
+                children: [
+                    { goal: 'isA(socrates, human)', type: 'fact', children: [] },
+                    { goal: 'hasA(human, mortality, true)', type: 'fact', children: [] }
+                ]
+            });
+            expect(ps.explain('mortal', 'zeus')).toBeNull();
+        });
+
+        test("records semantic similarity hops", () => {
+            ps.addSemanticRelation('alive', 'living');
+            ps.addSemanticRelation('living', 'life');
+            ps.hasA('plant', 'alive', true);
+            ps.addRule('living:$X', 'hasA:$X:life:true');
+
+            const [fact] = ps.explain('living', 'plant').children;
+            expect(fact.fact).toBe('hasA(plant, alive, true)');
+            expect(fact.similarity).toEqual([['alive', 'living', 'life']]);
+        });
+
+        test("renders as indented text without failed branches", () => {
+            ps.consult(`
+                parent(tom, bob).
+                parent(bob, ann).
+                ancestor(X, Y) :- parent(X, Y).
+                ancestor(X, Z) :- parent(X, Y), ancestor(Y, Z).
+            `);
+            expect(ps.explain('ancestor(tom, ann)').toString()).toBe([
+                'ancestor(tom, ann)  [rule: ancestor($X, $Z) :- parent($X, $Y), ancestor($Y, $Z)]',
+                '  parent(tom, bob)  [fact]',
+                '  ancestor(bob, ann)  [rule: ancestor($X, $Y) :- parent($X, $Y)]',
+                '    parent(bob, ann)  [fact]'
+            ].join('\n'));
+        });
+
+        test("shows the values arithmetic builtins computed", () => {
+            ps.consult('sq(X, Y) :- multiply(X, X, Y).');
+            expect(ps.explain('sq(3, Y)').toString()).toBe([
+                'sq(3, 9)  [rule: sq($X, $Y) :- multiply($X, $X, $Y)]',
+                '  multiply(3, 3, 9)  [builtin]'
+            ].join('\n'));
+        });
+    });
+
+    describe("Query Limits", () => {
+        beforeEach(() => {
+            ps.createReality("Limits");
+            ps.consult(`
+                loop :- loop.
+                count(0).
+                count(1).
+                count(2).
+            `);
+        });
+
+        const limitOf = (run) => {
+            try {
+                run();
+            } catch (error) {
+                expect(error).toBeInstanceOf(QueryLimitError);
+                return error;
+            }
+            throw new Error('Expected a QueryLimitError');
+        };
+
+        test("solution limit keeps the solutions found so far", () => {
+            const error = limitOf(() => ps.queryWith({ maxSolutions: 2 }, 'count(X)'));
+            expect(error.limit).toBe('maxSolutions');
+            expect(error.solutions.map(solution => solution.get('X'))).toEqual([0, 1]);
+            expect(ps.queryWith({ maxSolutions: 3 }, 'count(X)')).toHaveLength(3);
+        });
+
+        test("inference and depth limits stop runaway rules", () => {
+            expect(limitOf(() => ps.queryWith({ maxInferences: 1000, maxDepth: 1e6 }, 'loop')).limit).toBe('maxInferences');
+            expect(limitOf(() => ps.query('loop')).limit).toBe('maxDepth');
+        });
+
+        test("timeout and abort signal end the query", () => {
+            const error = limitOf(() => ps.queryWith({ timeout: 20, maxDepth: Infinity }, 'loop'));
+            expect(error.limit).toBe('timeout');
+
+            const controller = new AbortController();
+            controller.abort();
+            expect(limitOf(() => ps.queryWith({ signal: controller.signal }, 'count(X)')).limit).toBe('signal');
+        });
+    });
+
+    describe("Finite Domain Constraints", () => {
+        beforeEach(() => {
+            ps.createReality("Puzzles");
+        });
+
+        test("propagates bounds before labeling", () => {
+            const result = ps.query('X in 1..5, X #> 3, fd_dom(X, D)');
+            expect(String(result.get('D'))).toBe('..(4, 5)');
+            expect(ps.query('X in 1..10, 2 * X #= 7')).toBe(false);
+            expect(ps.query('X #= Y + 1, Y = 3').get('X')).toBe(4);
+            expect(ps.query('[X, Y] ins 1..3, X * Y #= 6, _FD1 = foo, X #< Y, label([X, Y])').get('X')).toBe(2);
+        });
+
+        test("labels variables in the requested order", () => {
+            const pairs = ps.query('[X, Y] ins 1..12, X * Y #= 12, X #=< Y, label([X, Y])');
+            expect(pairs.map(s => [s.get('X'), s.get('Y')])).toEqual([[1, 12], [2, 6], [3, 4]]);
+            const down = ps.query('X in 1..3, labeling([down], [X])');
+            expect(down.map(s => s.get('X'))).toEqual([3, 2, 1]);
+        });
+
+        test("solves SEND + MORE = MONEY", () => {
+            const result = ps.query(`Vars = [S,E,N,D,M,O,R,Y], Vars ins 0..9, all_different(Vars),
+                S*1000 + E*100 + N*10 + D + M*1000 + O*100 + R*10 + E #= M*10000 + O*1000 + N*100 + E*10 + Y,
+                M #\\= 0, S #\\= 0, label(Vars)`);
+            expect(['S', 'E', 'N', 'D', 'M', 'O', 'R', 'Y'].map(name => result.get(name))).toEqual([9, 5, 6, 7, 1, 0, 8, 2]);
+        });
+
+        test("abs, min, max and mod constrain their results", () => {
+            expect(ps.query('X in -3..2, abs(X) #= 3').get('X')).toBe(-3);
+            expect(String(ps.query('X in -2..5, Y #= abs(X), fd_dom(Y, D)').get('D'))).toBe('..(0, 5)');
+            expect(ps.query('X in 4..9, Y in 1..3, Z #= min(X, Y) + max(X, Y), X #= 5, Y #= 2').get('Z')).toBe(7);
+            expect(String(ps.query('X in 0..20, Y #= X mod 4, fd_dom(Y, D)').get('D'))).toBe('..(0, 3)');
+            expect(ps.query('X #= 7 mod -2').get('X')).toBe(-1);
+        });
+
+        test("solves N-queens with abs", () => {
+            ps.consult(`
+                queens(N, Qs) :- length(Qs, N), Qs ins 1..N, safe(Qs), label(Qs).
+                safe([]).
+                safe([Q|Qs]) :- no_attack(Q, Qs, 1), safe(Qs).
+                no_attack(_, [], _).
+                no_attack(Q, [Q1|Qs], D) :- Q #\\= Q1, abs(Q - Q1) #\\= D, D1 is D + 1, no_attack(Q, Qs, D1).
+            `);
+            const boards = ps.query('queens(6, Qs)');
+            expect(boards.map(board => board.get('Qs'))).toEqual([[2, 4, 6, 1, 3, 5], [3, 6, 2, 5, 1, 4], [4, 1, 5, 2, 6, 3], [5, 3, 1, 6, 4, 2]]);
+        });
+
+        test("reifies constraints as 0..1 truth values", () => {
+            expect(ps.query('X in 0..9, B #<==> (X #> 3), X = 5').get('B')).toBe(1);
+            expect(ps.query('X in 0..2, B #<==> (X #> 3)').get('B')).toBe(0);
+            expect(ps.query('X in 0..9, B #<==> (X #= 4), B = 1').get('X')).toBe(4);
+            const count = ps.query('Xs = [A, B, C], Xs ins 0..1, (A #= 1) #\\/ (B #= 1), #\\ C, label(Xs)');
+            expect(count.map(solution => solution.get('Xs'))).toEqual([[0, 1, 0], [1, 0, 0], [1, 1, 0]]);
+            expect(ps.query('X in 1..3, (X #> 1) #==> (X #> 2), label([X])').map(s => s.get('X'))).toEqual([1, 3]);
+            expect(ps.query('X in 1..3, (X #= 1) #/\\ (X #= 2)')).toBe(false);
+        });
+
+        test("labeling with min and max options orders solutions by an expression", () => {
+            const pairs = ps.query('[X, Y] ins 1..3, X #\\= Y, labeling([max(X + Y)], [X, Y])');
+            expect(pairs.map(s => [s.get('X'), s.get('Y')])).toEqual([[2, 3], [3, 2], [1, 3], [3, 1], [1, 2], [2, 1]]);
+            expect(ps.query('X in 1..5, labeling([min(abs(X - 3))], [X])').map(s => s.get('X'))).toEqual([3, 2, 4, 1, 5]);
+        });
+
+        test("labeling an unbounded variable is an instantiation error", () => {
+            expect(() => ps.query('X #> 0, label([X])')).toThrow(/Instantiation error/);
+        });
+    });
+
+    describe("Equation Solving", () => {
+        beforeEach(() => {
+            ps.createReality("Numeric");
+        });
+
+        test("finds every real root of one equation", () => {
+            const roots = ps.solveEquation('X ^ 2 = 2');
+            expect(roots.map(root => root.get('X'))).toEqual([
+                expect.closeTo(-Math.SQRT2, 9), expect.closeTo(Math.SQRT2, 9)
+            ]);
+            expect(roots[0].tolerance).toBeLessThan(1e-8);
+            expect(roots[0].residual).toBeLessThan(1e-8);
+
+            const touching = ps.solveEquation('(X - 3.31) ^ 2', 'X', { min: 0, max: 10 });
+            expect(touching.map(root => root.get('X'))).toEqual([expect.closeTo(3.31, 6)]);
+            expect(ps.solveEquation('1 / X', 'X', { min: -1, max: 1 })).toEqual([]);
+        });
+
+        test("finds roots closer together than the sample grid", () => {
+            const cubic = ps.solveEquation('X ^ 3 - 6 * X ^ 2 + 11 * X - 6 = 0');
+            expect(cubic.map(root => root.get('X'))).toEqual([
+                expect.closeTo(1, 9), expect.closeTo(2, 9), expect.closeTo(3, 9)
+            ]);
+            const close = ps.solveEquation('(X - 0.1) * (X - 0.15) * (X - 4)');
+            expect(close.map(root => root.get('X'))).toEqual([
+                expect.closeTo(0.1, 9), expect.closeTo(0.15, 9), expect.closeTo(4, 9)
+            ]);
+        });
+
+        test("solves systems in several variables", () => {
+            const solutions = ps.solveEquation(['X ^ 2 + Y ^ 2 = 4', 'Y = X'], ['X', 'Y'], { min: -5, max: 5 });
+            expect(solutions).toHaveLength(2);
+            expect(solutions[1].get('X')).toBeCloseTo(Math.SQRT2, 9);
+            expect(solutions[1].get('Y')).toBeCloseTo(Math.SQRT2, 9);
+            expect(() => ps.solveEquation('X * Y = 6', ['X', 'Y'])).toThrow('continuum of solutions');
+        });
+
+        test("accepts residual functions and feeds query bindings", () => {
+            const [root] = ps.solveEquation(context => context.bindings.get('X') * 3 - 10, 'X');
+            expect(root.get('X')).toBeCloseTo(10 / 3, 9);
+
+            ps.consult('double(X, Y) :- Y = twice(X).');
+            const result = ps.queryWith({ bindings: root }, 'double(X, Y)');
+            expect(String(result.get('Y'))).toBe(`twice(${root.get('X')})`);
+        });
+    });
+
+    describe("Symbolic Algebra", () => {
+        beforeEach(() => {
+            ps.createReality("Algebra");
+        });
+
+        test("simplifies, expands and substitutes", () => {
+            expect(String(ps.simplify('X + X + 2 * Y - Y + 3 * 4'))).toBe('2 * X + Y + 12');
+            expect(String(ps.simplify('(X + 1) * (X + 1)'))).toBe('(X + 1) ** 2');
+            expect(String(ps.expand('(X + 1) ^ 3'))).toBe('X ** 3 + 3 * X ** 2 + 3 * X + 1');
+            expect(ps.substitute('X ^ 2 + Y', { X: 3, Y: 1 })).toBe(10);
+            expect(String(ps.substitute('X ^ 2 + Y', { X: 'Z + 1' }))).toBe('(Z + 1) ** 2 + Y');
+        });
+
+        test("differentiates", () => {
+            expect(String(ps.differentiate('X ^ 3 + 2 * X + sin(X)', 'X'))).toBe('3 * X ** 2 + cos(X) + 2');
+            expect(String(ps.differentiate('X * Y', '$Y'))).toBe('X');
+        });
+
+        test("isolates a variable in linear and polynomial equations", () => {
+            expect(ps.isolate('X ^ 2 - 5 * X + 6 = 0', 'X')).toEqual([2, 3]);
+            expect(ps.isolate('X ^ 2 = K', 'X').map(String)).toEqual(['-sqrt(K)', 'sqrt(K)']);
+            expect(() => ps.isolate('sin(X) = 1', 'X')).toThrow(/appears inside sin\(X\)/);
+        });
+
+        test("gives closed forms for the expressions built by add", () => {
+            const sum = ps.query('add', '$X', '$Y', '$Z').get('Z');
+            expect(String(sum)).toBe('X + Y');
+            expect(ps.isolate([sum, 10], 'Y').map(String)).toEqual(['-X + 10']);
+            expect(ps.substitute(sum, { X: 3, Y: 4 })).toBe(7);
+        });
+    });
+
+    describe("Mode-Aware Arithmetic", () => {
+        beforeEach(() => {
+            ps.createReality("Modes");
+        });
+
+        test("solves for any one unbound argument", () => {
+            expect(ps.query('multiply', '$X', 4, 20).get('X').value).toBe(5);
+            expect(ps.query('divide', '$D', 2, 7).get('D').value).toBe(14);
+            expect(ps.query('computeSqrt', '$S', 3).get('S').value).toBe(9);
+            expect(ps.query('subtract', 10, '$Y', 4).get('Y').value).toBe(6);
+            expect(ps.query('multiply', '$Z', 0, 5)).toBe(false);
+        });
+
+        test("each query starts without the bindings of the previous one", () => {
+            expect(ps.query('add', 1, 2, '$Z').get('Z').value).toBe(3);
+            expect(ps.query('add', 5, 5, '$Z').get('Z').value).toBe(10);
+            expect(ps.query('multiply', '$Z', 2, 8).get('Z').value).toBe(4);
+        });
+
+        test("works inside rules", () => {
+            ps.consult('area(W, H, A) :- multiply(W, H, A).');
+            expect(ps.query('area(W, 5, 30)').get('W').value).toBe(6);
+        });
+
+        test("raises instantiation errors for unsolvable modes", () => {
+            expect(() => ps.query('computeSum', '$X', '$Y', 3)).toThrow('Instantiation error: computeSum/3 needs all but one argument bound');
+            expect(() => ps.query('mod', '$M', 3, 1)).toThrow('Instantiation error: mod/3 does not determine M');
+            expect(() => ps.query('computeSquare', '$Q', 9)).toThrow(/Instantiation error/);
+            expect(() => ps.query('computeGreaterThan', '$X', 3)).toThrow('Instantiation error: computeGreaterThan/2 needs X bound');
+        });
+    });
+
+    describe("Constrained Variables", () => {
+        beforeEach(() => {
+            ps.createReality("Constrained");
+            ps.switchReality("Constrained");
+        });
+
+        test("addConstraint filters the bindings of later queries", () => {
+            ps.consult('p(3). p(7). p(9).');
+            expect(ps.addConstraint('X', '>', 5)).toBe(true);
+            expect(ps.query('p(X)').map(solution => solution.get('X'))).toEqual([7, 9]);
+            expect(ps.unify('$X', 3)).toBe(false);
+            expect(ps.unify('$X', 8)).toBe(true);
+        });
+
+        test("removeConstraint lifts constraints from later queries", () => {
+            ps.consult('p(3). p(7). p(9).');
+            ps.addConstraint('X', '>', 5);
+            ps.addConstraint('X', '<', 9);
+            expect(ps.query('p(X)').get('X')).toBe(7);
+            expect(ps.removeConstraint('X', '<', 9)).toBe(1);
+            expect(ps.unify('$X', 9)).toBe(true);
+            expect(ps.query('p(X)').map(solution => solution.get('X'))).toEqual([7, 9]);
+            expect(ps.removeConstraint('X')).toBe(1);
+            expect(ps.query('p(X)').map(solution => solution.get('X'))).toEqual([3, 7, 9]);
+            expect(ps.removeConstraint('X')).toBe(0);
+        });
+
+        test("Variable handles enforce their constraints through context unification", () => {
+            const context = new UnificationContext();
+            const n = new Variable('N').constrainRange(1, 10);
+            expect(n.bind(42, context)).toBe(false);
+            expect(n.isBound(context)).toBe(false);
+            expect(n.bind(4, context)).toBe(true);
+            expect(n.getValue(context)).toBe(4);
+        });
+
+        test("aliased variables share constraints and backtracking removes bindings", () => {
+            const context = new UnificationContext();
+            expect(new Variable('A').constrainToNumber().attach(context)).toBe(true);
+            const mark = context.mark();
+            expect(context.unify('$A', '$B')).toBe(true);
+            expect(context.unify('$B', 'text')).toBe(false);
+            expect(context.unify('$B', 2)).toBe(true);
+            expect(context.resolve('$A')).toBe(2);
+            context.undo(mark);
+            expect(context.isVariable(context.deref('$A'))).toBe(true);
+        });
+    });
+
+    describe("Built-in Library", () => {
+        beforeEach(() => {
+            ps.createReality("Library");
+            ps.switchReality("Library");
+            ps.consult(`
+                age(peter, 7). age(ann, 11). age(pat, 8). age(tom, 5). age(mike, 11).
+                pick(X) :- member(X, [a, b, c]), X \\= b.
+                pairs(L) :- findall(X-Y, (between(1, 2, X), member(Y, [a, b])), L).
+            `);
+        });
+
+        test("findall, bagof and setof collect solutions", () => {
+            expect(ps.query('findall(N, age(N, _), L)').get('L')).toEqual(['peter', 'ann', 'pat', 'tom', 'mike']);
+            const bags = ps.query('bagof(N, age(N, A), L)');
+            expect(bags.map(bag => [bag.get('A'), bag.get('L')])).toEqual([
+                [5, ['tom']], [7, ['peter']], [8, ['pat']], [11, ['ann', 'mike']]
+            ]);
+            expect(ps.query('setof(N, A^age(N, A), L)').get('L')).toEqual(['ann', 'mike', 'pat', 'peter', 'tom']);
+            expect(ps.query('bagof(X, member(X, []), L)')).toBe(false);
+            expect(ps.query('findall(X, member(X, []), L)').get('L')).toEqual([]);
+        });
+
+        test("variables made by library goals never clash with the user's", () => {
+            const result = ps.query('length(L, 1), _L1 = foo');
+            expect(result.get('_L1')).toBe('foo');
+            expect(ps.query('length(L, 1), _L1 = foo, L == [foo]')).toBe(false);
+        });
+
+        test("collected goals can compute with arithmetic builtins", () => {
+            const values = (list) => list.map(item => item.value);
+            expect(values(ps.query('findall(Y, (age(_, A), multiply(A, 10, Y)), L)').get('L'))).toEqual([70, 110, 80, 50, 110]);
+            const bags = ps.query('bagof(Y, (age(N, A), add(A, 1, Y)), L)');
+            expect(bags.find(bag => bag.get('A') === 11).get('L').map(item => item.value)).toEqual([12]);
+            expect(values(ps.query('setof(Y, N^A^(age(N, A), multiply(A, 2, Y)), L)').get('L'))).toEqual([10, 14, 16, 22]);
+        });
+
+        test("arithmetic evaluation and comparison", () => {
+            expect(ps.query('X is 7 // 2 + 2 ** 3').get('X')).toBe(11);
+            expect(ps.query('age(N, A), A >= 10, A =:= 11').map(solution => solution.get('N'))).toEqual(['ann', 'mike']);
+            expect(ps.query('age(N, A), A * 2 < 12').get('N')).toBe('tom');
+            expect(ps.query('1 + 1 =\\= 2')).toBe(false);
+            expect(() => ps.query('X is Y + 1')).toThrow('Instantiation error');
+            ps.consult('older(X, Y) :- age(X, A), age(Y, B), A > B.');
+            expect(ps.query('older(ann, Y)').map(solution => solution.get('Y'))).toEqual(['peter', 'pat', 'tom']);
+        });
+
+        test("term comparison and construction", () => {
+            expect(ps.query('f(a, b) == f(a, b)')).toBe(true);
+            expect(ps.query('f(a, X) == f(a, b)')).toBe(false);
+            expect(ps.query('f(a, b) \\== f(a, c)')).toBe(true);
+            expect(ps.query('1 @< a, a @< f(x), g(a) @> f(a, b)')).toBe(false);
+            expect(ps.query('f(a) @=< f(b), b @>= a')).toBe(true);
+            expect(ps.query('point(1, 2) =.. L').get('L')).toEqual(['point', 1, 2]);
+            expect(String(ps.query('T =.. [point, 3, 4]').get('T'))).toBe('point(3, 4)');
+            expect(ps.query('T =.. [abc]').get('T')).toBe('abc');
+        });
+
+        test("enumerating predicates backtrack inside rule bodies", () => {
+            expect(ps.query('pick(X)').map(solution => solution.get('X'))).toEqual(['a', 'c']);
+            expect(ps.query('pairs(L)').get('L').map(String)).toEqual(['-(1, a)', '-(1, b)', '-(2, a)', '-(2, b)']);
+            expect(ps.query('between(1, 3, X), member(X, [2, 3, 4])').map(solution => solution.get('X'))).toEqual([2, 3]);
+            expect(ps.query('nth1(I, [a, b, c], c)').get('I')).toBe(3);
+            expect(ps.query('nth0(1, [a, b, c], E)').get('E')).toBe('b');
+            expect(ps.query('length(L, 2)').get('L')).toHaveLength(2);
+            expect(ps.query('length([a, b, c], N)').get('N')).toBe(3);
+        });
+
+        test("list utilities", () => {
+            expect(ps.query('reverse([1, 2, 3], R)').get('R')).toEqual([3, 2, 1]);
+            expect(ps.query('msort([b, 2, a, 1, 2], S)').get('S')).toEqual([1, 2, 2, 'a', 'b']);
+            expect(ps.query('sum_list([1, 2, 3.5], S)').get('S')).toBe(6.5);
+            expect(ps.query('last([1, 2, 3], X)').get('X')).toBe(3);
+            expect(() => ps.query('between(1, X, 3)')).toThrow('Instantiation error: between/3 needs X bound');
+        });
+    });
+
+    describe("Atoms and Strings", () => {
+        beforeEach(() => {
+            ps.createReality("Text");
+            ps.switchReality("Text");
+        });
+
+        test("atom_concat and sub_atom enumerate when the parts are unknown", () => {
+            const splits = ps.query('atom_concat(X, Y, abc)');
+            expect(splits.map(split => [split.get('X'), split.get('Y')])).toEqual([['', 'abc'], ['a', 'bc'], ['ab', 'c'], ['abc', '']]);
+            expect(ps.query("atom_concat(hello, ' world', X)").get('X')).toBe('hello world');
+            const found = ps.query('sub_atom(banana, B, 2, A, an)');
+            expect(found.map(match => match.get('B'))).toEqual([1, 3]);
+            expect(ps.query('atom_length(hello, N)').get('N')).toBe(5);
+        });
+
+        test("conversions, splitting and case", () => {
+            expect(ps.query('split_string("a,b,,c d", ",", " ", P)').get('P')).toEqual(['a', 'b', '', 'c d']);
+            expect(ps.query("upcase_atom('hello World', U)").get('U')).toBe('HELLO WORLD');
+            expect(ps.query('number_codes(N, [52, 50])').get('N')).toBe(42);
+            expect(ps.query('atom_chars(hi, C)').get('C')).toEqual(['h', 'i']);
+            expect(ps.query('atom_number(foo, N)')).toBe(false);
+            expect(() => ps.query('number_codes(N, [97])')).toThrow('Syntax error: a is not a number');
+        });
+
+        test("double-quoted text stands for a code or character list", () => {
+            expect(ps.query('number_codes(N, "42")').get('N')).toBe(42);
+            expect(ps.query('atom_codes(A, "hi")').get('A')).toBe('hi');
+            expect(ps.query('atom_codes(hi, "hi")')).toBe(true);
+            expect(ps.query('atom_chars(A, "ok")').get('A')).toBe('ok');
+            expect(ps.query('number_chars(3, "3")')).toBe(true);
+        });
+
+        test("quoted text starting with $ is never a variable", () => {
+            const bound = ps.query("X = '$Y', Y = 3");
+            expect(String(bound.get('X'))).toBe('$Y');
+            expect(bound.get('Y')).toBe(3);
+            expect(ps.query("atom_length('$abc', N)").get('N')).toBe(4);
+            expect(ps.query('atom_codes(A, "$100"), atom_length(A, N)').get('N')).toBe(4);
+            expect(String(ps.query("atom_concat('$', abc, A), A == '$abc'").get('A'))).toBe('$abc');
+            expect(ps.query("'$a' = '$b'")).toBe(false);
+        });
+
+        test("format writes exponents and aligns columns", () => {
+            const formatted = (template, args) => ps.query(`format(atom(A), '${template}', [${args}])`).get('A');
+            expect(formatted('~e', '150.0')).toBe('1.500000e+02');
+            expect(formatted('~2e', '0.000123')).toBe('1.23e-04');
+            expect(formatted('~w~t~8|~w', 'ab, cd')).toBe('ab      cd');
+            expect(formatted('~t~w~6|', 'ab')).toBe('    ab');
+            expect(formatted('~t~w~t~7|', 'mid')).toBe('  mid  ');
+            expect(formatted('~w~t~4+~w~t~4+~w', 'a, b, c')).toBe('a   b   c');
+            expect(formatted('~`-t~5|', '')).toBe('-----');
+            expect(formatted('~w~3|~w', 'toolong, x')).toBe('toolongx');
+        });
+
+        test("format and regular expressions work in rule bodies", () => {
+            ps.addRule('label($Item, $Count, $Label)', "format(atom($Label), '~w x~d', [$Item, $Count])");
+            expect(ps.query('label(apple, 3, L)').get('L')).toBe('apple x3');
+            expect(ps.query("format(atom(A), '~2f', [9.5])").get('A')).toBe('9.50');
+            expect(ps.query('re_matchsub("(\\\\d+)-(\\\\d+)", "tel 12-34", M)').get('M')).toEqual(['12-34', '12', '34']);
+            expect(ps.query('re_replace("o"/g, "0", foo, R)').get('R')).toBe('f00');
+            expect(ps.query('re_match("^A"/i, abc)')).toBe(true);
+        });
+    });
+
+    describe("Weighted Semantic Relations", () => {
+        beforeEach(() => {
+            ps.createReality("Semantics");
+            ps.switchReality("Semantics");
+            ps.addSemanticRelation('alive', 'living');
+            ps.addSemanticRelation('living', 'life', { weight: 0.9 });
+            ps.addSemanticRelation('dog', 'animal', { type: 'hypernym' });
+            ps.addSemanticRelation('hot', 'cold', { type: 'antonym' });
+        });
+
+        test("chain scores decay with each hop and respect the threshold", () => {
+            expect(ps.semanticSimilarity('alive', 'living')).toBe(1);
+            expect(ps.semanticSimilarity('alive', 'life')).toBeCloseTo(0.72);
+            expect(ps.semanticPath('alive', 'life')).toEqual(['alive', 'living', 'life']);
+            expect(ps.areSemanticallySimilar('alive', 'life')).toBe(true);
+            expect(ps.areSemanticallySimilar('alive', 'life', { threshold: 0.8 })).toBe(false);
+        });
+
+        test("relation types are kept apart", () => {
+            expect(ps.semanticRelations.match('animal', 'dog').types).toEqual(['hyponym']);
+            expect(ps.areSemanticallySimilar('dog', 'animal', { types: ['synonym'] })).toBe(false);
+            expect(ps.areSemanticallySimilar('hot', 'cold')).toBe(false);
+            expect(ps.query('semanticRelation(hot, T, cold, W)').get('T')).toBe('antonym');
+            expect(() => ps.addSemanticRelation('a', 'b', { weight: 2 })).toThrow('Domain error');
+        });
+
+        test("rules can require a minimum similarity", () => {
+            ps.consult('close(A, B) :- similarity(A, B, S), greater(S, 0.75).');
+            expect(ps.query('close(alive, X)').map(solution => solution.get('X'))).toEqual(['alive', 'living']);
+            expect(ps.query('similarity(alive, life, S)').get('S')).toBeCloseTo(0.72);
+        });
+    });
+
+    describe("Property Inheritance", () => {
+        beforeEach(() => {
+            ps.createReality("Inheritance");
+            ps.switchReality("Inheritance");
+            ps.isA('socrates', 'human');
+            ps.isA('human', 'mammal');
+            ps.hasA('human', 'mortality', true);
+            ps.hasA('mammal', 'blood', 'warm');
+            ps.isA('tweety', 'bird');
+            ps.isA('pingu', 'penguin');
+            ps.isA('penguin', 'bird');
+            ps.hasA('bird', 'canFly', true);
+            ps.hasA('penguin', 'canFly', false);
+        });
+
+        test("hasA inherits along isA chains", () => {
+            ps.addRule('mortal:$X', 'hasA:$X:mortality:true');
+            expect(ps.infer('mortal', 'socrates')).toBe(true);
+            expect(ps.query('hasA(socrates, blood, V)').get('V')).toBe('warm');
+            expect(ps.query('hasA', 'socrates', 'blood')).toBe('warm');
+            expect(ps.explain('mortal(socrates)').children[0].inheritedFrom).toBe('human');
+        });
+
+        test("specific facts override inherited defaults", () => {
+            expect(ps.query('hasA(pingu, canFly, V)').get('V')).toBe(false);
+            expect(ps.query('hasA(tweety, canFly, V)').get('V')).toBe(true);
+            expect(ps.query('hasA(X, canFly, true)').map(solution => solution.get('X'))).toEqual(['bird', 'tweety']);
+        });
+
+        test("reports the ancestor that supplied a value", () => {
+            expect(ps.query('hasA(pingu, canFly, V, From)').get('From')).toBe('penguin');
+            expect(ps.propertyOf('socrates', 'blood')).toEqual({ value: 'warm', source: 'mammal' });
+            expect(ps.lineage('pingu')).toEqual(['pingu', 'penguin', 'bird']);
+            expect(ps.propertyOf('socrates', 'wings')).toBe(null);
+        });
+    });
+
+    describe("Reality-Scoped Knowledge", () => {
+        beforeEach(() => {
+            ps.shared(() => {
+                ps.isA('socrates', 'human');
+                ps.hasA('human', 'mortality', true);
+                ps.addRule('mortal:$X', 'hasA:$X:mortality:true');
+                ps.assertz('likes(socrates, wine)');
+            });
+            ps.createReality("History");
+            ps.createReality("Mythology");
+        });
+
+        test("the same query answers differently per reality", () => {
+            ps.switchReality("Mythology");
+            ps.hasA('socrates', 'mortality', false);
+            expect(ps.query('mortal', 'socrates')).toBe(false);
+            ps.switchReality("History");
+            expect(ps.query('mortal', 'socrates')).toBe(true);
+            expect(ps.propertyOf('socrates', 'mortality')).toEqual({ value: true, source: 'human' });
+        });
+
+        test("knowledge added in a reality stays there", () => {
+            ps.switchReality("Mythology");
+            ps.isA('zeus', 'god');
+            ps.addSemanticRelation('god', 'deity');
+            expect(ps.query('isA', 'zeus', 'god')).toBe(true);
+            ps.switchReality("History");
+            expect(ps.query('isA', 'zeus', 'god')).toBe(false);
+            expect(ps.areSemanticallySimilar('god', 'deity')).toBe(false);
+            expect(ps.shared(() => ps.lineage('zeus'))).toEqual(['zeus']);
+        });
+
+        test("retracting shared clauses hides them in one reality only", () => {
+            ps.switchReality("Mythology");
+            expect(ps.retract('likes(socrates, wine)')).toBe(true);
+            expect(ps.query('likes(socrates, X)')).toBe(false);
+            ps.abolish('mortal/1');
+            ps.addRule('mortal:$X', 'isA:$X:human');
+            expect(ps.rules.clauses('mortal', 1)).toHaveLength(1);
+            ps.switchReality("History");
+            expect(ps.query('likes(socrates, X)').get('X')).toBe('wine');
+            expect(ps.rules.clauses('mortal', 1)[0].body.toString()).toContain('hasA');
+        });
+
+        test("a reality knows which predicates it has clauses for", () => {
+            ps.switchReality("Mythology");
+            expect(ps.rules.hasFunctor('likes')).toBe(true);
+            ps.retract('likes(socrates, wine)');
+            expect(ps.rules.hasFunctor('likes')).toBe(false);
+            ps.assertz('likes(zeus, nectar, always)');
+            expect(ps.rules.hasFunctor('likes')).toBe(true);
+            ps.abolish('likes/3');
+            ps.abolish('mortal/1');
+            expect(ps.rules.hasFunctor('likes')).toBe(false);
+            expect(ps.rules.hasFunctor('mortal')).toBe(false);
+            ps.switchReality("History");
+            expect(ps.rules.hasFunctor('likes')).toBe(true);
+            expect(ps.rules.hasFunctor('mortal')).toBe(true);
+            ps.shared(() => ps.abolish('mortal/1'));
+            expect(ps.rules.hasFunctor('mortal')).toBe(false);
+        });
+
+        test("semantic options set in a reality stay there", () => {
+            ps.shared(() => ps.addSemanticRelation('alive', 'living', { weight: 0.6 }));
+            ps.switchReality("Mythology");
+            ps.semanticRelations.options.threshold = 0.9;
+            expect(ps.areSemanticallySimilar('alive', 'living')).toBe(false);
+            ps.switchReality("History");
+            expect(ps.semanticRelations.options.threshold).toBe(0.5);
+            expect(ps.areSemanticallySimilar('alive', 'living')).toBe(true);
+            ps.shared(() => { ps.semanticRelations.options.decay = 0.5; });
+            expect(ps.semanticRelations.options.decay).toBe(0.5);
+            ps.switchReality("Mythology");
+            expect(ps.semanticRelations.options.decay).toBe(0.5);
+        });
+    });
+
+    describe("Forking Realities", () => {
+        let world;
+
+        beforeEach(() => {
+            world = ps.createReality("World");
+            ps.switchReality("World");
+            ps.isA('socrates', 'human');
+            world.setState('population', 100);
+            world.addTemporalRule('growth', t => t, state => ({ population: state.get('population') + 10 }));
+            ps.simulate(3);
+        });
+
+        test("a fork starts from the source's current state", () => {
+            const fork = ps.forkReality("Copy", "World");
+            expect(fork.currentTime).toBe(3);
+            expect(fork.getState('population')).toBe(140);
+            expect(fork.history).toHaveLength(4);
+            ps.switchReality("Copy");
+            expect(ps.query('isA', 'socrates', 'human')).toBe(true);
+        });
+
+        test("a fork can start from an earlier time", () => {
+            const fork = ps.forkReality("Past", "World", { atTime: 1 });
+            expect(fork.currentTime).toBe(1);
+            expect(fork.getState('population')).toBe(120);
+            expect(fork.getHistory().map(entry => entry.time)).toEqual([0, 1]);
+            expect(() => ps.forkReality("Never", "World", { atTime: 7 })).toThrow('Domain error');
+        });
+
+        test("forking again without changes keeps the layer depth", () => {
+            const depth = (layer) => layer.base ? 1 + depth(layer.base) : 0;
+            ps.forkReality("First", "World");
+            const layers = depth(world.knowledgeBase);
+            for (const name of ["Second", "Third", "Fourth"]) {
+                expect(depth(ps.forkReality(name, "World").knowledgeBase)).toBe(layers);
+            }
+            expect(depth(world.knowledgeBase)).toBe(layers);
+            expect(depth(world.clauses)).toBe(1);
+            ps.isA('plato', 'human');
+            ps.forkReality("Fifth", "World");
+            expect(depth(world.knowledgeBase)).toBe(layers + 1);
+            ps.switchReality("Fifth");
+            expect(ps.query('isA', 'plato', 'human')).toBe(true);
+        });
+
+        test("forks evolve independently", () => {
+            const fork = ps.forkReality("Branch", "World");
+            fork.setState('population', 0);
+            ps.switchReality("Branch");
+            ps.isA('plato', 'human');
+            ps.switchReality("World");
+            ps.isA('aristotle', 'human');
+            expect(world.getState('population')).toBe(140);
+            expect(ps.query('isA', 'plato', 'human')).toBe(false);
+            ps.switchReality("Branch");
+            expect(ps.query('isA', 'aristotle', 'human')).toBe(false);
+            expect(ps.query('isA', 'plato', 'human')).toBe(true);
+        });
+    });
+
+    describe("Diffing Realities", () => {
+        let world;
+
+        beforeEach(() => {
+            world = ps.createReality("World");
+            ps.switchReality("World");
+            ps.isA('socrates', 'human');
+            world.setState('population', 100);
+            world.addTemporalRule('growth', t => t, state => ({ population: state.get('population') + 10 }));
+            ps.createAgent('alice', {}).updateState({ mood: 'calm' });
+            ps.simulate(3);
+        });
+
+        test("reports added, removed and changed entries", () => {
+            const fork = ps.forkReality("Fork", "World");
+            ps.switchReality("Fork");
+            ps.isA('plato', 'human');
+            fork.setState('population', 0);
+            fork.setState('climate', 'cold');
+            fork.getAgent('alice').updateState({ mood: 'angry' });
+            world.causalModel.intervene('rain', 'yes');
+
+            const diff = ps.diffRealities("World", "Fork");
+            expect(diff.facts.added).toEqual({ 'isA(plato, human)': true });
+            expect(diff.state.added).toEqual({ climate: 'cold' });
+            expect(diff.state.changed).toEqual({ population: { from: 140, to: 0 } });
+            expect(diff.interventions.removed).toEqual({ rain: 'yes' });
+            expect(diff.agents.changed['alice.mood']).toEqual({ from: 'calm', to: 'angry' });
+            expect(diff.history.firstDivergence).toBe(null);
+        });
+
+        test("compares consulted facts and property values", () => {
+            ps.hasA('socrates', 'age', 70);
+            ps.consult('teacher(socrates, plato).');
+            ps.forkReality("Fork", "World");
+            ps.switchReality("Fork");
+            ps.hasA('socrates', 'age', 71);
+            ps.retract('teacher(socrates, plato)');
+            ps.assertz('teacher(plato, aristotle)');
+
+            const diff = ps.diffRealities("World", "Fork");
+            expect(diff.facts.changed).toEqual({ 'hasA(socrates, age)': { from: 70, to: 71 } });
+            expect(diff.facts.added).toEqual({ 'teacher(plato, aristotle)': true });
+            expect(diff.facts.removed).toEqual({ 'teacher(socrates, plato)': true });
+            expect(diff.toString()).toContain('~ hasA(socrates, age): 70 -> 71');
+        });
+
+        test("finds where histories diverge", () => {
+            const fork = ps.forkReality("Fork", "World", { atTime: 1 });
+            fork.addTemporalRule('growth', t => t, state => ({ population: state.get('population') + 20 }));
+            fork.evolve(4);
+            world.evolve(1);
+
+            const { history } = ps.diffRealities("World", "Fork");
+            expect(history.firstDivergence).toBe(1);
+            expect(history.keys.population.firstDivergence).toBe(1);
+            expect(history.keys.population.steps[0]).toEqual({ time: 1, from: 120, to: 140 });
+            expect(history.times.added).toEqual([5]);
+        });
+
+        test("serializes to JSON and renders a text report", () => {
+            ps.forkReality("Fork", "World").setState('population', 0);
+            const diff = ps.diffRealities("World", "Fork");
+            expect(JSON.parse(JSON.stringify(diff)).state.changed.population.to).toBe(0);
+            expect(diff.toString()).toBe('Differences from World to Fork\nstate\n  ~ population: 140 -> 0');
+            expect(String(ps.diffRealities("World", "World"))).toBe('No differences between World and World');
+            expect(() => ps.diffRealities("World", "Nowhere")).toThrow('Reality Nowhere not found');
+        });
+    });
+
+    describe("Saving and Loading Sessions", () => {
+        const fn = PrologScript.registerFunction;
+        const reload = (session) => PrologScript.load(JSON.parse(JSON.stringify(session.save())));
+
+        beforeEach(() => {
+            ps.shared(() => {
+                ps.isA('socrates', 'human');
+                ps.hasA('human', 'mortality', true);
+                ps.addRule('mortal:$X', 'hasA:$X:mortality:true');
+                ps.addSemanticRelation('human', 'person');
+            });
+            ps.createReality("World");
+            ps.switchReality("World");
+        });
+
+        test("round-trips realities, their knowledge and histories", () => {
+            const world = ps.realities.get("World");
+            world.setState('population', 100);
+            world.addTemporalRule('growth', fn('identity', t => t), fn('grow', state => ({ population: state.get('population') + 10 })));
+            ps.simulate(2);
+            ps.forkReality("Myth", "World");
+            ps.switchReality("Myth");
+            ps.hasA('socrates', 'mortality', false);
+
+            const copy = reload(ps);
+            expect(copy.activeReality.name).toBe("Myth");
+            expect(copy.query('mortal', 'socrates')).toBe(false);
+            expect(copy.areSemanticallySimilar('human', 'person')).toBe(true);
+            copy.switchReality("World");
+            expect(copy.query('mortal', 'socrates')).toBe(true);
+            const restored = copy.realities.get("World");
+            expect(restored.history.map(entry => entry.state.get('population'))).toEqual([110, 120, 130]);
+            restored.evolve(1);
+            expect(restored.getState('population')).toBe(140);
+            copy.shared(() => copy.isA('plato', 'human'));
+            copy.switchReality("Myth");
+            expect(copy.query('isA', 'plato', 'human')).toBe(true);
+        });
+
+        test("restores agents, causal rules and universal laws by registered name", () => {
+            const world = ps.realities.get("World");
+            const always = fn('always', () => true);
+            world.addCausalRule('rain', 'wet', always, fn('wetness', state => state === 'yes' ? 'wet' : 'dry'));
+            ps.createAgent('alice', { type: 'rule-based', rules: [{ condition: fn('hungry', () => true), action: 'eat' }] });
+            ps.addUniversalLaw('gravity', always, fn('earth', mass => mass * 9.8));
+            ps.overrideUniversalLaw('gravity', fn('moon', mass => mass * 1.6));
+
+            const copy = reload(ps);
+            const restored = copy.realities.get("World");
+            expect(restored.getAgent('alice').strategy.rules.get('rule_1').action).toBe('eat');
+            expect(restored.causalModel.intervene('rain', 'yes')).toBe('yes');
+            expect(restored.causalModel.getState('wet')).toBe('wet');
+            expect(copy.gravity(10)).toBe(16);
+        });
+
+        test("restores math rules and query variable constraints", () => {
+            ps.addMathRule('adult:$X', fn('isAdult', context => context.bindings.get('X').profile.age >= 18));
+            ps.addConstraint('$N', '>', 3);
+
+            const copy = reload(ps);
+            expect(copy.query('adult', 'tom')).toBe(false);
+            expect(copy.query('add', 1, 2, '$N')).toBe(false);
+            expect(copy.query('add', 2, 2, '$N').get('N').value).toBe(4);
+        });
+
+        test("functions have to be registered", () => {
+            ps.addRule('lucky:$X', () => true);
+            expect(() => ps.save()).toThrow('Existence error');
+            const snapshot = JSON.parse(JSON.stringify(new PrologScript().save()));
+            snapshot.predicates.push(['mystery', { $function: 'unknown' }]);
+            expect(() => PrologScript.load(snapshot)).toThrow('no function registered as unknown');
+        });
+    });
+
+    describe("Modal Queries", () => {
+        beforeEach(() => {
+            ps.shared(() => {
+                ps.isA('socrates', 'human');
+                ps.isA('plato', 'human');
+                ps.hasA('human', 'mortality', true);
+                ps.addRule('mortal:$X', 'hasA:$X:mortality:true');
+            });
+            ps.createReality("History");
+            ps.createReality("Mythology");
+            ps.createReality("Dream");
+            ps.switchReality("Mythology");
+            ps.hasA('socrates', 'mortality', false);
+            ps.isA('zeus', 'god');
+            ps.switchReality("History");
+        });
+
+        test("possibly and necessarily range over every reality by default", () => {
+            expect(ps.possibly('mortal', 'socrates')).toBe(true);
+            expect(ps.necessarily('mortal', 'socrates')).toBe(false);
+            expect(ps.necessarily('mortal', 'plato')).toBe(true);
+            expect(ps.possibly('isA(zeus, god)')).toBe(true);
+            expect(ps.activeReality.name).toBe("History");
+        });
+
+        test("inWhich lists the realities where a goal holds with their bindings", () => {
+            expect(ps.inWhich('mortal', 'socrates')).toEqual([
+                { reality: "History", bindings: [] },
+                { reality: "Dream", bindings: [] }
+            ]);
+            const gods = ps.inWhich('isA(X, god)');
+            expect(gods.map(({ reality }) => reality)).toEqual(["Mythology"]);
+            expect(gods[0].bindings[0].get('X')).toBe('zeus');
+        });
+
+        test("a property whose value is false or null holds", () => {
+            expect(ps.inWhich('hasA', 'socrates', 'mortality').map(({ reality }) => reality))
+                .toEqual(["History", "Mythology", "Dream"]);
+            expect(ps.inWhich('hasA', 'socrates', 'mortality', false).map(({ reality }) => reality))
+                .toEqual(["Mythology"]);
+            ps.shared(() => ps.hasA('zeus', 'mortality', null));
+            expect(ps.necessarily('hasA', 'zeus', 'mortality')).toBe(true);
+            expect(ps.possibly('hasA', 'zeus', 'wings')).toBe(false);
+        });
+
+        test("direct and modal queries agree on a given property value", () => {
+            ps.shared(() => ps.hasA('tweety', 'color', 'yellow'));
+            expect(ps.query('hasA', 'tweety', 'color', 'blue')).toBe(false);
+            expect(ps.query('hasA', 'tweety', 'color', 'yellow')).toBe(true);
+            expect(ps.possibly('hasA', 'tweety', 'color', 'blue')).toBe(false);
+            ps.switchReality("Mythology");
+            expect(ps.infer('hasA', 'socrates', 'mortality', false)).toBe(true);
+            expect(ps.infer('hasA', 'socrates', 'mortality', true)).toBe(false);
+            ps.switchReality("History");
+            expect(ps.possibly('hasA', 'socrates', 'mortality', false)).toBe(true);
+        });
+
+        test("accessibility restricts the possible realities", () => {
+            ps.addAccessibility("History", "Dream");
+            ps.addAccessibility("Dream", "Mythology", { symmetric: true });
+            expect(ps.accessibleRealities()).toEqual(["Dream"]);
+            expect(ps.accessibleRealities("Mythology")).toEqual(["Dream"]);
+            expect(ps.necessarily('mortal', 'socrates')).toBe(true);
+            expect(ps.possibly('isA', 'zeus', 'god')).toBe(false);
+            ps.switchReality("Dream");
+            expect(ps.possibly('isA', 'zeus', 'god')).toBe(true);
+            expect(() => ps.addAccessibility("History", "Atlantis")).toThrow('Reality Atlantis not found');
+        });
+    });
+
     // List Operations Tests
     describe("List Operations", () => {
         test("cons adds element to list", () => {